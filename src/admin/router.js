@@ -0,0 +1,55 @@
+// src/admin/router.js
+// Rutas REST de administración (server.js les aplica adminAuth + rateLimit: solo con
+// ADMIN_API_KEY). Son un envoltorio de las mismas acciones de barbers y catalog, con su
+// validación y errores; las de escritura son adminActions y no salen en tools/list:
+//   GET    /admin/barbers                  ?includeInactive=false → barbers.list
+//   POST   /admin/barbers                  { id?, displayName, aliases?, calendarId, hours? } → barbers.create
+//   PATCH  /admin/barbers/:id              { displayName?, aliases?, calendarId?, active? } → barbers.update
+//   POST   /admin/barbers/:id/deactivate   → barbers.deactivate
+//   PUT    /admin/barbers/:id/hours        { hours } (null = horario de la barbería) → barbers.setHours
+//   POST   /admin/services                 { id?, nombre, precio, duracion_min, descripcion? } → catalog.addService
+//   PATCH  /admin/services/:id             { nombre?, precio?, duracion_min?, descripcion? } → catalog.updateService
+//   DELETE /admin/services/:id             → catalog.removeService
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { executeAction, normalizeError, httpStatusFor } from '../mcp/execute.js';
+
+export const adminRouter = express.Router();
+
+function getRequestId(req) {
+  return req.headers['x-request-id'] || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+function toolAction(tool, action, paramsOf) {
+  return async (req, res) => {
+    const requestId = getRequestId(req);
+    logger.info({ requestId, tool, action }, 'admin.request');
+
+    try {
+      const { payload } = await executeAction({ tool, action, params: paramsOf(req), requestId, admin: true });
+      return res.json({ status: 'ok', data: payload });
+    } catch (rawErr) {
+      const err = normalizeError(rawErr);
+      if (err.code === 'INVALID_PARAMS') logger.warn({ requestId, tool, action, errors: err.errors }, 'admin.invalid_params');
+      else logger.error({ requestId, tool, action, err }, 'admin.error');
+
+      return res.status(httpStatusFor(err)).json({
+        status: 'error',
+        error: err.code || 'INTERNAL_ERROR',
+        message: err.message,
+        ...(err.errors && { errors: err.errors }),
+        ...(err.options && { options: err.options }),
+      });
+    }
+  };
+}
+
+adminRouter.get('/barbers', toolAction('barbers', 'list', (req) => ({ ...req.query })));
+adminRouter.post('/barbers', toolAction('barbers', 'create', (req) => ({ ...req.body })));
+adminRouter.patch('/barbers/:id', toolAction('barbers', 'update', (req) => ({ ...req.body, id: req.params.id })));
+adminRouter.post('/barbers/:id/deactivate', toolAction('barbers', 'deactivate', (req) => ({ id: req.params.id })));
+adminRouter.put('/barbers/:id/hours', toolAction('barbers', 'setHours', (req) => ({ id: req.params.id, hours: req.body?.hours })));
+
+adminRouter.post('/services', toolAction('catalog', 'addService', (req) => ({ ...req.body })));
+adminRouter.patch('/services/:id', toolAction('catalog', 'updateService', (req) => ({ ...req.body, id: req.params.id })));
+adminRouter.delete('/services/:id', toolAction('catalog', 'removeService', (req) => ({ id: req.params.id })));
@@ -0,0 +1,120 @@
+// src/backends/cache/file.js
+// Store en un archivo JSON: sobrevive reinicios y lo comparten varios procesos de la
+// misma máquina (o un volumen compartido). Las escrituras van bajo un lockfile
+// (`<archivo>.lock`) para que setIfAbsent sea atómico entre procesos.
+//
+// Formato: { "entries": { "<clave>": { "value": ..., "exp": 1735689600000 } } }
+import fs from 'fs';
+import path from 'path';
+
+const MUTEX_RETRY_MS = 20;
+const MUTEX_TIMEOUT_MS = 5000;
+// Un lockfile más viejo que esto quedó de un proceso que murió escribiendo
+const MUTEX_STALE_MS = 10000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function createFileStore({ filePath }) {
+  const full = path.resolve(filePath);
+  const lockPath = `${full}.lock`;
+
+  let entries = {};
+  let loadedMtime = null;
+
+  // Relee solo si otro proceso cambió el archivo
+  function read() {
+    try {
+      const { mtimeMs } = fs.statSync(full);
+      if (mtimeMs === loadedMtime) return entries;
+      const raw = fs.readFileSync(full, 'utf8').trim();
+      entries = raw ? JSON.parse(raw).entries || {} : {};
+      loadedMtime = mtimeMs;
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        const err = new Error(`CACHE_FILE_READ_ERROR: ${e.message}`);
+        err.code = 'CACHE_FILE_READ_ERROR';
+        throw err;
+      }
+      entries = {};
+      loadedMtime = null;
+    }
+    return entries;
+  }
+
+  // Escritura atómica: archivo temporal + rename. Descarta los vencidos.
+  function write(next) {
+    const now = Date.now();
+    const kept = Object.fromEntries(Object.entries(next).filter(([, e]) => e.exp > now));
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    const tmp = `${full}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ entries: kept }));
+    fs.renameSync(tmp, full);
+    entries = kept;
+    loadedMtime = fs.statSync(full).mtimeMs;
+  }
+
+  async function withMutex(fn) {
+    const deadline = Date.now() + MUTEX_TIMEOUT_MS;
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockPath, 'wx'));
+        break;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > MUTEX_STALE_MS) fs.rmSync(lockPath, { force: true });
+      } catch {
+        // lo liberaron entre open y stat
+      }
+      if (Date.now() > deadline) {
+        const err = new Error(`CACHE_FILE_LOCK_TIMEOUT: ${lockPath}`);
+        err.code = 'CACHE_FILE_LOCK_TIMEOUT';
+        throw err;
+      }
+      await sleep(MUTEX_RETRY_MS);
+    }
+    try {
+      loadedMtime = null; // bajo el lock siempre se lee lo último
+      return fn(read());
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const e = read()[key];
+      if (!e || e.exp <= Date.now()) return undefined;
+      return e.value;
+    },
+
+    async set(key, value, ttlMs) {
+      await withMutex((current) => write({ ...current, [key]: { value, exp: Date.now() + ttlMs } }));
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      return withMutex((current) => {
+        const e = current[key];
+        if (e && e.exp > Date.now()) return false;
+        write({ ...current, [key]: { value, exp: Date.now() + ttlMs } });
+        return true;
+      });
+    },
+
+    async del(key) {
+      await withMutex((current) => {
+        if (!(key in current)) return;
+        const { [key]: _removed, ...rest } = current;
+        write(rest);
+      });
+    },
+
+    async clear() {
+      await withMutex(() => write({}));
+    },
+  };
+}
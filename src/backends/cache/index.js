@@ -0,0 +1,43 @@
+// src/backends/cache/index.js
+// Selección del store de caché (lecturas e idempotencia) por env:
+//   CACHE_STORE=memory (default) | file | redis
+//   CACHE_MAX_ENTRIES=10000            (solo memory)
+//   CACHE_FILE=./data/cache.json       (solo file)
+//   REDIS_URL=redis://127.0.0.1:6379   (solo redis)
+//   CACHE_PREFIX=valeria:              (solo redis: espacio de claves propio)
+//
+// Interfaz común (todas async, TTL en milisegundos, valores serializables a JSON):
+//   get(key)                         → valor | undefined
+//   set(key, value, ttlMs)
+//   setIfAbsent(key, value, ttlMs)   → true si lo guardó (no existía o había vencido)
+//   del(key)
+//   clear()
+import path from 'path';
+import { createMemoryStore } from './memory.js';
+import { createFileStore } from './file.js';
+import { createRedisStore } from './redis.js';
+
+const STORE = (process.env.CACHE_STORE || 'memory').toLowerCase();
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 10000);
+const CACHE_FILE_PATH = process.env.CACHE_FILE || path.join(process.cwd(), 'data', 'cache.json');
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const CACHE_PREFIX = process.env.CACHE_PREFIX ?? 'valeria:';
+
+let instance = null;
+
+export function getCacheStore() {
+  if (instance) return instance;
+
+  if (STORE === 'memory') {
+    instance = createMemoryStore({ maxEntries: CACHE_MAX_ENTRIES });
+  } else if (STORE === 'file') {
+    instance = createFileStore({ filePath: CACHE_FILE_PATH });
+  } else if (STORE === 'redis') {
+    instance = createRedisStore({ url: REDIS_URL, prefix: CACHE_PREFIX });
+  } else {
+    const err = new Error(`INVALID_CACHE_STORE: ${STORE} (usa memory | file | redis)`);
+    err.code = 'INVALID_CACHE_STORE';
+    throw err;
+  }
+  return instance;
+}
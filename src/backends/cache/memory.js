@@ -0,0 +1,59 @@
+// src/backends/cache/memory.js
+// Store en memoria del proceso (default). Se pierde al reiniciar y no se comparte
+// entre instancias. Acotado a maxEntries: al pasarse se descartan los más viejos.
+
+// Simple TTL in-memory cache (ttlMs in milliseconds)
+export class TTLCache {
+  constructor(defaultTtlMs = 120 * 1000, maxEntries = Infinity) {
+    this.defaultTtlMs = defaultTtlMs;
+    this.maxEntries = maxEntries;
+    this.store = new Map();
+  }
+  // ttlMs: milliseconds
+  set(key, value, ttlMs) {
+    const exp = Date.now() + (ttlMs ?? this.defaultTtlMs);
+    this.store.delete(key); // reinsertar = pasa al final del orden de descarte
+    this.store.set(key, { value, exp });
+    while (this.store.size > this.maxEntries) {
+      this.store.delete(this.store.keys().next().value);
+    }
+  }
+  get(key) {
+    const e = this.store.get(key);
+    if (!e) return undefined;
+    if (Date.now() > e.exp) { this.store.delete(key); return undefined; }
+    return e.value;
+  }
+  del(key) { this.store.delete(key); }
+  clear() { this.store.clear(); }
+}
+
+export function createMemoryStore({ maxEntries }) {
+  const inner = new TTLCache(undefined, maxEntries);
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return inner.get(key);
+    },
+
+    async set(key, value, ttlMs) {
+      inner.set(key, value, ttlMs);
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      if (inner.get(key) !== undefined) return false;
+      inner.set(key, value, ttlMs);
+      return true;
+    },
+
+    async del(key) {
+      inner.del(key);
+    },
+
+    async clear() {
+      inner.clear();
+    },
+  };
+}
@@ -0,0 +1,181 @@
+// src/backends/cache/redis.js
+// Store en Redis (o cualquier servidor que hable el protocolo RESP: KeyDB, Dragonfly,
+// Valkey...). Cliente mínimo sobre net, sin dependencias: una conexión perezosa, los
+// comandos se encolan y las respuestas llegan en orden. Si la conexión se cae, la
+// siguiente operación reconecta.
+//
+// REDIS_URL=redis://[:password@]host:6379[/db]   (rediss:// no soportado)
+import net from 'net';
+
+const COMMAND_TIMEOUT_MS = 2000;
+
+function redisError(message) {
+  const err = new Error(`REDIS_ERROR: ${message}`);
+  err.code = 'REDIS_ERROR';
+  return err;
+}
+
+function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}\r\n`)];
+  for (const arg of args) {
+    const b = Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${b.length}\r\n`), b, Buffer.from('\r\n'));
+  }
+  return Buffer.concat(parts);
+}
+
+// Una respuesta RESP2 desde buf[i] → { value, next } o null si todavía no llegó completa
+function parseReply(buf, i) {
+  const nl = buf.indexOf('\r\n', i);
+  if (nl < 0) return null;
+  const type = String.fromCharCode(buf[i]);
+  const line = buf.toString('utf8', i + 1, nl);
+  let next = nl + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, next };
+    case '-':
+      return { value: redisError(line), next };
+    case ':':
+      return { value: Number(line), next };
+    case '$': {
+      const len = Number(line);
+      if (len < 0) return { value: null, next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.toString('utf8', next, next + len), next: next + len + 2 };
+    }
+    case '*': {
+      const n = Number(line);
+      if (n < 0) return { value: null, next };
+      const arr = [];
+      for (let k = 0; k < n; k++) {
+        const r = parseReply(buf, next);
+        if (!r) return null;
+        arr.push(r.value);
+        next = r.next;
+      }
+      return { value: arr, next };
+    }
+    default:
+      throw redisError(`respuesta inválida (${type})`);
+  }
+}
+
+export function createRedisStore({ url, prefix = '' }) {
+  const u = new URL(url);
+  if (u.protocol !== 'redis:') throw redisError(`protocolo no soportado: ${u.protocol}`);
+
+  const host = u.hostname || '127.0.0.1';
+  const port = Number(u.port || 6379);
+  const password = decodeURIComponent(u.password || '');
+  const username = decodeURIComponent(u.username || '');
+  const db = Number(u.pathname.replace('/', '') || 0);
+
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function reset(err) {
+    if (socket) socket.destroy();
+    socket = null;
+    ready = null;
+    buffer = Buffer.alloc(0);
+    while (pending.length) {
+      const p = pending.shift();
+      clearTimeout(p.timer);
+      p.reject(err);
+    }
+  }
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      for (;;) {
+        const r = parseReply(buffer, 0);
+        if (!r) break;
+        buffer = buffer.subarray(r.next);
+        const p = pending.shift();
+        if (!p) continue;
+        clearTimeout(p.timer);
+        if (r.value instanceof Error) p.reject(r.value);
+        else p.resolve(r.value);
+      }
+    } catch (e) {
+      reset(e);
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      // Sin respuesta a tiempo no sabemos a qué comando corresponde lo que llegue después
+      const timer = setTimeout(() => reset(redisError(`timeout ${COMMAND_TIMEOUT_MS}ms (${args[0]})`)), COMMAND_TIMEOUT_MS);
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      socket = net.createConnection({ host, port });
+      socket.on('data', onData);
+      socket.on('error', (e) => { reject(redisError(e.message)); reset(redisError(e.message)); });
+      socket.on('close', () => reset(redisError('conexión cerrada')));
+      socket.on('connect', async () => {
+        try {
+          if (password) await send(username ? ['AUTH', username, password] : ['AUTH', password]);
+          if (db) await send(['SELECT', db]);
+          // Ya conectado, la conexión ociosa no mantiene vivo el proceso (scripts, stdio)
+          socket.unref();
+          resolve();
+        } catch (e) {
+          // AUTH/SELECT rechazado: se cierra para que la siguiente operación reintente desde cero
+          reject(e);
+          reset(e);
+        }
+      });
+    });
+    return ready;
+  }
+
+  async function command(...args) {
+    await connect();
+    return send(args);
+  }
+
+  const k = (key) => `${prefix}${key}`;
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const raw = await command('GET', k(key));
+      return raw == null ? undefined : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlMs) {
+      await command('SET', k(key), JSON.stringify(value), 'PX', Math.max(1, Math.round(ttlMs)));
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      const res = await command('SET', k(key), JSON.stringify(value), 'PX', Math.max(1, Math.round(ttlMs)), 'NX');
+      return res === 'OK';
+    },
+
+    async del(key) {
+      await command('DEL', k(key));
+    },
+
+    // Solo las claves con nuestro prefijo (nada de FLUSHDB)
+    async clear() {
+      let cursor = '0';
+      do {
+        const [next, keys] = await command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 200);
+        if (keys.length) await command('DEL', ...keys);
+        cursor = next;
+      } while (cursor !== '0');
+    },
+  };
+}
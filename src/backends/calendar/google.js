@@ -0,0 +1,141 @@
+// src/backends/calendar/google.js
+// Backend de calendario sobre Google Calendar (Service Account).
+import fs from 'fs';
+import { google } from 'googleapis';
+import { logger } from '../../utils/logger.js';
+
+const TZ = process.env.TIMEZONE || 'America/Bogota';
+// freebusy.query acepta hasta 50 calendarios por petición
+const FREEBUSY_BATCH_SIZE = 50;
+
+// -------------------- AUTH (Service Account) --------------------
+function getAuthClient() {
+  const keyfile = process.env.GOOGLE_SA_KEYFILE;
+  const jsonInline = process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON;
+  const b64 = process.env.GOOGLE_SA_JSON_BASE64; // optional
+
+  let credentials;
+
+  try {
+    if (keyfile && fs.existsSync(keyfile)) {
+      credentials = JSON.parse(fs.readFileSync(keyfile, 'utf8'));
+    } else if (jsonInline) {
+      credentials = JSON.parse(jsonInline);
+    } else if (b64) {
+      credentials = JSON.parse(Buffer.from(b64, 'base64').toString('utf8'));
+    } else {
+      const err = new Error('MISSING_GOOGLE_SA: Define GOOGLE_APPLICATION_CREDENTIALS_JSON or GOOGLE_SA_KEYFILE');
+      err.code = 'MISSING_GOOGLE_SA';
+      throw err;
+    }
+  } catch (err) {
+    logger.error?.('GOOGLE_SA_PARSE_ERROR', { message: err.message });
+    throw err;
+  }
+
+  if (!credentials || !credentials.client_email || !credentials.private_key) {
+    const err = new Error('INVALID_GOOGLE_SA: missing client_email or private_key in credentials');
+    err.code = 'INVALID_GOOGLE_SA';
+    throw err;
+  }
+
+  const privateKey = credentials.private_key.replace(/\\n/g, '\n');
+
+  return new google.auth.JWT({
+    email: credentials.client_email,
+    key: privateKey,
+    scopes: ['https://www.googleapis.com/auth/calendar'],
+  });
+}
+
+export function createGoogleBackend() {
+  // Cliente perezoso: se crea en la primera operación y se reutiliza (token incluido)
+  let api = null;
+  function calendar() {
+    if (!api) api = google.calendar({ version: 'v3', auth: getAuthClient() });
+    return api;
+  }
+
+  return {
+    name: 'google',
+
+    // Todas las páginas: un rango largo (clients.history, booking.search) pasa de 250 eventos
+    async listEvents(calendarId, { timeMin, timeMax, orderBy = 'startTime', privateExtendedProperty } = {}) {
+      const items = [];
+      let pageToken;
+      do {
+        const res = await calendar().events.list({
+          calendarId,
+          timeMin,
+          timeMax,
+          singleEvents: true,
+          orderBy,
+          timeZone: TZ,
+          maxResults: 2500,
+          ...(pageToken && { pageToken }),
+          ...(privateExtendedProperty?.length && { privateExtendedProperty }),
+        });
+        items.push(...(res.data.items || []));
+        pageToken = res.data.nextPageToken;
+      } while (pageToken);
+      return items;
+    },
+
+    async getEvent(calendarId, eventId) {
+      const res = await calendar().events.get({ calendarId, eventId });
+      return res.data || {};
+    },
+
+    async insertEvent(calendarId, body) {
+      const res = await calendar().events.insert({ calendarId, requestBody: body });
+      return res.data || {};
+    },
+
+    async patchEvent(calendarId, eventId, body) {
+      const res = await calendar().events.patch({ calendarId, eventId, requestBody: body });
+      return res.data || {};
+    },
+
+    async deleteEvent(calendarId, eventId) {
+      await calendar().events.delete({ calendarId, eventId });
+    },
+
+    async moveEvent(calendarId, eventId, destination) {
+      const res = await calendar().events.move({ calendarId, eventId, destination });
+      return res.data || {};
+    },
+
+    async getCalendar(calendarId) {
+      const res = await calendar().calendars.get({ calendarId });
+      const { id, summary, timeZone } = res.data || {};
+      return { id, summary, timeZone };
+    },
+
+    async freeBusy(calendarIds, { timeMin, timeMax } = {}) {
+      const batches = [];
+      for (let i = 0; i < calendarIds.length; i += FREEBUSY_BATCH_SIZE) {
+        batches.push(calendarIds.slice(i, i + FREEBUSY_BATCH_SIZE));
+      }
+
+      // Lotes en paralelo: una sola petición cubre muchos calendarios
+      const responses = await Promise.all(batches.map((ids) =>
+        calendar().freebusy.query({
+          requestBody: {
+            timeMin,
+            timeMax,
+            timeZone: TZ,
+            items: ids.map((id) => ({ id })),
+          },
+        })
+      ));
+
+      const out = {};
+      for (const res of responses) {
+        for (const [id, v] of Object.entries(res.data?.calendars || {})) {
+          out[id] = { busy: v.busy || [], ...(v.errors?.length && { errors: v.errors }) };
+        }
+      }
+      return out;
+    },
+  };
+}
@@ -0,0 +1,40 @@
+// src/backends/calendar/index.js
+// Selección del backend de calendario por env:
+//   CALENDAR_BACKEND=google (default) | local
+//   LOCAL_CALENDAR_JSON=./data/local_calendar.json (solo backend local)
+//
+// Interfaz común (todas async, eventos con la forma de Google Calendar):
+//   listEvents(calendarId, { timeMin, timeMax, privateExtendedProperty }) → items[]
+//     privateExtendedProperty: ['clave=valor', ...] (AND, igual que Google)
+//   getEvent(calendarId, eventId)                → evento
+//   insertEvent(calendarId, body)                → evento creado
+//   patchEvent(calendarId, eventId, body)        → evento actualizado
+//   deleteEvent(calendarId, eventId)
+//   moveEvent(calendarId, eventId, destination)  → evento movido
+//   freeBusy(calendarIds, { timeMin, timeMax })  → { [calendarId]: { busy: [{start,end}], errors? } }
+//     (sin eventos transparentes ni cancelados)
+//   getCalendar(calendarId)                      → { id, summary, timeZone } (falla si no hay acceso)
+import path from 'path';
+import { createGoogleBackend } from './google.js';
+import { createLocalBackend } from './local.js';
+
+const BACKEND = (process.env.CALENDAR_BACKEND || 'google').toLowerCase();
+const LOCAL_CALENDAR_JSON_PATH =
+  process.env.LOCAL_CALENDAR_JSON || path.join(process.cwd(), 'data', 'local_calendar.json');
+
+let instance = null;
+
+export function getCalendarBackend() {
+  if (instance) return instance;
+
+  if (BACKEND === 'local') {
+    instance = createLocalBackend({ filePath: LOCAL_CALENDAR_JSON_PATH });
+  } else if (BACKEND === 'google') {
+    instance = createGoogleBackend();
+  } else {
+    const err = new Error(`INVALID_CALENDAR_BACKEND: ${BACKEND} (usa google | local)`);
+    err.code = 'INVALID_CALENDAR_BACKEND';
+    throw err;
+  }
+  return instance;
+}
@@ -0,0 +1,145 @@
+// src/backends/calendar/local.js
+// Backend de calendario en un archivo JSON local (desarrollo, demos, pruebas).
+// Guarda los eventos con la misma forma que Google Calendar para que
+// calendar/booking se comporten igual en ambos backends.
+//
+// Formato: { "calendars": { "<calendarId>": { "<eventId>": { ...evento } } } }
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DateTime } from 'luxon';
+
+function notFound(calendarId, eventId) {
+  const err = new Error(`EVENT_NOT_FOUND: ${eventId}`);
+  err.code = 'EVENT_NOT_FOUND';
+  err.calendarId = calendarId;
+  return err;
+}
+
+function eventBounds(ev) {
+  const s = ev.start?.dateTime || ev.start?.date;
+  const e = ev.end?.dateTime || ev.end?.date;
+  if (!s || !e) return null;
+  return { start: DateTime.fromISO(s), end: DateTime.fromISO(e) };
+}
+
+export function createLocalBackend({ filePath }) {
+  const full = path.resolve(filePath);
+
+  function read() {
+    try {
+      if (!fs.existsSync(full)) return { calendars: {} };
+      const raw = fs.readFileSync(full, 'utf8').trim();
+      if (!raw) return { calendars: {} };
+      const parsed = JSON.parse(raw);
+      return parsed && parsed.calendars ? parsed : { calendars: {} };
+    } catch (e) {
+      const err = new Error(`LOCAL_CALENDAR_READ_ERROR: ${e.message}`);
+      err.code = 'LOCAL_CALENDAR_READ_ERROR';
+      throw err;
+    }
+  }
+
+  // Escritura atómica: archivo temporal + rename
+  function write(db) {
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    const tmp = `${full}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(db, null, 2));
+    fs.renameSync(tmp, full);
+  }
+
+  function calendarOf(db, calendarId) {
+    if (!db.calendars[calendarId]) db.calendars[calendarId] = {};
+    return db.calendars[calendarId];
+  }
+
+  return {
+    name: 'local',
+
+    async listEvents(calendarId, { timeMin, timeMax, privateExtendedProperty = [] } = {}) {
+      const db = read();
+      const L = timeMin ? DateTime.fromISO(timeMin) : null;
+      const R = timeMax ? DateTime.fromISO(timeMax) : null;
+      const props = privateExtendedProperty.map((kv) => {
+        const i = String(kv).indexOf('=');
+        return [kv.slice(0, i), kv.slice(i + 1)];
+      });
+
+      return Object.values(db.calendars[calendarId] || {})
+        .filter((ev) => ev.status !== 'cancelled')
+        .filter((ev) => props.every(([k, v]) => ev.extendedProperties?.private?.[k] === v))
+        .filter((ev) => {
+          const b = eventBounds(ev);
+          if (!b) return false;
+          // Igual que Google: eventos que se superponen con [timeMin, timeMax)
+          return (!R || b.start < R) && (!L || b.end > L);
+        })
+        .sort((a, b) => eventBounds(a).start - eventBounds(b).start);
+    },
+
+    async getEvent(calendarId, eventId) {
+      const ev = read().calendars[calendarId]?.[eventId];
+      if (!ev) throw notFound(calendarId, eventId);
+      return ev;
+    },
+
+    async insertEvent(calendarId, body) {
+      const db = read();
+      const id = crypto.randomUUID().replace(/-/g, '');
+      const now = new Date().toISOString();
+      const ev = { ...body, id, status: 'confirmed', created: now, updated: now };
+      calendarOf(db, calendarId)[id] = ev;
+      write(db);
+      return ev;
+    },
+
+    async patchEvent(calendarId, eventId, body) {
+      const db = read();
+      const cal = calendarOf(db, calendarId);
+      if (!cal[eventId]) throw notFound(calendarId, eventId);
+      cal[eventId] = { ...cal[eventId], ...body, id: eventId, updated: new Date().toISOString() };
+      write(db);
+      return cal[eventId];
+    },
+
+    async deleteEvent(calendarId, eventId) {
+      const db = read();
+      const cal = calendarOf(db, calendarId);
+      if (!cal[eventId]) throw notFound(calendarId, eventId);
+      delete cal[eventId];
+      write(db);
+    },
+
+    async freeBusy(calendarIds, { timeMin, timeMax } = {}) {
+      const out = {};
+      for (const id of calendarIds) {
+        const items = await this.listEvents(id, { timeMin, timeMax });
+        out[id] = {
+          busy: items
+            .filter((ev) => ev.transparency !== 'transparent')
+            .map((ev) => ({
+              start: ev.start?.dateTime || ev.start?.date,
+              end: ev.end?.dateTime || ev.end?.date,
+            })),
+        };
+      }
+      return out;
+    },
+
+    async moveEvent(calendarId, eventId, destination) {
+      const db = read();
+      const src = calendarOf(db, calendarId);
+      const ev = src[eventId];
+      if (!ev) throw notFound(calendarId, eventId);
+      delete src[eventId];
+      calendarOf(db, destination)[eventId] = { ...ev, updated: new Date().toISOString() };
+      write(db);
+      return calendarOf(db, destination)[eventId];
+    },
+
+    // Cualquier id es válido: el calendario se crea con el primer evento
+    async getCalendar(calendarId) {
+      return { id: calendarId, summary: calendarId, timeZone: process.env.TIMEZONE || 'America/Bogota' };
+    },
+  };
+}
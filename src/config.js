@@ -1,17 +1,12 @@
 import dotenv from 'dotenv';
-import fs from 'node:fs';
-import path from 'node:path';
 dotenv.config();
 
-function loadJSON(p) {
-  const full = path.resolve(p);
-  return JSON.parse(fs.readFileSync(full, 'utf8'));
-}
-
 export const config = {
   env: process.env.NODE_ENV || 'development',
   port: Number(process.env.PORT || 3000),
   apiKey: process.env.API_KEY || '',
+  // Acciones admin (alta de barberos, servicios, excepciones...): clave aparte de la del agente
+  adminApiKey: process.env.ADMIN_API_KEY || '',
   tz: process.env.TIMEZONE || 'America/Bogota',
   cacheTtlSec: Number(process.env.CACHE_TTL_SECONDS || 120),
   ratePerMin: Number(process.env.RATE_LIMIT_PER_MINUTE || 60),
@@ -22,6 +17,3 @@ export const config = {
   // si usas SA inline
   saJson: process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON || null,
 };
-
-export const barbers = loadJSON(config.barbersPath);
-export const businessHours = loadJSON(config.hoursPath);
@@ -0,0 +1,101 @@
+// src/mcp/execute.js
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import cache from '../utils/cache.js';
+import { registry, resolveHandler, isAdminAction } from './registry.js';
+import { validateParams } from './validation.js';
+
+const CACHE_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS || 120);
+
+// Acciones de solo lectura que se pueden cachear
+const CACHEABLE_ACTIONS = new Set(['check', 'resolve', 'search', 'get']);
+
+export function normalizeError(e) {
+  if (!e) return { code: 'ERROR', message: 'Unknown error', status: 500, raw: e };
+  if (e instanceof Error) {
+    return {
+      code: e.code || (e.name ? e.name.toUpperCase() : 'ERROR'),
+      message: e.message || String(e),
+      status: e.status || e.statusCode || (e.response && e.response.status),
+      ...(e.errors && { errors: e.errors }),
+      ...(e.options && { options: e.options }),
+      raw: e,
+    };
+  }
+  return { code: 'ERROR', message: String(e), status: 500, raw: e };
+}
+
+// Mapeo de errores de negocio a HTTP Status
+export function httpStatusFor(err) {
+  return err.code === 'GOOGLE_403_FORBIDDEN' || err.code === 'ADMIN_ONLY' ? 403 :
+    err.code === 'EVENT_NOT_FOUND' || err.code === 'BARBER_NOT_FOUND' || err.code === 'CATALOG_NOT_FOUND' || err.code === 'SERVICE_NOT_FOUND' || err.code === 'EXCEPTION_NOT_FOUND' || err.code === 'CLIENT_NOT_FOUND' || err.code === 'WAITLIST_NOT_FOUND' || err.code === 'HOLD_NOT_FOUND' ? 404 :
+    err.code === 'SERVICE_AMBIGUOUS' || err.code === 'WHEN_AMBIGUOUS' ? 409 :
+    err.code === 'SLOT_OCCUPIED' || err.code === 'NO_BARBER_AVAILABLE' || err.code === 'IDEMPOTENCY_IN_PROGRESS' ? 409 :
+    err.code === 'BARBER_INACTIVE' || err.code === 'BARBER_EXISTS' || err.code === 'SERVICE_EXISTS' || err.code === 'BARBER_ALIAS_CONFLICT' || err.code === 'CALENDAR_IN_USE' ? 409 :
+    err.code === 'LOCK_TIMEOUT' ? 503 :
+    err.code === 'INVALID_PARAMS' || err.code === 'OUTSIDE_BUSINESS_HOURS' || err.code === 'INVALID_RANGE' || err.code === 'IN_PAST' || err.code === 'INVALID_WHEN' || err.code === 'MISSING_CALENDAR' || err.code === 'REMINDERS_DISABLED' ? 400 :
+    err.code === 'CALENDAR_NOT_ACCESSIBLE' || err.code === 'DIRECTORY_INVALID' || err.code === 'CATALOG_INVALID' ? 400 :
+    500;
+}
+
+/**
+ * Ejecuta tool+action con la caché de lecturas.
+ * Devuelve { payload, fromCache }. Lanza TOOL_NOT_FOUND / ACTION_NOT_FOUND
+ * si no existe, ADMIN_ONLY si es una acción admin y la petición no trae la
+ * clave admin (admin=true), INVALID_PARAMS si los params no cumplen el schema
+ * de la acción, o el error original del handler.
+ */
+export async function executeAction({ tool, action, params = {}, requestId, admin = false }) {
+  if (!registry[tool]) {
+    const err = new Error(`Tool desconocida: ${tool}`);
+    err.code = 'TOOL_NOT_FOUND';
+    throw err;
+  }
+
+  const handler = resolveHandler(tool, action);
+  if (!handler) {
+    const err = new Error(`Acción desconocida: ${action}`);
+    err.code = 'ACTION_NOT_FOUND';
+    throw err;
+  }
+
+  if (isAdminAction(tool, action) && !admin) {
+    const err = new Error(`ADMIN_ONLY: ${tool}.${action} requiere la clave de administración`);
+    err.code = 'ADMIN_ONLY';
+    throw err;
+  }
+
+  // Validación por acción (antes de la caché: coacciona tipos y aplica defaults)
+  validateParams(tool, action, params);
+
+  // Clave de caché determinista
+  const deterministicKey = `mcp:${tool}:${action}:${crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex')}`;
+  // Un módulo puede excluir acciones de la caché (export const noCache = ['get'])
+  const cacheable = CACHE_TTL_SECONDS > 0 && CACHEABLE_ACTIONS.has(action) && !registry[tool].noCache?.includes(action);
+
+  // 1. Intentar leer de caché (Solo para lecturas seguras)
+  if (cacheable) {
+    const cached = await cache.get(deterministicKey);
+    if (cached) {
+      logger.info({ requestId, tool, action }, 'mcp.cache_hit');
+      return { payload: cached, fromCache: true };
+    }
+  }
+
+  // 2. Ejecutar la lógica real
+  // Pasamos meta información por si la tool la necesita (requestId).
+  // cacheTags: la tool anota de qué calendarios/días depende la respuesta (cache.invalidateTags)
+  const meta = { requestId, cacheTags: [] };
+  const result = await handler({ ...params, _meta: meta });
+
+  // Normalizar respuesta: Si viene { ok:true, data:... } extraemos data
+  const payload = (result && result.ok === true && result.data !== undefined) ? result.data : result;
+
+  // 3. Guardar en caché si aplica
+  // Solo cacheamos si no hubo error implícito
+  if (cacheable && payload && !payload.error) {
+    await cache.set(deterministicKey, payload, CACHE_TTL_SECONDS, { tags: meta.cacheTags });
+  }
+
+  return { payload, fromCache: false };
+}
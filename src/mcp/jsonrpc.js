@@ -0,0 +1,179 @@
+// src/mcp/jsonrpc.js
+// Protocolo MCP (JSON-RPC 2.0) independiente del transporte.
+// Lo usan el transporte Streamable HTTP (router.js) y cualquier otro.
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import { listActions, findActionByToolName } from './registry.js';
+import { executeAction, normalizeError } from './execute.js';
+
+const pkg = JSON.parse(
+  fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8')
+);
+
+// Versiones del protocolo MCP soportadas (la primera es la preferida)
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+export const SERVER_INFO = {
+  name: 'valeria-mcp',
+  version: pkg.version,
+};
+
+// Códigos de error JSON-RPC 2.0
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+export function rpcError(id, code, message, data) {
+  return {
+    jsonrpc: '2.0',
+    id: id ?? null,
+    error: { code, message, ...(data !== undefined && { data }) },
+  };
+}
+
+function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+    ? requested
+    : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+function toolsList() {
+  return {
+    tools: listActions().map((a) => ({
+      name: a.name,
+      title: `${a.tool}.${a.action}`,
+      description: a.description,
+      inputSchema: a.inputSchema,
+      ...(a.outputSchema && { outputSchema: a.outputSchema }),
+    })),
+  };
+}
+
+async function toolsCall(params, ctx) {
+  const { name, arguments: args = {} } = params || {};
+  const found = name ? findActionByToolName(name) : null;
+  if (!found) {
+    const err = new Error(`Tool desconocida: ${name}`);
+    err.rpcCode = RPC_ERRORS.INVALID_PARAMS;
+    throw err;
+  }
+
+  try {
+    const { payload } = await executeAction({
+      tool: found.tool,
+      action: found.action,
+      params: args,
+      requestId: ctx.requestId,
+      admin: ctx.admin,
+    });
+
+    // Tools que devuelven { ok:false, error } sin lanzar (barbers.resolve)
+    const isError = !!(payload && payload.ok === false);
+    return {
+      content: [{ type: 'text', text: JSON.stringify(payload) }],
+      structuredContent: payload,
+      isError,
+    };
+  } catch (rawErr) {
+    // Errores de negocio → resultado con isError para que el modelo los vea
+    const err = normalizeError(rawErr);
+    logger.error({ requestId: ctx.requestId, tool: found.tool, action: found.action, err }, 'mcp.rpc.tool_error');
+    const body = {
+      error: err.code || 'INTERNAL_ERROR',
+      message: err.message,
+      ...(err.errors && { errors: err.errors }),
+      ...(err.options && { options: err.options }),
+    };
+    return {
+      content: [{ type: 'text', text: JSON.stringify(body) }],
+      structuredContent: body,
+      isError: true,
+    };
+  }
+}
+
+const methods = {
+  async initialize(params) {
+    return {
+      protocolVersion: negotiateProtocolVersion(params?.protocolVersion),
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: SERVER_INFO,
+    };
+  },
+  async ping() {
+    return {};
+  },
+  async 'tools/list'() {
+    return toolsList();
+  },
+  async 'tools/call'(params, ctx) {
+    return toolsCall(params, ctx);
+  },
+};
+
+export function isJsonRpcPayload(body) {
+  if (Array.isArray(body)) return body.length > 0 && body.every((m) => m && m.jsonrpc === '2.0');
+  return !!body && body.jsonrpc === '2.0';
+}
+
+/**
+ * Procesa UN mensaje JSON-RPC.
+ * Devuelve la respuesta, o null si era notificación / respuesta del cliente.
+ */
+export async function handleMessage(msg, ctx = {}) {
+  if (!msg || typeof msg !== 'object' || msg.jsonrpc !== '2.0') {
+    return rpcError(null, RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  // Respuestas del cliente (no hacemos peticiones servidor → cliente)
+  if (!msg.method && ('result' in msg || 'error' in msg)) return null;
+
+  const isNotification = !('id' in msg);
+  const { id, method, params } = msg;
+
+  if (typeof method !== 'string') {
+    return isNotification ? null : rpcError(id, RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  // notifications/initialized, notifications/cancelled, etc.
+  if (isNotification) {
+    logger.debug({ requestId: ctx.requestId, method }, 'mcp.rpc.notification');
+    return null;
+  }
+
+  const fn = methods[method];
+  if (!fn) return rpcError(id, RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+
+  logger.info({ requestId: ctx.requestId, method }, 'mcp.rpc.request');
+
+  try {
+    return rpcResult(id, await fn(params, ctx));
+  } catch (e) {
+    return rpcError(id, e.rpcCode || RPC_ERRORS.INTERNAL_ERROR, e.message || 'Internal error');
+  }
+}
+
+/**
+ * Procesa un mensaje o un batch. Devuelve la respuesta (objeto o array),
+ * o null si no hay nada que responder.
+ */
+export async function handlePayload(body, ctx = {}) {
+  if (Array.isArray(body)) {
+    if (!body.length) return rpcError(null, RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+    const out = [];
+    for (const msg of body) {
+      const res = await handleMessage(msg, ctx);
+      if (res) out.push(res);
+    }
+    return out.length ? out : null;
+  }
+  return handleMessage(body, ctx);
+}
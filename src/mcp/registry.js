@@ -0,0 +1,101 @@
+// src/mcp/registry.js
+import * as calendar from '../tools/calendar.js';
+import * as barbers from '../tools/barbers.js';
+import * as catalog from '../tools/catalog.js';
+import * as booking from '../tools/booking.js';
+import * as exceptions from '../tools/exceptions.js';
+import * as clients from '../tools/clients.js';
+import * as webhooks from '../tools/webhooks.js';
+import * as reminders from '../tools/reminders.js';
+import * as waitlist from '../tools/waitlist.js';
+
+// --- MÓDULOS CORE ---
+export const modules = {
+  calendar,
+  barbers,
+  catalog,
+  booking,
+  exceptions,
+  clients,
+  webhooks,
+  reminders,
+  waitlist,
+};
+
+// --- ALIAS (Puentes para N8N) ---
+// Esto permite que si el Agente llama a "ver_disponibilidad",
+// el MCP use el código de "calendar" automáticamente.
+// No se publican como tools MCP para no duplicar el listado.
+export const aliases = {
+  ver_disponibilidad: calendar,
+  agendar_turno: calendar,
+  cancelar_turno: calendar,
+  buscar_turnos: booking,
+};
+
+// --- REGISTRO DE HERRAMIENTAS ---
+export const registry = {
+  ...modules,
+  ...aliases,
+};
+
+/**
+ * Devuelve el handler de tool+action o null si no existe.
+ * Buscamos la acción dentro de actions{} o exportada directamente.
+ */
+export function resolveHandler(tool, action) {
+  const mod = registry[tool];
+  if (!mod) return null;
+
+  if (mod.actions && typeof mod.actions[action] === 'function') {
+    return (p) => mod.actions[action]({ params: p });
+  }
+  return typeof mod[action] === 'function' ? mod[action] : null;
+}
+
+/**
+ * Nombre MCP de una acción: "calendar.check" → "calendar_check".
+ * Usamos "_" porque varios clientes MCP no aceptan "." en nombres de tools.
+ */
+export function mcpToolName(tool, action) {
+  return `${tool}_${action}`;
+}
+
+/**
+ * ¿Es una acción de administración? (export const adminActions = ['add', ...])
+ * No se publican en tools/list y executeAction las rechaza sin la clave admin.
+ */
+export function isAdminAction(tool, action) {
+  return !!registry[tool]?.adminActions?.includes(action);
+}
+
+/**
+ * Lista plana de acciones publicables (solo módulos core, sin alias).
+ * includeAdmin: también las de administración (para resolver tools/call).
+ */
+export function listActions({ includeAdmin = false } = {}) {
+  const out = [];
+  for (const [tool, mod] of Object.entries(modules)) {
+    const descriptions = mod.descriptions || {};
+    const schemas = mod.schemas || {};
+    for (const action of Object.keys(mod.actions || {})) {
+      if (!includeAdmin && isAdminAction(tool, action)) continue;
+      out.push({
+        name: mcpToolName(tool, action),
+        tool,
+        action,
+        description: descriptions[action] || `${tool}.${action}`,
+        inputSchema: schemas[action]?.input || { type: 'object', additionalProperties: true },
+        outputSchema: schemas[action]?.output || null,
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Busca una acción por su nombre MCP (las admin incluidas; executeAction las filtra).
+ */
+export function findActionByToolName(name) {
+  return listActions({ includeAdmin: true }).find((a) => a.name === name) || null;
+}
@@ -3,12 +3,10 @@ import Ajv from 'ajv';
 import crypto from 'crypto';
 import { logger } from '../utils/logger.js'; // Ajusta la ruta si tus utils están en src/utils
 
-// --- IMPORTAMOS SOLO LOS MÓDULOS REALES ---
-import * as calendar from '../tools/calendar.js';
-import * as barbers from '../tools/barbers.js';
-import * as catalog from '../tools/catalog.js'; 
-import * as booking from '../tools/booking.js';   
-import cache from '../utils/cache.js';
+import { executeAction, normalizeError, httpStatusFor } from './execute.js';
+import { listActions } from './registry.js';
+import { isJsonRpcPayload, handlePayload, rpcError, RPC_ERRORS } from './jsonrpc.js';
+import { hasAdminKey } from '../middleware/auth.js';
 
 const ajv = new Ajv({ removeAdditional: true, allErrors: true });
 const schema = {
@@ -22,30 +20,10 @@ const schema = {
 };
 const validate = ajv.compile(schema);
 
-// --- REGISTRO DE HERRAMIENTAS ---
-const registry = {
-  // Módulos Core
-  calendar,
-  barbers,
-  catalog,
-  booking,
-  
-  // --- ALIAS (Puentes para N8N) ---
-  // Esto permite que si el Agente llama a "ver_disponibilidad",
-  // el MCP use el código de "calendar" automáticamente.
-  ver_disponibilidad: calendar,
-  agendar_turno: calendar,
-  cancelar_turno: calendar,
-  buscar_turnos: booking,
-  
-  // docs y notificador se han eliminado
-};
-
 export const mcpRouter = express.Router();
 
 // Configuración básica
 const API_KEY = process.env.API_KEY || '';
-const CACHE_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS || 120);
 const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE || 60);
 
 // Rate limiter en memoria simple
@@ -66,19 +44,6 @@ function timingSafeCompare(a, b) {
   }
 }
 
-function normalizeError(e) {
-  if (!e) return { code: 'ERROR', message: 'Unknown error', status: 500, raw: e };
-  if (e instanceof Error) {
-    return {
-      code: e.code || (e.name ? e.name.toUpperCase() : 'ERROR'),
-      message: e.message || String(e),
-      status: e.status || e.statusCode || (e.response && e.response.status),
-      raw: e,
-    };
-  }
-  return { code: 'ERROR', message: String(e), status: 500, raw: e };
-}
-
 function rateAllow(apiKey) {
   if (!RATE_LIMIT_PER_MINUTE || RATE_LIMIT_PER_MINUTE <= 0) return true;
   const nowSec = Math.floor(Date.now() / 1000);
@@ -96,15 +61,111 @@ function rateAllow(apiKey) {
   return true;
 }
 
-mcpRouter.post('/', async (req, res) => {
-  const requestId = req.headers['x-request-id'] || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+// --- SESIONES MCP (Streamable HTTP) ---
+// Se crean en "initialize" y se devuelven en la cabecera Mcp-Session-Id. Se cierran con
+// DELETE, al cerrarse su último stream SSE o tras MCP_SESSION_TTL_MS sin uso; pasado
+// MCP_MAX_SESSIONS se descarta la usada hace más tiempo.
+const sessions = new Map(); // sessionId -> { createdAt, lastSeen, streams:Set<res> } (orden: uso más viejo primero)
+const SSE_HEARTBEAT_MS = 25_000;
+const SESSION_TTL_MS = Number(process.env.MCP_SESSION_TTL_MS || 30 * 60_000);
+const MAX_SESSIONS = Number(process.env.MCP_MAX_SESSIONS || 1000);
+
+function touchSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return null;
+  session.lastSeen = Date.now();
+  sessions.delete(sessionId);
+  sessions.set(sessionId, session);
+  return session;
+}
+
+function closeSession(sessionId, reason) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  sessions.delete(sessionId);
+  for (const stream of session.streams) stream.end();
+  logger.info({ sessionId, reason }, 'mcp.session.closed');
+}
+
+// Las que tienen un stream abierto siguen vivas (el heartbeat lo mantiene). 0 = sin vencimiento
+if (SESSION_TTL_MS > 0) {
+  const sweepTimer = setInterval(() => {
+    const cutoff = Date.now() - SESSION_TTL_MS;
+    for (const [sessionId, session] of sessions) {
+      if (!session.streams.size && session.lastSeen < cutoff) closeSession(sessionId, 'idle');
+    }
+  }, Math.min(SESSION_TTL_MS, 60_000));
+  sweepTimer.unref?.();
+}
+
+function checkAccess(req, res) {
   const incomingApiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace(/^Bearer\s+/i, '') || '';
 
   const authorized = API_KEY ? timingSafeCompare(API_KEY, incomingApiKey) : true;
-  if (!authorized) return res.status(401).json({ status: 'error', error: 'UNAUTHORIZED', message: 'Invalid API key' });
+  if (!authorized) {
+    res.status(401).json({ status: 'error', error: 'UNAUTHORIZED', message: 'Invalid API key' });
+    return false;
+  }
+
+  if (!rateAllow(incomingApiKey || 'anon')) {
+    res.status(429).json({ status: 'error', error: 'RATE_LIMIT', message: 'Rate limit exceeded' });
+    return false;
+  }
+  return true;
+}
+
+function getRequestId(req) {
+  return req.headers['x-request-id'] || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+function wantsSseOnly(req) {
+  const accept = String(req.headers.accept || '');
+  return accept.includes('text/event-stream') && !accept.includes('application/json');
+}
+
+function writeSse(res, data) {
+  res.write(`event: message\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function handleJsonRpc(req, res, requestId) {
+  const body = req.body;
+  const sessionHeader = req.headers['mcp-session-id'];
+
+  if (sessionHeader && !touchSession(sessionHeader)) {
+    return res.status(404).json(rpcError(null, RPC_ERRORS.INVALID_REQUEST, 'Session not found'));
+  }
+
+  const messages = Array.isArray(body) ? body : [body];
+  const isInitialize = messages.some((m) => m && m.method === 'initialize');
+
+  let sessionId = sessionHeader;
+  if (isInitialize && !sessionId) {
+    if (sessions.size >= MAX_SESSIONS) closeSession(sessions.keys().next().value, 'max_sessions');
+    sessionId = crypto.randomUUID();
+    sessions.set(sessionId, { createdAt: Date.now(), lastSeen: Date.now(), streams: new Set() });
+    logger.info({ requestId, sessionId }, 'mcp.session.created');
+  }
+  if (sessionId) res.setHeader('Mcp-Session-Id', sessionId);
+
+  const response = await handlePayload(body, { requestId, sessionId, admin: hasAdminKey(req) });
 
-  if (!rateAllow(incomingApiKey || 'anon')) return res.status(429).json({ status: 'error', error: 'RATE_LIMIT', message: 'Rate limit exceeded' });
+  // Solo notificaciones / respuestas → 202 sin cuerpo
+  if (!response) return res.status(202).end();
 
+  // Cliente que solo acepta SSE → respondemos en un stream y lo cerramos
+  if (wantsSseOnly(req)) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    writeSse(res, response);
+    return res.end();
+  }
+
+  return res.json(response);
+}
+
+async function handleLegacy(req, res, requestId) {
   const body = req.body || {};
   if (!validate(body)) return res.status(400).json({ status: 'error', message: 'JSON inválido', errors: validate.errors });
   
@@ -116,69 +177,100 @@ mcpRouter.post('/', async (req, res) => {
     return res.json({ status: 'ok', data: { pong: true } });
   }
 
-  // --- RESOLUCIÓN DE LA TOOL ---
-  const mod = registry[tool];
-  if (!mod) {
-    return res.status(404).json({ status: 'error', message: `Tool desconocida: ${tool}` });
-  }
-
-  // Buscamos la acción dentro de actions{} o exportada directamente
-  const handler = (mod.actions && typeof mod.actions[action] === 'function')
-    ? (p) => mod.actions[action]({ params: p })
-    : (typeof mod[action] === 'function' ? mod[action] : null);
-
-  if (!handler) {
-    return res.status(404).json({ status: 'error', message: `Acción desconocida: ${action}` });
-  }
-
-  // Clave de caché determinista
-  const deterministicKey = `mcp:${tool}:${action}:${crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex')}`;
-
   try {
-    // 1. Intentar leer de caché (Solo para lecturas seguras)
-    if (CACHE_TTL_SECONDS > 0 && (action === 'check' || action === 'resolve' || action === 'search' || action === 'get')) { 
-       const cached = await cache.get(deterministicKey);
-       if (cached) {
-         logger.info({ requestId, tool, action }, 'mcp.cache_hit');
-         return res.json({ status: 'ok', data: cached, fromCache: true });
-       }
-    }
-
-    // 2. Ejecutar la lógica real
-    // Pasamos meta información por si la tool la necesita (requestId)
-    const result = await handler({ ...params, _meta: { requestId } });
-    
-    // Normalizar respuesta: Si viene { ok:true, data:... } extraemos data
-    const payload = (result && result.ok === true && result.data !== undefined) ? result.data : result;
-
-    // 3. Guardar en caché si aplica
-    if (CACHE_TTL_SECONDS > 0 && (action === 'check' || action === 'resolve' || action === 'search' || action === 'get')) {
-       // Solo cacheamos si no hubo error implícito
-       if (!payload.error) {
-         await cache.set(deterministicKey, payload, CACHE_TTL_SECONDS);
-       }
-    }
+    const { payload, fromCache } = await executeAction({ tool, action, params, requestId, admin: hasAdminKey(req) });
 
+    if (fromCache) return res.json({ status: 'ok', data: payload, fromCache: true });
     return res.json({ status: 'ok', message: 'OK', data: payload });
 
   } catch (rawErr) {
     const err = normalizeError(rawErr);
-    
-    // Mapeo de errores de negocio a HTTP Status
-    const mappedStatus =
-      err.code === 'GOOGLE_403_FORBIDDEN' ? 403 :
-      err.code === 'EVENT_NOT_FOUND' || err.code === 'BARBER_NOT_FOUND' || err.code === 'CATALOG_NOT_FOUND' ? 404 :
-      err.code === 'SLOT_OCCUPIED' ? 409 :
-      err.code === 'INVALID_RANGE' || err.code === 'IN_PAST' || err.code === 'INVALID_WHEN' || err.code === 'MISSING_CALENDAR' ? 400 :
-      500;
-
-    logger.error({ requestId, tool, action, err }, 'mcp.error');
+
+    // --- RESOLUCIÓN DE LA TOOL ---
+    if (err.code === 'TOOL_NOT_FOUND' || err.code === 'ACTION_NOT_FOUND') {
+      return res.status(404).json({ status: 'error', message: err.message });
+    }
+
+    if (err.code === 'INVALID_PARAMS') logger.warn({ requestId, tool, action, errors: err.errors }, 'mcp.invalid_params');
+    else logger.error({ requestId, tool, action, err }, 'mcp.error');
     
     // Respuesta de error limpia
-    return res.status(mappedStatus).json({ 
+    return res.status(httpStatusFor(err)).json({ 
       status: 'error', 
       error: err.code || 'INTERNAL_ERROR', 
-      message: err.message 
+      message: err.message,
+      ...(err.errors && { errors: err.errors }),
+      ...(err.options && { options: err.options }),
     });
   }
-});
\ No newline at end of file
+}
+
+// POST: contrato propio {tool, action, params} o JSON-RPC 2.0 (MCP)
+mcpRouter.post('/', async (req, res) => {
+  const requestId = getRequestId(req);
+  if (!checkAccess(req, res)) return;
+
+  if (isJsonRpcPayload(req.body)) return handleJsonRpc(req, res, requestId);
+  return handleLegacy(req, res, requestId);
+});
+
+// GET /tools: listado de acciones con sus schemas (prompts de agentes, nodos n8n)
+mcpRouter.get('/tools', (req, res) => {
+  if (!checkAccess(req, res)) return;
+
+  const tools = listActions().map((a) => ({
+    tool: a.tool,
+    action: a.action,
+    name: a.name,
+    description: a.description,
+    inputSchema: a.inputSchema,
+    outputSchema: a.outputSchema,
+  }));
+  return res.json({ status: 'ok', data: { tools } });
+});
+
+// GET: stream SSE servidor → cliente (Streamable HTTP)
+mcpRouter.get('/', (req, res) => {
+  if (!checkAccess(req, res)) return;
+
+  const accept = String(req.headers.accept || '');
+  if (!accept.includes('text/event-stream')) {
+    return res.status(405).set('Allow', 'POST, DELETE').json({ status: 'error', message: 'Use Accept: text/event-stream' });
+  }
+
+  const sessionId = req.headers['mcp-session-id'];
+  const session = sessionId ? touchSession(sessionId) : null;
+  if (!session) {
+    return res.status(404).json(rpcError(null, RPC_ERRORS.INVALID_REQUEST, 'Session not found'));
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Mcp-Session-Id', sessionId);
+  res.flushHeaders?.();
+
+  // No emitimos peticiones servidor → cliente; solo mantenemos viva la conexión
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  session.streams.add(res);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    session.streams.delete(res);
+    if (!session.streams.size && sessions.get(sessionId) === session) closeSession(sessionId, 'stream_closed');
+  });
+});
+
+// DELETE: el cliente cierra la sesión MCP
+mcpRouter.delete('/', (req, res) => {
+  if (!checkAccess(req, res)) return;
+
+  const sessionId = req.headers['mcp-session-id'];
+  if (!sessionId || !sessions.has(sessionId)) {
+    return res.status(404).json(rpcError(null, RPC_ERRORS.INVALID_REQUEST, 'Session not found'));
+  }
+
+  closeSession(sessionId, 'delete');
+  return res.status(204).end();
+});
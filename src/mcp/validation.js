@@ -0,0 +1,61 @@
+// src/mcp/validation.js
+// Validación de params por acción contra el schema que declara cada tool.
+import Ajv from 'ajv';
+import { registry } from './registry.js';
+
+// coerceTypes: n8n suele mandar números como string ("30")
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false });
+
+// WeakMap por módulo: los alias comparten los validadores del módulo real
+const compiled = new WeakMap();
+
+function getValidator(mod, action) {
+  const schema = mod.schemas?.[action]?.input;
+  if (!schema) return null;
+
+  let byAction = compiled.get(mod);
+  if (!byAction) {
+    byAction = new Map();
+    compiled.set(mod, byAction);
+  }
+  if (!byAction.has(action)) byAction.set(action, ajv.compile(schema));
+  return byAction.get(action);
+}
+
+/**
+ * Traduce los errores de Ajv a errores por campo:
+ * [{ field: 'date', message: 'must match pattern ...', keyword: 'pattern' }]
+ */
+function toFieldErrors(errors = []) {
+  const out = [];
+  for (const e of errors) {
+    const base = e.instancePath ? e.instancePath.slice(1).replace(/\//g, '.') : '';
+    const field = e.keyword === 'required'
+      ? [base, e.params.missingProperty].filter(Boolean).join('.')
+      : base;
+    const item = { field: field || null, message: e.message, keyword: e.keyword };
+    // Evitamos duplicados que genera anyOf/allOf
+    if (!out.some((o) => o.field === item.field && o.message === item.message)) out.push(item);
+  }
+  return out;
+}
+
+/**
+ * Valida (y coacciona) params in-place. Lanza INVALID_PARAMS con errors[] si no cumple.
+ * Si la acción no declara schema no valida nada.
+ */
+export function validateParams(tool, action, params) {
+  const mod = registry[tool];
+  if (!mod) return params;
+
+  const validate = getValidator(mod, action);
+  if (!validate || validate(params)) return params;
+
+  const errors = toFieldErrors(validate.errors);
+  const err = new Error(
+    `INVALID_PARAMS: ${errors.map((e) => (e.field ? `${e.field} ${e.message}` : e.message)).join('; ')}`
+  );
+  err.code = 'INVALID_PARAMS';
+  err.errors = errors;
+  throw err;
+}
@@ -7,3 +7,17 @@ export function auth(req, res, next) {
   if (token !== config.apiKey) return res.status(401).json({ status: 'error', message: 'No autorizado' });
   next();
 }
+
+// /admin: solo con ADMIN_API_KEY (la del agente no sirve)
+export function adminAuth(req, res, next) {
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  if (!config.adminApiKey) return res.status(500).json({ status: 'error', message: 'ADMIN_API_KEY no configurada' });
+  if (token !== config.adminApiKey) return res.status(401).json({ status: 'error', message: 'No autorizado' });
+  next();
+}
+
+// Acciones admin por /mcp: además de la API_KEY, la cabecera X-Admin-Key con ADMIN_API_KEY
+export function hasAdminKey(req) {
+  return !!config.adminApiKey && req.headers['x-admin-key'] === config.adminApiKey;
+}
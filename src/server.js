@@ -3,10 +3,15 @@ import express from 'express';
 import cors from 'cors';
 import morgan from 'morgan';
 
-import { config, barbers, businessHours } from './config.js';
-import { auth } from './middleware/auth.js';
+import { config } from './config.js';
+import { auth, adminAuth } from './middleware/auth.js';
 import { rateLimit } from './middleware/rate.js';
 import { mcpRouter } from './mcp/router.js';
+import { adminRouter } from './admin/router.js';
+import { startOutbox } from './utils/outbox.js';
+import { startReminders } from './tools/reminders.js';
+import { startDirectoryWatch, directoryInfo } from './utils/directory.js';
+import { startCatalogWatch } from './tools/catalog.js';
 
 // Logger PRO
 import { createRequestLogger } from './utils/logger.js';
@@ -30,16 +35,21 @@ app.get('/health', (_, res) =>
 // Aplica auth + rate limit al contrato MCP
 app.use('/mcp', auth, rateLimit, mcpRouter);
 app.use('/tools', auth, rateLimit, mcpRouter);
+// Alta/edición de barberos, horarios y servicios: con su propia clave (ADMIN_API_KEY)
+app.use('/admin', adminAuth, rateLimit, adminRouter);
 
 // Endpoint opcional para debug
 app.get('/_debug/config', auth, (req, res) => {
+  const directory = directoryInfo();
   res.json({
     status: 'ok',
     tz: config.tz,
     cacheTtlSec: config.cacheTtlSec,
     ratePerMin: config.ratePerMin,
-    barbersCount: barbers.length,
-    hoursKeys: Object.keys(businessHours),
+    calendarBackend: process.env.CALENDAR_BACKEND || 'google',
+    barbersCount: directory.barbersCount,
+    hoursKeys: directory.hoursKeys,
+    directory,
   });
 });
 
@@ -61,4 +71,12 @@ app.listen(config.port, () => {
     },
     'server.started'
   );
+
+  // Reintenta los webhooks que quedaron pendientes de la ejecución anterior
+  startOutbox();
+  // Recordatorios de citas (solo si hay REMINDER_SINK_URL)
+  startReminders();
+  // Recarga barbers.json / business_hours.json / catalog.json al editarlos, sin reiniciar
+  startDirectoryWatch();
+  startCatalogWatch();
 });
@@ -0,0 +1,66 @@
+// src/stdio.js
+// Entrypoint MCP por stdio: los hosts de agentes de escritorio lanzan
+// este proceso como hijo y hablan JSON-RPC por stdin/stdout
+// (un mensaje JSON por línea).
+import 'dotenv/config';
+import readline from 'node:readline';
+
+// Tiene que quedar definido ANTES de cargar el logger (por eso los imports dinámicos)
+process.env.MCP_TRANSPORT = 'stdio';
+
+const { logger } = await import('./utils/logger.js');
+const { handlePayload, rpcError, RPC_ERRORS } = await import('./mcp/jsonrpc.js');
+const { startOutbox } = await import('./utils/outbox.js');
+const { startReminders } = await import('./tools/reminders.js');
+const { startDirectoryWatch } = await import('./utils/directory.js');
+const { startCatalogWatch } = await import('./tools/catalog.js');
+
+startOutbox();
+startReminders();
+startDirectoryWatch();
+startCatalogWatch();
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+const pending = new Set();
+let seq = 0;
+
+async function onLine(line) {
+  const text = line.trim();
+  if (!text) return;
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (e) {
+    send(rpcError(null, RPC_ERRORS.PARSE_ERROR, 'Parse error'));
+    return;
+  }
+
+  const requestId = `stdio-${++seq}`;
+  try {
+    const response = await handlePayload(body, { requestId });
+    if (response) send(response);
+  } catch (e) {
+    logger.error({ requestId, err: { message: e.message, stack: e.stack } }, 'mcp.stdio.error');
+    send(rpcError(body?.id ?? null, RPC_ERRORS.INTERNAL_ERROR, e.message || 'Internal error'));
+  }
+}
+
+const rl = readline.createInterface({ input: process.stdin, terminal: false });
+
+rl.on('line', (line) => {
+  // Procesamos en paralelo: cada respuesta lleva su id
+  const p = onLine(line).finally(() => pending.delete(p));
+  pending.add(p);
+});
+
+rl.on('close', async () => {
+  await Promise.allSettled([...pending]);
+  logger.info({}, 'mcp.stdio.closed');
+  process.exit(0);
+});
+
+logger.info({ pid: process.pid }, 'mcp.stdio.started');
@@ -1,51 +1,11 @@
-import fs from 'fs';
-import path from 'path';
-import { createRequestLogger } from '../utils/logger.js';
+import { createRequestLogger, logWithDuration } from '../utils/logger.js';
+import {
+  listBarbers, getBarber, findBarber, barberForCalendar, getBusinessHours, updateDirectory,
+} from '../utils/directory.js';
+import { getCalendarBackend } from '../backends/calendar/index.js';
+import { DIRECTORY_TAG } from '../utils/cache.js';
 const log = createRequestLogger({ tool: 'barbers', action: 'resolve' });
 
-
-const BARBERS_JSON_PATH =
-  process.env.BARBERS_JSON || path.join(process.cwd(), 'data', 'barbers.json');
-
-/**
- * Carga y cachea el archivo barbers.json
- */
-let barbersCache = null;
-
-function loadBarbers() {
-  if (barbersCache) return barbersCache;
-
-  try {
-    if (!fs.existsSync(BARBERS_JSON_PATH)) {
-      log.error({ path: BARBERS_JSON_PATH }, 'BARBERS_JSON_NOT_FOUND');
-      barbersCache = {};
-      return barbersCache;
-    }
-
-    const raw = fs.readFileSync(BARBERS_JSON_PATH, 'utf8').trim();
-    const parsed = JSON.parse(raw);
-
-    if (!parsed || typeof parsed !== 'object') {
-      log.error({}, 'BARBERS_JSON_INVALID');
-      barbersCache = {};
-      return barbersCache;
-    }
-
-    barbersCache = parsed;
-  } catch (err) {
-    log.error(
-      {
-        message: err.message,
-        stack: err.stack,
-      },
-      'BARBERS_JSON_LOAD_ERROR'
-    );
-    barbersCache = {};
-  }
-
-  return barbersCache;
-}
-
 /**
  * Normaliza texto para comparación
  * (NO tocamos esta lógica)
@@ -134,19 +94,17 @@ async function resolveBarber(params) {
     return resp;
   }
 
+  // Respuesta cacheada hasta que cambie el directorio (edición del archivo o admin)
+  params._meta?.cacheTags.push(DIRECTORY_TAG);
   const inputN = normalize(name);
-  const barbers = loadBarbers();
 
   const matches = [];
   let internalIdMatch = null;
 
-  for (const barberId of Object.keys(barbers)) {
-    const cfg = barbers[barberId];
-
+  for (const cfg of listBarbers({ includeInactive: true })) {
+    const barberId = cfg.id;
     const display = normalize(cfg.displayName);
-    const aliases = Array.isArray(cfg.aliases)
-      ? cfg.aliases.map((a) => normalize(a))
-      : [];
+    const aliases = cfg.aliases.map((a) => normalize(a));
 
     // 1) displayName coincide (exacto o casi igual)
     if (looseMatch(inputN, display)) {
@@ -217,10 +175,331 @@ async function resolveBarber(params) {
   return resp;
 }
 
+// -------------------- ADMIN --------------------
+// Alta, edición y baja de barberos y sus horarios. Persisten en barbers.json /
+// business_hours.json vía updateDirectory (validación, escritura atómica y copia previa).
+
+/**
+ * Nombres (displayName / aliases) que resolve confundiría con los de otro barbero:
+ * misma comparación (looseMatch) contra todos, también los desactivados.
+ */
+export function findNameConflicts(names, { exceptId } = {}) {
+  const conflicts = [];
+  for (const cfg of listBarbers({ includeInactive: true })) {
+    if (cfg.id === exceptId) continue;
+    const theirs = [cfg.displayName, ...cfg.aliases].map((n) => normalize(n));
+
+    for (const n of names) {
+      const nn = normalize(n);
+      if (!nn) continue;
+      const hit = theirs.find((t) => looseMatch(nn, t));
+      if (hit) conflicts.push({ name: n, barber_id: cfg.id, displayName: cfg.displayName, matches: hit });
+    }
+  }
+  return conflicts;
+}
+
+function assertNoConflicts(names, exceptId) {
+  const conflicts = findNameConflicts(names, { exceptId });
+  if (!conflicts.length) return;
+  const err = new Error(
+    `BARBER_ALIAS_CONFLICT: ${conflicts.map((c) => `"${c.name}" se confunde con ${c.displayName}`).join('; ')}`
+  );
+  err.code = 'BARBER_ALIAS_CONFLICT';
+  err.options = conflicts;
+  throw err;
+}
+
+// El calendario tiene que existir, ser accesible para la cuenta de servicio y no ser de otro barbero
+async function verifyCalendarAccess(calendarId, exceptId) {
+  const owner = barberForCalendar(calendarId);
+  if (owner && owner.id !== exceptId) {
+    const err = new Error(`CALENDAR_IN_USE: ${calendarId} ya es el calendario de ${owner.displayName}`);
+    err.code = 'CALENDAR_IN_USE';
+    throw err;
+  }
+
+  try {
+    return await getCalendarBackend().getCalendar(calendarId);
+  } catch (e) {
+    const status = e?.response?.status || e?.statusCode || e?.code;
+    if (![400, 403, 404].includes(status)) throw e;
+    const err = new Error(
+      `CALENDAR_NOT_ACCESSIBLE: ${calendarId} (HTTP ${status}; ¿está compartido con la cuenta de servicio?)`
+    );
+    err.code = 'CALENDAR_NOT_ACCESSIBLE';
+    throw err;
+  }
+}
+
+function requireBarber(id) {
+  const barber = getBarber(id) || findBarber(id);
+  if (!barber) {
+    const err = new Error(`BARBER_NOT_FOUND: ${id}`);
+    err.code = 'BARBER_NOT_FOUND';
+    throw err;
+  }
+  return barber;
+}
+
+function cleanAliases(aliases) {
+  return [...new Set((aliases || []).map((a) => String(a).trim()).filter(Boolean))];
+}
+
+// id técnico a partir del nombre visible: "Juan Pablo" → "juan-pablo"
+function slugify(str) {
+  return normalize(str).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function toAdminView(barber) {
+  return { ...barber, hours: getBusinessHours()[barber.id] || null };
+}
+
+async function listForAdmin(params = {}) {
+  const { includeInactive = true } = params;
+  return { barbers: listBarbers({ includeInactive }).map(toAdminView) };
+}
+
+async function createBarber(params = {}) {
+  const log = createRequestLogger({ tool: 'barbers', action: 'create' });
+  const started = Date.now();
+
+  const displayName = String(params.displayName).trim();
+  const aliases = cleanAliases(params.aliases);
+  const id = params.id ? String(params.id).trim() : slugify(displayName);
+  if (!id || id === 'default') {
+    const err = new Error(`INVALID_PARAMS: id inválido (${id || 'vacío'})`);
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
+  if (getBarber(id)) {
+    const err = new Error(`BARBER_EXISTS: ya existe un barbero con id ${id}`);
+    err.code = 'BARBER_EXISTS';
+    throw err;
+  }
+
+  assertNoConflicts([displayName, ...aliases]);
+  const calendar = await verifyCalendarAccess(params.calendarId);
+
+  await updateDirectory((draft) => {
+    draft.barbers[id] = { displayName, aliases, calendarId: params.calendarId };
+    if (params.hours) draft.businessHours[id] = params.hours;
+  }, { reason: 'barbers.create' });
+
+  logWithDuration(log, 'barbers.create → completado', { id, calendarId: params.calendarId }, started);
+  return { barber: toAdminView(getBarber(id)), calendar };
+}
+
+async function updateBarber(params = {}) {
+  const log = createRequestLogger({ tool: 'barbers', action: 'update' });
+  const started = Date.now();
+
+  const current = requireBarber(params.id);
+  const changes = {};
+  if (params.displayName !== undefined) changes.displayName = String(params.displayName).trim();
+  if (params.aliases !== undefined) changes.aliases = cleanAliases(params.aliases);
+  if (params.calendarId !== undefined && params.calendarId !== current.calendarId) changes.calendarId = params.calendarId;
+
+  if (changes.displayName !== undefined || changes.aliases !== undefined) {
+    assertNoConflicts([changes.displayName ?? current.displayName, ...(changes.aliases ?? current.aliases)], current.id);
+  }
+  // Las citas ya creadas se quedan en el calendario anterior
+  const calendar = changes.calendarId ? await verifyCalendarAccess(changes.calendarId, current.id) : undefined;
+
+  await updateDirectory((draft) => {
+    const entry = Object.assign(draft.barbers[current.id], changes);
+    if (params.active === true) delete entry.active;
+    if (params.active === false) entry.active = false;
+  }, { reason: 'barbers.update' });
+
+  logWithDuration(log, 'barbers.update → completado', { id: current.id, fields: Object.keys(changes), active: params.active }, started);
+  return { barber: toAdminView(getBarber(current.id)), ...(calendar && { calendar }) };
+}
+
+async function deactivateBarber(params = {}) {
+  return updateBarber({ id: params.id, active: false });
+}
+
+async function setBarberHours(params = {}) {
+  const log = createRequestLogger({ tool: 'barbers', action: 'setHours' });
+  const started = Date.now();
+
+  const barber = requireBarber(params.id);
+  await updateDirectory((draft) => {
+    // null = sin horario propio (hereda el default de la barbería)
+    if (params.hours) draft.businessHours[barber.id] = params.hours;
+    else delete draft.businessHours[barber.id];
+  }, { reason: 'barbers.setHours' });
+
+  logWithDuration(log, 'barbers.setHours → completado', { id: barber.id, inherits: !params.hours }, started);
+  return { barber: toAdminView(getBarber(barber.id)) };
+}
+
 export const name = 'barbers';
 
+// Solo con la clave admin (rutas /admin o X-Admin-Key); no salen en tools/list
+export const adminActions = ['list', 'create', 'update', 'deactivate', 'setHours'];
+
+// Descripciones para el listado de tools MCP
+export const descriptions = {
+  resolve: 'Resuelve el nombre o alias de un barbero a su barber_id y nombre visible.',
+  list: '(Admin) Lista los barberos con su calendario, estado y horario propio.',
+  create: '(Admin) Da de alta un barbero: verifica el acceso a su calendario y que sus nombres no se confundan con los de otro.',
+  update: '(Admin) Cambia nombre visible, aliases, calendario o estado (active) de un barbero.',
+  deactivate: '(Admin) Desactiva un barbero: conserva sus citas pero deja de recibir nuevas.',
+  setHours: '(Admin) Define el horario semanal de un barbero (null = usa el de la barbería).',
+};
+
+const timeProp = { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' };
+
+// Misma forma que una entrada de business_hours.json (ver calendar.js)
+const hoursSchema = {
+  type: ['object', 'null'],
+  properties: {
+    days: { type: 'array', items: { type: 'string' } },
+    start: timeProp,
+    end: timeProp,
+    weekly: {
+      type: 'object',
+      additionalProperties: {
+        type: ['array', 'null'],
+        items: {
+          anyOf: [
+            { type: 'array', items: timeProp, minItems: 2, maxItems: 2 },
+            { type: 'object', required: ['start', 'end'], properties: { start: timeProp, end: timeProp } },
+          ],
+        },
+      },
+    },
+    breaks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['start', 'end'],
+        properties: { start: timeProp, end: timeProp, days: { type: 'array', items: { type: 'string' } } },
+      },
+    },
+    slotStep: { type: 'integer', minimum: 5 },
+  },
+};
+
+const barberSchema = {
+  type: 'object',
+  required: ['id', 'displayName', 'calendarId', 'active'],
+  properties: {
+    id: { type: 'string' },
+    displayName: { type: 'string' },
+    aliases: { type: 'array', items: { type: 'string' } },
+    calendarId: { type: 'string' },
+    active: { type: 'boolean' },
+    hours: hoursSchema,
+  },
+};
+
+const barberOutput = {
+  type: 'object',
+  required: ['barber'],
+  properties: {
+    barber: barberSchema,
+    calendar: { type: 'object', properties: { id: { type: 'string' }, summary: { type: 'string' }, timeZone: { type: 'string' } } },
+  },
+};
+
+const idProp = { type: 'string', minLength: 1, description: 'barber_id (o nombre/alias)' };
+
+// Schemas input/output por acción
+export const schemas = {
+  resolve: {
+    input: {
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string', minLength: 1, description: 'Nombre o alias' } },
+    },
+    output: {
+      type: 'object',
+      required: ['barber_id', 'displayName'],
+      properties: { barber_id: { type: 'string' }, displayName: { type: 'string' } },
+    },
+  },
+  list: {
+    input: {
+      type: 'object',
+      properties: { includeInactive: { type: 'boolean', default: true } },
+    },
+    output: {
+      type: 'object',
+      required: ['barbers'],
+      properties: { barbers: { type: 'array', items: barberSchema } },
+    },
+  },
+  create: {
+    input: {
+      type: 'object',
+      required: ['displayName', 'calendarId'],
+      properties: {
+        id: { type: 'string', minLength: 1, description: 'Id técnico; default: el nombre en minúsculas y con guiones' },
+        displayName: { type: 'string', minLength: 1 },
+        aliases: { type: 'array', items: { type: 'string', minLength: 1 } },
+        calendarId: { type: 'string', minLength: 1 },
+        hours: hoursSchema,
+      },
+    },
+    output: barberOutput,
+  },
+  update: {
+    input: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: idProp,
+        displayName: { type: 'string', minLength: 1 },
+        aliases: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Reemplaza la lista completa' },
+        calendarId: { type: 'string', minLength: 1, description: 'Las citas existentes se quedan en el calendario anterior' },
+        active: { type: 'boolean' },
+      },
+    },
+    output: barberOutput,
+  },
+  deactivate: {
+    input: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: idProp },
+    },
+    output: barberOutput,
+  },
+  setHours: {
+    input: {
+      type: 'object',
+      required: ['id', 'hours'],
+      properties: { id: idProp, hours: hoursSchema },
+    },
+    output: barberOutput,
+  },
+};
+
 export const actions = {
   async resolve({ params }) {
     return await resolveBarber(params);
   },
+  async list({ params }) {
+    const data = await listForAdmin(params);
+    return { ok: true, data };
+  },
+  async create({ params }) {
+    const data = await createBarber(params);
+    return { ok: true, data };
+  },
+  async update({ params }) {
+    const data = await updateBarber(params);
+    return { ok: true, data };
+  },
+  async deactivate({ params }) {
+    const data = await deactivateBarber(params);
+    return { ok: true, data };
+  },
+  async setHours({ params }) {
+    const data = await setBarberHours(params);
+    return { ok: true, data };
+  },
 };
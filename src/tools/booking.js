@@ -1,87 +1,35 @@
 // src/tools/booking.js
-import fs from 'fs';
-import path from 'path';
-import { google } from 'googleapis';
 import { DateTime } from 'luxon';
-import { logger, createRequestLogger, logWithDuration } from '../utils/logger.js';
+import { createRequestLogger, logWithDuration } from '../utils/logger.js';
 import * as barbersTool from './barbers.js';
+import { getCalendarBackend } from '../backends/calendar/index.js';
+import { normalizePhoneE164 } from '../utils/phone.js';
+import { naturalRange } from '../utils/naturalDate.js';
+import { bookingsTag } from '../utils/cache.js';
+import { getBarber, listBarbers } from '../utils/directory.js';
 
 const TZ = process.env.TIMEZONE || 'America/Bogota';
-const BARBERS_JSON_PATH =
-  process.env.BARBERS_JSON || path.join(process.cwd(), 'data', 'barbers.json');
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
 
 // ---------- Helpers compartidos con calendar ----------
 
-function getAuthClient() {
-  const keyfile = process.env.GOOGLE_SA_KEYFILE;
-  const jsonInline = process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON;
-  const b64 = process.env.GOOGLE_SA_JSON_BASE64; // opcional
-
-  let credentials;
-
-  try {
-    if (keyfile && fs.existsSync(keyfile)) {
-      credentials = JSON.parse(fs.readFileSync(keyfile, 'utf8'));
-    } else if (jsonInline) {
-      credentials = JSON.parse(jsonInline);
-    } else if (b64) {
-      credentials = JSON.parse(Buffer.from(b64, 'base64').toString('utf8'));
-    } else {
-      const err = new Error(
-        'MISSING_GOOGLE_SA: Define GOOGLE_APPLICATION_CREDENTIALS_JSON o GOOGLE_SA_KEYFILE'
-      );
-      err.code = 'MISSING_GOOGLE_SA';
-      throw err;
-    }
-  } catch (err) {
-    logger.error?.('BOOKING_GOOGLE_SA_PARSE_ERROR', { message: err.message });
-    throw err;
+/**
+ * Lee Tel:/ID: de la descripción libre (eventos creados antes de extendedProperties)
+ */
+function parseLegacyDescription(description = '') {
+  const out = {};
+  for (const line of String(description).split(/\r?\n/)) {
+    const m = line.match(/^\s*(Tel|ID)\s*:\s*(.+?)\s*$/i);
+    if (!m) continue;
+    if (m[1].toLowerCase() === 'tel') out.phone = normalizePhoneE164(m[2]);
+    else out.clientId = m[2].toLowerCase();
   }
-
-  if (!credentials || !credentials.client_email || !credentials.private_key) {
-    const err = new Error(
-      'INVALID_GOOGLE_SA: missing client_email or private_key in credentials'
-    );
-    err.code = 'INVALID_GOOGLE_SA';
-    throw err;
-  }
-
-  const privateKey = credentials.private_key.replace(/\\n/g, '\n');
-
-  return new google.auth.JWT({
-    email: credentials.client_email,
-    key: privateKey,
-    scopes: ['https://www.googleapis.com/auth/calendar'],
-  });
+  return out;
 }
 
-let barbersConfigCache = null;
-
-function loadBarbersConfig() {
-  if (barbersConfigCache) return barbersConfigCache;
-  try {
-    if (!fs.existsSync(BARBERS_JSON_PATH)) {
-      barbersConfigCache = {};
-      return barbersConfigCache;
-    }
-    const raw = fs.readFileSync(BARBERS_JSON_PATH, 'utf8').trim();
-    if (!raw) {
-      barbersConfigCache = {};
-      return barbersConfigCache;
-    }
-    const parsed = JSON.parse(raw);
-    barbersConfigCache =
-      parsed && typeof parsed === 'object' ? parsed : {};
-  } catch (e) {
-    logger.error?.('BOOKING_BARBERS_JSON_READ_ERROR', { message: e.message });
-    barbersConfigCache = {};
-  }
-  return barbersConfigCache;
-}
-
-function normalizePhone(str) {
-  // dejamos solo dígitos y '+'
-  return String(str || '').replace(/[^\d+]/g, '');
+function hasStructuredMeta(ev) {
+  const priv = ev.extendedProperties?.private || {};
+  return !!(priv.phone || priv.clientId);
 }
 
 // ---------- Core booking.search ----------
@@ -95,8 +43,10 @@ async function searchBookings(params = {}) {
     clientId,
     from,
     to,
+    when,
     barber,
     calendarId: explicitCalId,
+    legacy, // eventos viejos sin extendedProperties: true = siempre, false = nunca, sin valor = si no hubo otros
   } = params;
 
   if (!phone && !clientId) {
@@ -109,14 +59,37 @@ async function searchBookings(params = {}) {
     throw err;
   }
 
-  // Rango de fechas: por defecto -30d a +30d
+  // Rango de fechas: por defecto -30d a +30d.
+  // from/to aceptan ISO o lenguaje natural ("mañana", "el viernes"); when = un día concreto.
   const now = DateTime.now().setZone(TZ);
-  let fromDT = from
-    ? DateTime.fromISO(from, { zone: TZ })
-    : now.minus({ days: 30 });
-  let toDT = to
-    ? DateTime.fromISO(to, { zone: TZ })
-    : now.plus({ days: 30 });
+  const interpreted = {};
+  const bound = (value, edge) => {
+    const iso = DateTime.fromISO(value, { zone: TZ });
+    // Fecha sin hora ("2030-01-07") = el día completo, igual que en lenguaje natural
+    if (iso.isValid && DATE_ONLY_RE.test(String(value).trim())) {
+      return edge === 'from' ? iso.startOf('day') : iso.endOf('day');
+    }
+    if (iso.isValid) return iso;
+    const range = naturalRange(value, { zone: TZ });
+    if (!range) return iso; // inválido → INVALID_RANGE abajo
+    interpreted[edge] = { text: value, date: range.parsed.date, ambiguous: range.parsed.ambiguous };
+    return edge === 'from' ? range.from.startOf('day') : range.to.endOf('day');
+  };
+
+  let fromDT;
+  let toDT;
+  if (when && !from && !to) {
+    fromDT = bound(when, 'from');
+    toDT = bound(when, 'to');
+    if (interpreted.from) {
+      interpreted.when = interpreted.from;
+      delete interpreted.from;
+      delete interpreted.to;
+    }
+  } else {
+    fromDT = from ? bound(from, 'from') : now.minus({ days: 30 });
+    toDT = to ? bound(to, 'to') : now.plus({ days: 30 });
+  }
 
   if (!fromDT.isValid || !toDT.isValid || toDT <= fromDT) {
     const err = new Error('INVALID_RANGE: rango de fechas inválido');
@@ -126,6 +99,7 @@ async function searchBookings(params = {}) {
         err: { message: err.message, code: err.code },
         from,
         to,
+        when,
       },
       'booking.search → rango inválido'
     );
@@ -133,7 +107,6 @@ async function searchBookings(params = {}) {
   }
 
   // --------- Determinar calendarios a consultar ---------
-  const barbersCfg = loadBarbersConfig();
   const calendars = [];
 
   if (explicitCalId) {
@@ -160,7 +133,7 @@ async function searchBookings(params = {}) {
     }
 
     const barberId = resolved.data.barber_id;
-    const cfg = barbersCfg[barberId];
+    const cfg = getBarber(barberId);
 
     if (!cfg || !cfg.calendarId) {
       const err = new Error(`MISSING_CALENDAR para barbero ${barberId}`);
@@ -178,13 +151,12 @@ async function searchBookings(params = {}) {
       barberId,
     });
   } else {
-    // Sin barber → todos los barberos configurados
-    for (const [barberId, cfg] of Object.entries(barbersCfg)) {
-      if (!cfg || !cfg.calendarId) continue;
+    // Sin barber → todos los barberos configurados (también los desactivados: sus citas siguen)
+    for (const b of listBarbers({ includeInactive: true })) {
       calendars.push({
-        calendarId: cfg.calendarId,
-        barberLabel: cfg.displayName || barberId,
-        barberId,
+        calendarId: b.calendarId,
+        barberLabel: b.displayName,
+        barberId: b.id,
       });
     }
   }
@@ -199,68 +171,83 @@ async function searchBookings(params = {}) {
     throw err;
   }
 
-  const auth = getAuthClient();
-  const calendarApi = google.calendar({ version: 'v3', auth });
+  const backend = getCalendarBackend();
 
-  const phoneNorm = phone ? normalizePhone(phone) : null;
-  const clientNorm = clientId
-    ? String(clientId).trim().toLowerCase()
-    : null;
+  const phoneNorm = phone ? normalizePhoneE164(phone) : null;
+  const clientRaw = clientId ? String(clientId).trim() : null;
+  const clientNorm = clientRaw ? clientRaw.toLowerCase() : null;
 
-  const eventsOut = [];
+  // Búsquedas estructuradas: una por identificador (Google hace AND entre propiedades)
+  const structuredQueries = [];
+  if (phoneNorm) structuredQueries.push([`phone=${phoneNorm}`]);
+  if (clientRaw) structuredQueries.push([`clientId=${clientRaw}`]);
 
-  for (const cal of calendars) {
-    const res = await calendarApi.events.list({
-      calendarId: cal.calendarId,
-      timeMin: fromDT.toISO(),
-      timeMax: toDT.toISO(),
-      singleEvents: true,
-      orderBy: 'startTime',
-      timeZone: TZ,
+  const eventsOut = [];
+  const seen = new Set();
+
+  const pushEvent = (ev, cal, matchedBy) => {
+    const startStr = ev.start?.dateTime || ev.start?.date;
+    const endStr = ev.end?.dateTime || ev.end?.date;
+    if (!startStr || !endStr || seen.has(ev.id)) return;
+    seen.add(ev.id);
+
+    const description = ev.description || '';
+    const summary = ev.summary || '';
+    const priv = ev.extendedProperties?.private || {};
+    const fromDesc = matchedBy === 'legacy' ? parseLegacyDescription(description) : {};
+
+    eventsOut.push({
+      id: ev.id,
+      start: DateTime.fromISO(startStr, { zone: TZ }).toISO(),
+      end: DateTime.fromISO(endStr, { zone: TZ }).toISO(),
+      barber: cal.barberLabel,
+      who: summary || description || '',
+      notes: description || '',
+      phone: priv.phone || fromDesc.phone || null,
+      clientId: priv.clientId || fromDesc.clientId || null,
+      serviceId: priv.serviceId || null,
+      matchedBy,
     });
+  };
 
-    const items = res.data.items || [];
-
-    for (const ev of items) {
-      const startStr = ev.start?.dateTime || ev.start?.date;
-      const endStr = ev.end?.dateTime || ev.end?.date;
-      if (!startStr || !endStr) continue;
-
-      const location = ev.location || '';
-      const description = ev.description || '';
-      const summary = ev.summary || '';
-
-      const locNorm = normalizePhone(location);
-      const descNorm = description.toLowerCase();
-
-      let matches = false;
-
-      if (phoneNorm) {
-        if (locNorm && locNorm.includes(phoneNorm)) {
-          matches = true;
-        } else if (descNorm.includes(phoneNorm.toLowerCase())) {
-          matches = true;
-        }
-      }
-
-      if (!matches && clientNorm) {
-        if (locNorm && locNorm.includes(clientNorm)) {
-          matches = true;
-        } else if (descNorm.includes(clientNorm)) {
-          matches = true;
-        }
-      }
-
-      if (!matches) continue;
-
-      eventsOut.push({
-        id: ev.id,
-        start: DateTime.fromISO(startStr, { zone: TZ }).toISO(),
-        end: DateTime.fromISO(endStr, { zone: TZ }).toISO(),
-        barber: cal.barberLabel,
-        who: summary || description || '',
-        notes: description || '',
-      });
+  const range = { timeMin: fromDT.toISO(), timeMax: toDT.toISO() };
+
+  // La respuesta cacheada por el router cae cuando se agenda/cancela en estos calendarios
+  params._meta?.cacheTags?.push(...calendars.map((cal) => bookingsTag(cal.calendarId)));
+
+  // 1) extendedProperties.private (eventos nuevos): todas las consultas por calendario en paralelo
+  const structured = await Promise.all(calendars.map(async (cal) => ({
+    cal,
+    lists: await Promise.all(structuredQueries.map((privateExtendedProperty) =>
+      backend.listEvents(cal.calendarId, { ...range, privateExtendedProperty })
+    )),
+  })));
+
+  for (const { cal, lists } of structured) {
+    for (const items of lists) {
+      for (const ev of items) pushEvent(ev, cal, 'extendedProperties');
+    }
+  }
+
+  // 2) Fallback: eventos viejos con Tel:/ID: en la descripción. Es un events.list completo
+  //    por calendario: solo con legacy=true o si la búsqueda estructurada no encontró nada
+  const scanLegacy = legacy ?? !eventsOut.length;
+  const fetched = scanLegacy
+    ? await Promise.all(calendars.map(async (cal) => ({ cal, all: await backend.listEvents(cal.calendarId, range) })))
+    : [];
+
+  for (const { cal, all } of fetched) {
+    for (const ev of all) {
+      if (hasStructuredMeta(ev)) continue;
+
+      const parsed = parseLegacyDescription(ev.description);
+      const locPhone = normalizePhoneE164((ev.location || '').replace(/[^\d+]/g, ''));
+
+      const matches =
+        (phoneNorm && (parsed.phone === phoneNorm || locPhone === phoneNorm)) ||
+        (clientNorm && parsed.clientId === clientNorm);
+
+      if (matches) pushEvent(ev, cal, 'legacy');
     }
   }
 
@@ -275,13 +262,66 @@ async function searchBookings(params = {}) {
     start
   );
 
-  return { events: eventsOut };
+  return {
+    events: eventsOut,
+    ...(Object.keys(interpreted).length && { interpreted }),
+  };
 }
 
 // -------------------- EXPORTS MCP --------------------
 
 export const name = 'booking';
 
+// Descripciones para el listado de tools MCP
+export const descriptions = {
+  search: 'Busca las citas de un cliente por teléfono o clientId, opcionalmente filtrando por barbero y rango de fechas (ISO o lenguaje natural: "mañana", "el viernes").',
+};
+
+// Schemas input/output por acción
+export const schemas = {
+  search: {
+    input: {
+      type: 'object',
+      properties: {
+        phone: { type: 'string', minLength: 1 },
+        clientId: { type: 'string', minLength: 1 },
+        from: { type: 'string', minLength: 1, description: 'ISO (default: hoy - 30 días)' },
+        to: { type: 'string', minLength: 1, description: 'ISO (default: hoy + 30 días)' },
+        when: { type: 'string', minLength: 1, description: 'Día en lenguaje natural ("mañana", "el viernes"); alternativa a from/to' },
+        barber: { type: 'string', minLength: 1 },
+        calendarId: { type: 'string', minLength: 1 },
+        legacy: { type: 'boolean', description: 'Citas viejas (Tel:/ID: en la descripción): true = buscarlas siempre, false = nunca. Default: solo si no aparece ninguna con metadatos' },
+      },
+      anyOf: [{ required: ['phone'] }, { required: ['clientId'] }],
+    },
+    output: {
+      type: 'object',
+      required: ['events'],
+      properties: {
+        events: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              start: { type: 'string' },
+              end: { type: 'string' },
+              barber: { type: 'string' },
+              who: { type: 'string' },
+              notes: { type: 'string' },
+              phone: { type: ['string', 'null'] },
+              clientId: { type: ['string', 'null'] },
+              serviceId: { type: ['string', 'null'] },
+              matchedBy: { type: 'string', enum: ['extendedProperties', 'legacy'] },
+            },
+          },
+        },
+        interpreted: { type: 'object', description: 'Solo si from/to/when vinieron en lenguaje natural' },
+      },
+    },
+  },
+};
+
 export const actions = {
   async search({ params }) {
     const data = await searchBookings(params);
@@ -1,239 +1,187 @@
-import { google } from 'googleapis';
-import { DateTime } from 'luxon';
-import path from 'path';
 import fs from 'fs';
+import path from 'path';
+import { DateTime } from 'luxon';
 
-import cache from '../utils/cache.js';
+import cache, { AVAILABILITY_TAG, calendarTag, calendarDayTag, bookingsTag } from '../utils/cache.js';
+import { getCalendarBackend } from '../backends/calendar/index.js';
+import { findService } from './catalog.js';
+import { exceptionsForDay, exceptionsInRange } from './exceptions.js';
+import { parseNaturalDate, naturalRange } from '../utils/naturalDate.js';
+import { findClient, linkClient, recordBooking } from './clients.js';
+import { publishEvent } from '../utils/outbox.js';
+import { offerFreedSlot, activeHolds, markBooked } from './waitlist.js';
+import { withBookingLock } from '../utils/lock.js';
+import { listHolds, getHold, createHold, releaseHolds, HOLD_TTL_SECONDS, HOLD_MAX_TTL_SECONDS } from '../utils/holds.js';
+import { normalizePhoneE164 } from '../utils/phone.js';
+import { listBarbers, findBarber, barberForCalendar, getBusinessHours, normalizeName, isAnyBarber } from '../utils/directory.js';
 // Logger PRO
-import { logger, createRequestLogger, timeAsync, logWithDuration } from '../utils/logger.js';
+import { createRequestLogger, timeAsync, logWithDuration } from '../utils/logger.js';
 
 
 // -------------------- ENV --------------------
 const TZ = process.env.TIMEZONE || 'America/Bogota';
 const DEFAULT_DURATION_MIN = Number(process.env.DEFAULT_SLOT_MINUTES || 30);
-const BARBERS_JSON_PATH = process.env.BARBERS_JSON || path.join(process.cwd(), 'data', 'barbers.json');
-const BUSINESS_HOURS_JSON_PATH =
-  process.env.BUSINESS_HOURS_JSON || path.join(process.cwd(), 'data', 'business_hours.json');
+// Rejilla de inicios de slot; sin valor se usa la duración del servicio (back-to-back)
+const SLOT_STEP_MIN = Number(process.env.SLOT_STEP_MINUTES) || null;
 
 const CACHE_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS || 120);
+// Idempotencia: cuánto espera un reintento a la petición en curso y cuánto vive su marca
+const IDEMPOTENCY_WAIT_MS = Number(process.env.IDEMPOTENCY_WAIT_MS || 15000);
+const IDEMPOTENCY_LOCK_TTL_SECONDS = Number(process.env.IDEMPOTENCY_LOCK_TTL_SECONDS || 60);
+// Política para elegir barbero en modo "cualquiera": least_busy | round_robin | preferred
+const ANY_BARBER_POLICY = process.env.ANY_BARBER_POLICY || 'least_busy';
+// round_robin: el último barbero asignado vive en disco (la caché se puede vaciar o expulsar)
+const ROUND_ROBIN_JSON_PATH =
+  process.env.ROUND_ROBIN_JSON || path.join(process.cwd(), 'data', 'round_robin.json');
+// Debug: además de freebusy ejecuta el events.list de antes y loguea la diferencia de tiempos
+const AVAILABILITY_COMPARE = process.env.AVAILABILITY_COMPARE === 'true';
+// calendar.next: días por consulta de ocupación y horizonte máximo por defecto
+const NEXT_CHUNK_DAYS = Number(process.env.NEXT_CHUNK_DAYS || 7);
+const NEXT_HORIZON_DAYS = Number(process.env.NEXT_HORIZON_DAYS || 30);
 
 
-// -------------------- AUTH (Service Account) --------------------
-function getAuthClient() {
-  const keyfile = process.env.GOOGLE_SA_KEYFILE;
-  const jsonInline = process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON;
-  const b64 = process.env.GOOGLE_SA_JSON_BASE64; // optional
-
-  let credentials;
-
-  try {
-    if (keyfile && fs.existsSync(keyfile)) {
-      credentials = JSON.parse(fs.readFileSync(keyfile, 'utf8'));
-    } else if (jsonInline) {
-      credentials = JSON.parse(jsonInline);
-    } else if (b64) {
-      credentials = JSON.parse(Buffer.from(b64, 'base64').toString('utf8'));
-    } else {
-      const err = new Error('MISSING_GOOGLE_SA: Define GOOGLE_APPLICATION_CREDENTIALS_JSON or GOOGLE_SA_KEYFILE');
-      err.code = 'MISSING_GOOGLE_SA';
-      throw err;
-    }
-  } catch (err) {
-    logger.error?.('GOOGLE_SA_PARSE_ERROR', { message: err.message });
-    throw err;
-  }
-
-  if (!credentials || !credentials.client_email || !credentials.private_key) {
-    const err = new Error('INVALID_GOOGLE_SA: missing client_email or private_key in credentials');
-    err.code = 'INVALID_GOOGLE_SA';
-    throw err;
-  }
+// -------------------- HELPERS --------------------
+// Nombre visible / alias / id → id técnico (clave de business_hours.json)
+function resolveBarberKey(barber) {
+  return findBarber(barber)?.id || null;
+}
 
-  const privateKey = credentials.private_key.replace(/\\n/g, '\n');
+/*
+ * business_hours.json admite dos formatos por entrada (default o barbero):
+ *
+ * 1) Legacy: { "days": ["Mon", ...], "start": "09:00", "end": "19:00" }
+ *    → los días listados con una sola franja; el resto cerrado.
+ *
+ * 2) Semanal: { "weekly": { "Mon": [["09:00","13:00"], ["14:00","19:00"]], "Sat": [{ "start": "10:00", "end": "14:00" }], "Sun": [] } }
+ *    → varias franjas por día. En un barbero, los días que no lista heredan del
+ *      "default" de la barbería; [] o null = no trabaja ese día.
+ *
+ * Ambos aceptan "breaks": [{ "start": "13:00", "end": "14:00", "days"?: ["Mon"] }]
+ * que se restan de las franjas (almuerzo, pausas), y "slotStep": 15 (minutos
+ * entre inicios de slot; el barbero hereda el del default y este SLOT_STEP_MINUTES).
+ */
+const DAY_MAP = {
+  mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7,
+  lun: 1, mar: 2, mie: 3, jue: 4, vie: 5, sab: 6, dom: 7,
+};
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
 
-  return new google.auth.JWT({
-    email: credentials.client_email,
-    key: privateKey,
-    scopes: ['https://www.googleapis.com/auth/calendar'],
-  });
+function parseWeekday(d) {
+  const n = Number(d);
+  if (Number.isInteger(n) && n >= 1 && n <= 7) return n;
+  return DAY_MAP[normalizeName(d).slice(0, 3)] || null;
 }
 
-// -------------------- HELPERS --------------------
-function normalizeName(str) {
-  if (!str) return '';
-  return str
-    .toString()
-    .toLowerCase()
-    .normalize('NFD')              // separa tildes
-    .replace(/[\u0300-\u036f]/g, '') // quita tildes
-    .replace(/\s+/g, ' ')         // colapsa espacios
-    .trim();
+function hmToMin(hm) {
+  const { h, m } = parseHm(hm);
+  return h * 60 + m;
 }
 
+function minToHm(min) {
+  return `${String(Math.floor(min / 60)).padStart(2, '0')}:${String(min % 60).padStart(2, '0')}`;
+}
 
-function loadBarbersMap() {
-  try {
-    if (!fs.existsSync(BARBERS_JSON_PATH)) return {};
-    const raw = fs.readFileSync(BARBERS_JSON_PATH, 'utf8').trim();
-    if (!raw) return {};
-    const parsed = JSON.parse(raw);
-
-    const obj = {};
-
-    // 1) Formato array [{ id/name, calendarId, aliases? }]
-    if (Array.isArray(parsed)) {
-      for (const it of parsed) {
-        if (!it) continue;
-        const calId = it.calendarId;
-        if (!calId) continue;
-
-        // id o name como clave técnica
-        const idKey = normalizeName(it.id || it.name);
-        if (idKey) obj[idKey] = calId;
-
-        // aliases como claves adicionales
-        if (Array.isArray(it.aliases)) {
-          for (const alias of it.aliases) {
-            const aKey = normalizeName(alias);
-            if (aKey) obj[aKey] = calId;
-          }
-        }
-      }
-      return obj;
-    }
-
-    // 2) Formato objeto { barberId: { displayName, aliases, calendarId } }
-    if (parsed && typeof parsed === 'object') {
-      for (const key of Object.keys(parsed)) {
-        const v = parsed[key];
-        if (!v) continue;
-
-        // Compat anterior: { "Carlos": "calId" }
-        if (typeof v === 'string') {
-          const idKey = normalizeName(key);
-          if (idKey) obj[idKey] = v;
-          continue;
-        }
-
-        if (typeof v === 'object') {
-          const calId = v.calendarId;
-          if (!calId) continue;
-
-          // 2.1 ID interno (nova, atlas, etc.)
-          const idKey = normalizeName(key);
-          if (idKey) obj[idKey] = calId;
-
-          // 2.2 displayName visible ("Carlos")
-          if (v.displayName) {
-            const dnKey = normalizeName(v.displayName);
-            if (dnKey) obj[dnKey] = calId;
-          }
-
-          // 2.3 aliases ["carlos", "carlitos", "atlas"]
-          if (Array.isArray(v.aliases)) {
-            for (const alias of v.aliases) {
-              const aKey = normalizeName(alias);
-              if (aKey) obj[aKey] = calId;
-            }
-          }
-        }
-      }
-      return obj;
-    }
+function normalizeWindow(w) {
+  if (Array.isArray(w)) return w[0] && w[1] ? { start: w[0], end: w[1] } : null;
+  if (w && w.start && w.end) return { start: w.start, end: w.end };
+  return null;
+}
 
-    return {};
-  } catch (e) {
-    logger.error?.('BARBERS_JSON_READ_ERROR', { message: e.message });
-    return {};
+// Resta las pausas de las franjas de un día (todo en HH:MM)
+function subtractBreaks(windows, breaks) {
+  let out = windows.map((w) => ({ s: hmToMin(w.start), e: hmToMin(w.end) }));
+  for (const br of breaks) {
+    const bs = hmToMin(br.start);
+    const be = hmToMin(br.end);
+    out = out.flatMap((w) => {
+      if (be <= w.s || bs >= w.e) return [w];
+      const parts = [];
+      if (bs > w.s) parts.push({ s: w.s, e: bs });
+      if (be < w.e) parts.push({ s: be, e: w.e });
+      return parts;
+    });
   }
+  return out.filter((w) => w.e > w.s).map((w) => ({ start: minToHm(w.s), end: minToHm(w.e) }));
 }
 
+function envBusinessDays() {
+  return (process.env.BUSINESS_DAYS || '1,2,3,4,5')
+    .split(',')
+    .map((d) => Number(d.trim()))
+    .filter(Boolean);
+}
 
-
-let businessHoursCache = null;
-
-function loadBusinessHours() {
-  if (businessHoursCache) return businessHoursCache;
-
-  try {
-    if (!fs.existsSync(BUSINESS_HOURS_JSON_PATH)) {
-      businessHoursCache = {};
-      return businessHoursCache;
-    }
-
-    const raw = fs.readFileSync(BUSINESS_HOURS_JSON_PATH, 'utf8').trim();
-    if (!raw) {
-      businessHoursCache = {};
-      return businessHoursCache;
+/**
+ * Normaliza una entrada de horario a { weekly: { 1..7: [{start,end}] }, days, start, end, slotStep }.
+ * base: horario ya normalizado del que se heredan los días no definidos (el default).
+ * days/start/end se mantienen como resumen para compatibilidad.
+ */
+function normalizeBizConfig(cfg = {}, base = null) {
+  const weekly = {};
+  for (const d of WEEKDAYS) weekly[d] = base ? base.weekly[d].slice() : [];
+
+  if (cfg.weekly && typeof cfg.weekly === 'object') {
+    for (const [k, v] of Object.entries(cfg.weekly)) {
+      const d = parseWeekday(k);
+      if (!d) continue;
+      weekly[d] = (Array.isArray(v) ? v : []).map(normalizeWindow).filter(Boolean);
     }
-
-    const parsed = JSON.parse(raw);
-    businessHoursCache = parsed && typeof parsed === 'object' ? parsed : {};
-  } catch (e) {
-    logger.error?.('BUSINESS_HOURS_READ_ERROR', { message: e.message });
-    businessHoursCache = {};
+  } else if (cfg.days || cfg.start || cfg.end || !base) {
+    let days = [];
+    if (Array.isArray(cfg.days)) days = cfg.days.map(parseWeekday).filter(Boolean);
+    if (!days.length) days = envBusinessDays();
+
+    const win = {
+      start: cfg.start || process.env.BUSINESS_START || '08:00',
+      end: cfg.end || process.env.BUSINESS_END || '20:00',
+    };
+    for (const d of WEEKDAYS) weekly[d] = days.includes(d) ? [win] : [];
   }
 
-  return businessHoursCache;
-}
-
-function normalizeBizConfig(cfg) {
-  const dayMap = {
-    Mon: 1,
-    Tue: 2,
-    Wed: 3,
-    Thu: 4,
-    Fri: 5,
-    Sat: 6,
-    Sun: 7,
-  };
-
-  let days = [];
-
-  if (Array.isArray(cfg.days)) {
-    days = cfg.days
-      .map((d) => dayMap[d] || Number(d) || null)
-      .filter(Boolean);
+  if (Array.isArray(cfg.breaks) && cfg.breaks.length) {
+    for (const d of WEEKDAYS) {
+      const breaks = cfg.breaks.filter((br) =>
+        br && br.start && br.end &&
+        (!Array.isArray(br.days) || br.days.map(parseWeekday).includes(d))
+      );
+      if (breaks.length) weekly[d] = subtractBreaks(weekly[d], breaks);
+    }
   }
 
-  if (!days.length) {
-    days = (process.env.BUSINESS_DAYS || '1,2,3,4,5')
-      .split(',')
-      .map((d) => Number(d.trim()))
-      .filter(Boolean);
+  for (const d of WEEKDAYS) {
+    weekly[d].sort((a, b) => hmToMin(a.start) - hmToMin(b.start));
   }
 
+  const days = WEEKDAYS.filter((d) => weekly[d].length);
+  const all = days.flatMap((d) => weekly[d]);
   return {
+    weekly,
     days,
-    start: cfg.start || process.env.BUSINESS_START || '08:00',
-    end: cfg.end || process.env.BUSINESS_END || '20:00',
+    start: all.length ? minToHm(Math.min(...all.map((w) => hmToMin(w.start)))) : null,
+    end: all.length ? minToHm(Math.max(...all.map((w) => hmToMin(w.end)))) : null,
+    slotStep: Number(cfg.slotStep) || base?.slotStep || SLOT_STEP_MIN,
   };
 }
 
 function getBizFor(barber) {
-  const map = loadBusinessHours();
+  const map = getBusinessHours();
 
-  // 1) config específica por barbero
-  if (barber && map && map[barber]) {
-    return normalizeBizConfig(map[barber]);
-  }
+  // default del JSON sobre el fallback por .env
+  const base = map.default ? normalizeBizConfig(map.default) : normalizeBizConfig({});
 
-  // 2) config default del JSON
-  if (map && map.default) {
-    return normalizeBizConfig(map.default);
+  // config específica por barbero (acepta id, nombre visible o alias)
+  // barberKey viaja en el resultado para aplicar sus excepciones por fecha
+  const key = barber ? (map[barber] ? barber : resolveBarberKey(barber)) : null;
+  if (key && key !== 'default' && map[key]) {
+    return { ...normalizeBizConfig(map[key], base), barberKey: key };
   }
 
-  // 3) fallback por .env
-  const days = (process.env.BUSINESS_DAYS || '1,2,3,4,5')
-    .split(',')
-    .map((d) => Number(d.trim()))
-    .filter(Boolean);
+  return { ...base, barberKey: key || null };
+}
 
-  return {
-    days,
-    start: process.env.BUSINESS_START || '08:00',
-    end: process.env.BUSINESS_END || '20:00',
-  };
+// calendarId → id técnico del barbero (para saber qué horario aplica)
+function barberKeyForCalendar(calId) {
+  return barberForCalendar(calId)?.id || null;
 }
 
 
@@ -242,11 +190,6 @@ function parseHm(hm) {
   return { h: h || 0, m: m || 0 };
 }
 
-function dayIsOpen(dt, daysArr) {
-  // Luxon: Monday=1 ... Sunday=7
-  return daysArr.includes(dt.weekday);
-}
-
 function buildDayWindow(dayDt, startHm, endHm) {
   const { h: sh, m: sm } = parseHm(startHm);
   const { h: eh, m: em } = parseHm(endHm);
@@ -256,6 +199,60 @@ function buildDayWindow(dayDt, startHm, endHm) {
   return { start, end };
 }
 
+// Intersección de dos listas de franjas HH:MM
+function intersectWindows(a, b) {
+  const out = [];
+  for (const x of a) {
+    for (const y of b) {
+      const s = Math.max(hmToMin(x.start), hmToMin(y.start));
+      const e = Math.min(hmToMin(x.end), hmToMin(y.end));
+      if (e > s) out.push({ start: minToHm(s), end: minToHm(e) });
+    }
+  }
+  return out;
+}
+
+// Franjas HH:MM de un día tras aplicar festivos, cierres, horarios especiales y ausencias
+function applyDateExceptions(windows, dateISO, barberKey) {
+  let out = windows;
+  for (const ex of exceptionsForDay(dateISO, barberKey)) {
+    if (ex.type === 'hours') {
+      // Barbería: recorta el horario del barbero. Barbero: lo reemplaza.
+      out = ex.barber ? ex.windows || [] : intersectWindows(out, ex.windows || []);
+    }
+  }
+  for (const ex of exceptionsForDay(dateISO, barberKey)) {
+    if (ex.type === 'closed') {
+      out = ex.windows?.length ? subtractBreaks(out, ex.windows) : [];
+    }
+  }
+  return out;
+}
+
+// Franjas laborales (Luxon) de un día concreto. Luxon: Monday=1 ... Sunday=7
+function dayWindows(dayDt, bizCfg) {
+  const day = dayDt.startOf('day');
+  const weekly = bizCfg.weekly?.[day.weekday] || [];
+  return applyDateExceptions(weekly, day.toISODate(), bizCfg.barberKey)
+    .map((w) => buildDayWindow(day, w.start, w.end));
+}
+
+// ¿La cita [startDT, endDT) cae completa dentro de alguna franja laboral?
+function fitsBusinessHours(bizCfg, startDT, endDT) {
+  return dayWindows(startDT, bizCfg).some(({ start, end }) => startDT >= start && endDT <= end);
+}
+
+function outsideHoursError(bizCfg, startDT) {
+  // Si hay festivo/cierre/ausencia ese día, lo decimos (el agente se lo explica al cliente)
+  const reasons = bizCfg && startDT
+    ? exceptionsForDay(startDT.toISODate(), bizCfg.barberKey).map((ex) => ex.reason).filter(Boolean)
+    : [];
+  const detail = reasons.length ? ` (${reasons.join(', ')})` : '';
+  const err = new Error(`OUTSIDE_BUSINESS_HOURS: El horario está fuera del horario laboral del barbero${detail}.`);
+  err.code = 'OUTSIDE_BUSINESS_HOURS';
+  return err;
+}
+
 function clipInterval(interval, L, R) {
   const s = interval.start < L ? L : interval.start;
   const e = interval.end > R ? R : interval.end;
@@ -316,9 +313,11 @@ function applyBuffer(busy, bufferMin) {
   }));
 }
 
-function genSlotsBackToBack(gaps, durationMin, now) {
+// Inicios alineados a la rejilla "step" donde cabe el servicio completo.
+// Con step = duración los slots quedan back-to-back (comportamiento original).
+function genSlots(gaps, durationMin, now, stepMin = durationMin) {
   const slots = [];
-  const step = durationMin;
+  const step = stepMin || durationMin;
 
   for (const g of gaps) {
     let start = g.start;
@@ -331,10 +330,9 @@ function genSlotsBackToBack(gaps, durationMin, now) {
     // Alinear a la rejilla
     start = ceilToStep(start, step);
 
-    while (start.plus({ minutes: step }) <= g.end) {
-      const end = start.plus({ minutes: step });
-      slots.push({ start, end });
-      start = end; // back-to-back
+    while (start.plus({ minutes: durationMin }) <= g.end) {
+      slots.push({ start, end: start.plus({ minutes: durationMin }) });
+      start = start.plus({ minutes: step });
     }
   }
 
@@ -347,16 +345,15 @@ function resolveCalendarId(params) {
   if (calendarId) return calendarId;
 
   if (barber) {
-    const map = loadBarbersMap();
-    const key = normalizeName(barber);
+    const found = findBarber(barber);
 
-    if (!key || !map[key]) {
+    if (!found) {
       const err = new Error(`BARBER_NOT_FOUND: ${barber}`);
       err.code = 'BARBER_NOT_FOUND';
       throw err;
     }
 
-    return map[key];
+    return found.calendarId;
   }
 
   const err = new Error('MISSING_CALENDAR: se requiere calendarId o barber');
@@ -364,6 +361,17 @@ function resolveCalendarId(params) {
   throw err;
 }
 
+// Un barbero desactivado conserva sus citas (cancelar, buscar, recordatorios)
+// pero no se le agenda nada nuevo
+function assertBookable(calId) {
+  const b = barberForCalendar(calId);
+  if (b && !b.active) {
+    const err = new Error(`BARBER_INACTIVE: ${b.displayName} no está recibiendo citas`);
+    err.code = 'BARBER_INACTIVE';
+    throw err;
+  }
+}
+
 function buildWhenISO({ when, date, time }) {
   // Si ya viene un ISO completo → lo usamos tal cual
   if (when) return when;
@@ -397,6 +405,56 @@ function buildWhenISO({ when, date, time }) {
   throw err;
 }
 
+/**
+ * Como buildWhenISO, pero "when" también puede venir en lenguaje natural
+ * ("mañana a las 3"). accept(dt) descarta lecturas imposibles (pasado, fuera de
+ * horario); si aun así quedan varias, WHEN_AMBIGUOUS con las opciones.
+ * Devuelve { whenISO, interpreted } (interpreted = null si when era ISO).
+ */
+function resolveWhen({ when, date, time }, accept = () => true) {
+  if (!when || DateTime.fromISO(when).isValid) {
+    return { whenISO: buildWhenISO({ when, date, time }), interpreted: null };
+  }
+
+  const parsed = parseNaturalDate(when, { zone: TZ });
+  if (!parsed.date || !parsed.time) {
+    const hint = parsed.date ? ' (falta la hora)' : '';
+    const err = new Error(`INVALID_WHEN: no se pudo interpretar "${when}"${hint}`);
+    err.code = 'INVALID_WHEN';
+    throw err;
+  }
+
+  let whenISO = parsed.iso;
+  let resolvedBy = null;
+  if (parsed.ambiguous) {
+    const fits = parsed.options.filter((o) => accept(DateTime.fromISO(o, { zone: TZ })));
+    if (fits.length > 1) throw whenAmbiguousError(when, parsed);
+    // Ninguna lectura sirve: seguimos con la preferida y que falle con su error real
+    if (fits.length === 1) {
+      whenISO = fits[0];
+      resolvedBy = 'business_hours';
+    }
+  }
+
+  return {
+    whenISO,
+    interpreted: {
+      text: when,
+      when: whenISO,
+      ambiguous: parsed.ambiguous,
+      ...(parsed.ambiguous && { options: parsed.options }),
+      ...(resolvedBy && { resolvedBy }),
+    },
+  };
+}
+
+function whenAmbiguousError(text, parsed) {
+  const reasons = parsed.ambiguities.map((a) => a.reason).join('; ');
+  const err = new Error(`WHEN_AMBIGUOUS: "${text}" admite varias lecturas (${reasons})`);
+  err.code = 'WHEN_AMBIGUOUS';
+  err.options = parsed.options.map((iso) => ({ when: iso }));
+  return err;
+}
 
 function ensureFuture(whenISO) {
   const now = DateTime.now().setZone(TZ);
@@ -418,13 +476,282 @@ function toRFC3339(dt) {
   return dt.setZone(TZ).toISO({ suppressMilliseconds: true });
 }
 
+// Si viene serviceId/service, la duración sale del catálogo; si no, duration o el default
+function resolveDuration({ serviceId, service, duration }) {
+  if (serviceId || service) {
+    const svc = findService({ serviceId, service });
+    return { durMin: Number(svc.duracion_min) || DEFAULT_DURATION_MIN, svc };
+  }
+  const durMin = Number.isFinite(Number(duration)) ? Number(duration) : DEFAULT_DURATION_MIN;
+  return { durMin, svc: null };
+}
+
+// Tags de caché de una consulta de disponibilidad: cada calendario y cada día del rango
+function availabilityTags(calIds, fromDT, toDT) {
+  const days = [];
+  for (let d = fromDT.setZone(TZ).startOf('day'); d <= toDT; d = d.plus({ days: 1 })) days.push(d.toISODate());
+  return [
+    AVAILABILITY_TAG,
+    ...calIds.flatMap((id) => [calendarTag(id), ...days.map((day) => calendarDayTag(id, day))]),
+  ];
+}
+
+// Tras escribir en un calendario: invalida los slots (calendar.check) de esos días y las
+// búsquedas (booking.search) del calendario, en la caché interna y en la del router.
+// Sin fecha conocida se invalida el calendario completo.
+async function invalidateCalendar(calId, ...starts) {
+  const days = starts.filter(Boolean).map((s) => DateTime.fromISO(s, { zone: TZ }).toISODate());
+  await cache.invalidateTags([
+    bookingsTag(calId),
+    ...(days.length ? days.map((day) => calendarDayTag(calId, day)) : [calendarTag(calId)]),
+  ]);
+}
+
+// client_request_id: el resultado se guarda 24h en el store de caché (persistente con
+// CACHE_STORE=file|redis). Mientras la primera petición está en curso la clave queda
+// tomada: un reintento simultáneo espera su resultado en vez de agendar otra vez.
 async function withIdempotency(key, fn) {
   const cached = await Promise.resolve(cache.get(key));
   if (cached) return cached;
-  const result = await fn();
-  // cache.set expects TTL in seconds in our adapter
-  await Promise.resolve(cache.set(key, result, 24 * 60 * 60)); // 24h in seconds
-  return result;
+
+  const inflightKey = `${key}:inflight`;
+  const deadline = Date.now() + IDEMPOTENCY_WAIT_MS;
+  while (!(await cache.setIfAbsent(inflightKey, { pid: process.pid, at: new Date().toISOString() }, IDEMPOTENCY_LOCK_TTL_SECONDS))) {
+    if (Date.now() > deadline) {
+      const err = new Error('IDEMPOTENCY_IN_PROGRESS: otra petición con el mismo client_request_id sigue en curso');
+      err.code = 'IDEMPOTENCY_IN_PROGRESS';
+      throw err;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const done = await cache.get(key);
+    if (done) return done;
+  }
+
+  try {
+    // Pudo terminar justo entre el primer get y tomar la clave
+    const again = await cache.get(key);
+    if (again) return again;
+
+    const result = await fn();
+    // cache.set expects TTL in seconds in our adapter
+    await cache.set(key, result, 24 * 60 * 60); // 24h in seconds
+    return result;
+  } finally {
+    await cache.del(inflightKey);
+  }
+}
+
+// Consultamos al backend si ya existen eventos en ese rango exacto de tiempo.
+// ignoreEventId: el evento que se está moviendo no cuenta como conflicto.
+async function findConflicts(backend, calId, startDT, endDT, { ignoreEventId } = {}) {
+  const items = await backend.listEvents(calId, {
+    timeMin: toRFC3339(startDT),
+    timeMax: toRFC3339(endDT),
+  });
+
+  // Filtramos los eventos que realmente chocan (superposición estricta)
+  return items.filter(ev => {
+    if (ignoreEventId && ev.id === ignoreEventId) return false;
+
+    // Si el evento es "transparente" (marcado como disponible), no bloquea.
+    if (ev.transparency === 'transparent') return false;
+    
+    const s = DateTime.fromISO(ev.start.dateTime || ev.start.date, { zone: TZ });
+    const e = DateTime.fromISO(ev.end.dateTime || ev.end.date, { zone: TZ });
+    
+    // Fórmula matemática de superposición: (InicioNuevo < FinExistente) Y (FinNuevo > InicioExistente)
+    return (startDT < e) && (endDT > s);
+  });
+}
+
+function slotOccupiedError() {
+  const err = new Error('SLOT_OCCUPIED: El horario seleccionado ya está ocupado.');
+  err.code = 'SLOT_OCCUPIED';
+  return err;
+}
+
+// Tras insertar: si aun así quedó un evento solapado se conserva el más antiguo
+// (created, y el id como desempate) y el nuestro se borra → SLOT_OCCUPIED.
+async function verifyInserted(backend, calId, ev, startDT, endDT, log) {
+  const overlaps = await findConflicts(backend, calId, startDT, endDT, { ignoreEventId: ev.id });
+  const older = overlaps.find((o) =>
+    !o.created || !ev.created || o.created < ev.created || (o.created === ev.created && o.id < ev.id)
+  );
+  if (!older) return;
+
+  log.warn({ calId, eventId: ev.id, conflictWith: older.id }, 'calendar.create → doble reserva detectada, revirtiendo');
+  try {
+    await backend.deleteEvent(calId, ev.id);
+  } catch (e) {
+    log.error({ err: { message: e.message }, calId, eventId: ev.id }, 'calendar.create → ERROR revirtiendo doble reserva');
+  }
+  throw slotOccupiedError();
+}
+
+// ¿[startDT, endDT) choca con un slot reservado para otro? Cuentan las ofertas de la
+// lista de espera (de otro teléfono) y los calendar.hold (de otra sesión).
+function heldByOther(calId, startDT, endDT, { phone, sessionId } = {}) {
+  const overlaps = (h) => startDT < DateTime.fromISO(h.end) && endDT > DateTime.fromISO(h.start);
+  return activeHolds(calId).find((h) => h.phone !== phone && overlaps(h)) ||
+    listHolds().find((h) => h.calendarId === calId && h.sessionId !== sessionId && overlaps(h));
+}
+
+// Traduce errores HTTP de Google a códigos de negocio
+// (el backend local ya lanza EVENT_NOT_FOUND directamente)
+function mapGoogleError(e) {
+  const status = e?.response?.status || e?.statusCode || e?.code;
+  if (status === 404) return Object.assign(new Error('EVENT_NOT_FOUND'), { code: 'EVENT_NOT_FOUND' });
+  if (status === 403)
+    return Object.assign(
+      new Error('GOOGLE_403_FORBIDDEN: la SA no tiene permiso.'),
+      { code: 'GOOGLE_403_FORBIDDEN' }
+    );
+  return e;
+}
+
+// Último barbero asignado por round_robin (null si nunca se asignó o el archivo no se lee)
+function loadLastAssigned() {
+  try {
+    if (!fs.existsSync(ROUND_ROBIN_JSON_PATH)) return null;
+    const raw = fs.readFileSync(ROUND_ROBIN_JSON_PATH, 'utf8').trim();
+    return raw ? JSON.parse(raw).last || null : null;
+  } catch (err) {
+    createRequestLogger({ tool: 'calendar', action: 'round_robin' })
+      .error({ err: { message: err.message }, path: ROUND_ROBIN_JSON_PATH }, 'ROUND_ROBIN_JSON_LOAD_ERROR');
+    return null;
+  }
+}
+
+// Escritura atómica: archivo temporal + rename
+function saveLastAssigned(barberId) {
+  const full = path.resolve(ROUND_ROBIN_JSON_PATH);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  const tmp = `${full}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ last: barberId, at: DateTime.now().setZone(TZ).toISO() }, null, 2));
+  fs.renameSync(tmp, full);
+}
+
+// Resuelve la lista "preferred" (nombres/alias/ids) a ids técnicos
+function resolvePreferred(preferred) {
+  const list = Array.isArray(preferred) ? preferred : preferred ? [preferred] : [];
+  return list.map((p) => resolveBarberKey(p)).filter(Boolean);
+}
+
+/**
+ * Elige un barbero libre para [startDT, endDT) según la política:
+ * - least_busy: el que tenga menos minutos ocupados ese día
+ * - round_robin: el siguiente al último asignado
+ * - preferred: el primero libre de la lista preferred (si ninguno, least_busy)
+ */
+async function pickFreeBarber({ startDT, endDT, policy, preferred, holder, log }) {
+  const barbers = listBarbers();
+  const working = barbers.filter((b) => fitsBusinessHours(getBizFor(b.id), startDT, endDT));
+
+  // Una sola consulta freebusy para el día de todos los que trabajan a esa hora
+  const dayStart = startDT.startOf('day');
+  const dayEnd = startDT.endOf('day');
+  const busyByCal = working.length
+    ? await fetchBusy(working.map((b) => b.calendarId), dayStart, dayEnd, log)
+    : {};
+
+  const candidates = working.filter((b) => {
+    const entry = busyByCal[b.calendarId];
+    if (!entry || entry.errors) return false;
+    if (heldByOther(b.calendarId, startDT, endDT, holder)) return false;
+    return !entry.busy.some((iv) => startDT < iv.end && endDT > iv.start);
+  });
+
+  log.info({ policy, candidates: candidates.map((b) => b.id) }, 'calendar.create → barberos libres');
+
+  if (!candidates.length) {
+    const err = new Error('NO_BARBER_AVAILABLE: Ningún barbero está libre en ese horario.');
+    err.code = 'NO_BARBER_AVAILABLE';
+    throw err;
+  }
+
+  if (policy === 'preferred') {
+    for (const id of resolvePreferred(preferred)) {
+      const found = candidates.find((b) => b.id === id);
+      if (found) return found;
+    }
+    // ninguno de los preferidos está libre → least_busy
+  }
+
+  if (policy === 'round_robin') {
+    const lastId = loadLastAssigned();
+    const order = barbers.map((b) => b.id);
+    const lastIdx = order.indexOf(lastId);
+    // Primer candidato después del último asignado (circular)
+    const next = candidates
+      .slice()
+      .sort((a, b) => {
+        const da = (order.indexOf(a.id) - lastIdx - 1 + order.length) % order.length;
+        const db = (order.indexOf(b.id) - lastIdx - 1 + order.length) % order.length;
+        return da - db;
+      })[0];
+    saveLastAssigned(next.id);
+    return next;
+  }
+
+  // least_busy (default): menos minutos ocupados ese día
+  let best = null;
+  for (const b of candidates) {
+    const load = busyByCal[b.calendarId].busy
+      .reduce((acc, iv) => acc + iv.end.diff(iv.start, 'minutes').minutes, 0);
+    if (!best || load < best.load) best = { barber: b, load };
+  }
+  return best.barber;
+}
+
+// calendar.create en modo "cualquier barbero"
+async function createWithAnyBarber(params, log) {
+  const { when, date, time, duration, serviceId, service, policy = ANY_BARBER_POLICY, preferred } = params;
+
+  const { durMin } = resolveDuration({ serviceId, service, duration });
+  const barbers = listBarbers();
+  const now = DateTime.now().setZone(TZ);
+  const { whenISO, interpreted } = resolveWhen({ when, date, time }, (dt) =>
+    dt > now && barbers.some((b) => fitsBusinessHours(getBizFor(b.id), dt, dt.plus({ minutes: durMin })))
+  );
+  const startDT = ensureFuture(whenISO);
+  const endDT = startDT.plus({ minutes: durMin });
+
+  const holder = { phone: normalizePhoneE164(params.phone), sessionId: params.sessionId };
+  const chosen = await pickFreeBarber({ startDT, endDT, policy, preferred, holder, log });
+  log.info({ barber: chosen.id, policy }, 'calendar.create → barbero asignado');
+
+  const { anyBarber, policy: _policy, preferred: _preferred, ...rest } = params;
+  const data = await createEvent({
+    ...rest,
+    when: whenISO,
+    barber: chosen.displayName,
+    calendarId: chosen.calendarId,
+  });
+  return {
+    ...data,
+    barber: { barber_id: chosen.id, displayName: chosen.displayName },
+    policy,
+    ...(interpreted && { interpreted }),
+  };
+}
+
+// Payload de los webhooks booking.* (mismo formato para created/cancelled/rescheduled/reminder)
+export function bookingPayload(ev, calId) {
+  const priv = ev?.extendedProperties?.private || {};
+  return {
+    id: ev.id,
+    calendarId: calId,
+    barber: barberKeyForCalendar(calId),
+    summary: ev.summary || '',
+    description: ev.description || '',
+    start: ev.start?.dateTime || ev.start?.date || null,
+    end: ev.end?.dateTime || ev.end?.date || null,
+    phone: priv.phone || null,
+    clientId: priv.clientId || null,
+    serviceId: priv.serviceId || null,
+    servicePrice: priv.servicePrice ?? null,
+    source: priv.source || null,
+  };
 }
 
 // -------------------- CORE OPS --------------------
@@ -438,6 +765,8 @@ async function createEvent(params) {
   const startLog = Date.now();
   log.info({ params }, 'calendar.create → inicio');
 
+  if (isAnyBarber(params)) return createWithAnyBarber(params, log);
+
   const {
     when,       // ISO completo (opcional)
     date,       // YYYY-MM-DD (opcional)
@@ -448,94 +777,160 @@ async function createEvent(params) {
     barber,
     phone,      // NUEVO
     clientId,   // NUEVO
+    serviceId,  // id del catálogo (svc-corte-clasico, ...)
+    service,    // o nombre aproximado del servicio
+    source = 'valeria-mcp', // canal que originó la cita (whatsapp, n8n, ...)
     calendarId: explicitCalId,
     client_request_id,
+    sessionId,  // sesión dueña de un calendar.hold sobre este horario
   } = params || {};
 
 
-  if (!who) throw new Error('Missing param: who');
-
-  // Construimos un ISO robusto a partir de when o (date+time)
-  const whenISO = buildWhenISO({ when, date, time });
+  if (!who) {
+    const err = new Error('INVALID_PARAMS: Missing param: who');
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
 
   const calId = resolveCalendarId({ calendarId: explicitCalId, barber });
-  log.info({ calId, whenISO }, 'calendar.create → usando calendarId y whenISO');
+  assertBookable(calId);
 
-  const durMin = Number.isFinite(Number(duration)) ? Number(duration) : DEFAULT_DURATION_MIN;
+  // Con servicio del catálogo la duración la define el catálogo (no el agente)
+  const { durMin, svc } = resolveDuration({ serviceId, service, duration });
+
+  const bizCfg = getBizFor(barber || barberKeyForCalendar(calId));
+
+  // Construimos un ISO robusto a partir de when (ISO o lenguaje natural) o (date+time).
+  // Una hora ambigua ("a las 3") solo se acepta si una única lectura cae en horario.
+  const now = DateTime.now().setZone(TZ);
+  const { whenISO, interpreted } = resolveWhen({ when, date, time }, (dt) =>
+    dt > now && fitsBusinessHours(bizCfg, dt, dt.plus({ minutes: durMin }))
+  );
+  log.info({ calId, whenISO, interpreted }, 'calendar.create → usando calendarId y whenISO');
 
   // Validamos que esté en el futuro
   const startDT = ensureFuture(whenISO);
 
   const endDT = startDT.plus({ minutes: durMin });
-  const summary = `Cita con ${who}`;
 
-  // Descripción enriquecida para booking.search
-  const descriptionParts = [];
-  if (phone) descriptionParts.push(`Tel: ${phone}`);
-  if (clientId) descriptionParts.push(`ID: ${clientId}`);
-  if (notes) descriptionParts.push(`Notas: ${notes}`);
+  // La cita tiene que caer completa dentro de una franja laboral del barbero
+  if (!fitsBusinessHours(bizCfg, startDT, endDT)) {
+    log.warn({ calId, whenISO, durMin }, 'calendar.create → fuera de horario');
+    throw outsideHoursError(bizCfg, startDT);
+  }
+
+  const summary = svc ? `${svc.nombre} - ${who}` : `Cita con ${who}`;
+
+  // Ficha del cliente (clients.json): la cita se etiqueta con la ficha que ya existe (por
+  // clientId o teléfono). Crearla o actualizarla se hace recién tras insertar la cita.
+  let known = null;
+  try {
+    known = findClient({ clientId, phone });
+  } catch (e) {
+    log.warn({ err: { message: e.message } }, 'calendar.create → no se pudo leer la ficha del cliente');
+  }
 
-  const description = descriptionParts.join('\n');
+  const phoneE164 = normalizePhoneE164(phone);
+  const bookingDetails = (linkedClientId) => {
+    // Descripción enriquecida para booking.search
+    const descriptionParts = [];
+    if (phone) descriptionParts.push(`Tel: ${phone}`);
+    if (linkedClientId) descriptionParts.push(`ID: ${linkedClientId}`);
+    if (svc) descriptionParts.push(`Servicio: ${svc.nombre} (${svc.id})`);
+    if (svc && svc.precio != null) descriptionParts.push(`Precio: ${svc.precio}`);
+    if (notes) descriptionParts.push(`Notas: ${notes}`);
+
+    // Metadatos estructurados para booking.search (privateExtendedProperty)
+    const privateProps = {};
+    if (phoneE164) privateProps.phone = phoneE164;
+    if (linkedClientId) privateProps.clientId = linkedClientId;
+    if (svc) privateProps.serviceId = svc.id;
+    if (svc && svc.precio != null) privateProps.servicePrice = String(svc.precio);
+    if (source) privateProps.source = String(source);
+
+    return { description: descriptionParts.join('\n'), privateProps };
+  };
+  const { description, privateProps } = bookingDetails(known?.id);
 
 
   // --- INICIO DEL REEMPLAZO ---
-  const exec = async () => {
-    // 1. INSTANCIAR CLIENTE (Lo sacamos del timeAsync para usarlo en la verificación previa)
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: 'v3', auth });
+  // Verificar + insertar bajo el lock del calendario y rango: dos reservas que se pisan no
+  // pueden pasar ambas la verificación
+  const exec = () => withBookingLock(calId, startDT, endDT, async () => {
+    // 1. BACKEND (Google o local, según CALENDAR_BACKEND)
+    const backend = getCalendarBackend();
 
     // 2. VERIFICAR CONFLICTOS (Lógica NUEVA de seguridad)
-    // Consultamos a Google si ya existen eventos en ese rango exacto de tiempo
-    const conflictRes = await calendar.events.list({
-      calendarId: calId,
-      timeMin: toRFC3339(startDT),
-      timeMax: toRFC3339(endDT),
-      singleEvents: true,
-      timeZone: TZ
-    });
-
-    // Filtramos los eventos que realmente chocan (superposición estricta)
-    const conflicts = (conflictRes.data.items || []).filter(ev => {
-      // Si el evento es "transparente" (marcado como disponible), no bloquea.
-      if (ev.transparency === 'transparent') return false;
-      
-      const s = DateTime.fromISO(ev.start.dateTime || ev.start.date, { zone: TZ });
-      const e = DateTime.fromISO(ev.end.dateTime || ev.end.date, { zone: TZ });
-      
-      // Fórmula matemática de superposición: (InicioNuevo < FinExistente) Y (FinNuevo > InicioExistente)
-      return (startDT < e) && (endDT > s);
-    });
+    const conflicts = await findConflicts(backend, calId, startDT, endDT);
 
     // Si encontramos al menos un conflicto, lanzamos ERROR y detenemos todo.
-    if (conflicts.length > 0) {
-      const err = new Error('SLOT_OCCUPIED: El horario seleccionado ya está ocupado.');
-      err.code = 'SLOT_OCCUPIED';
-      throw err;
-    }
+    if (conflicts.length > 0) throw slotOccupiedError();
+    if (heldByOther(calId, startDT, endDT, { phone: phoneE164, sessionId })) throw slotOccupiedError();
 
     // 3. INSERTAR EL EVENTO (Solo si pasamos la verificación anterior)
-    return await timeAsync(log, 'Google Calendar → insert event', async () => {
-      const res = await calendar.events.insert({
-        calendarId: calId,
-        requestBody: {
-          summary,
-          description,
-          start: { dateTime: toRFC3339(startDT), timeZone: TZ },
-          end: { dateTime: toRFC3339(endDT), timeZone: TZ },
-        },
+    return await timeAsync(log, `Calendar (${backend.name}) → insert event`, async () => {
+      const ev = await backend.insertEvent(calId, {
+        summary,
+        description,
+        start: { dateTime: toRFC3339(startDT), timeZone: TZ },
+        end: { dateTime: toRFC3339(endDT), timeZone: TZ },
+        extendedProperties: { private: privateProps },
       });
 
-      const ev = res.data || {};
+      // 4. VERIFICACIÓN POST-INSERT (otra instancia sin lock compartido, cita creada a mano...)
+      await verifyInserted(backend, calId, ev, startDT, endDT, log);
+
+      // 5. FICHA DEL CLIENTE: la cita ya existe. Un fallo del registro no deshace la cita.
+      let link = null;
+      try {
+        link = linkClient({ clientId, phone, name: who });
+      } catch (e) {
+        log.warn({ err: { message: e.message } }, 'calendar.create → no se pudo vincular el cliente');
+      }
+      let booked = ev;
+      if (link && link.client.id !== known?.id) {
+        // Ficha recién creada: la cita se etiqueta con su id
+        const details = bookingDetails(link.client.id);
+        try {
+          booked = await backend.patchEvent(calId, ev.id, {
+            description: details.description,
+            extendedProperties: { private: details.privateProps },
+          });
+        } catch (e) {
+          log.warn({ err: { message: e.message }, clientId: link.client.id }, 'calendar.create → no se pudo etiquetar la cita con la ficha');
+        }
+      }
+      await invalidateCalendar(calId, toRFC3339(startDT));
+
+      publishEvent('booking.created', { ...bookingPayload(booked, calId), who, duration: durMin });
+      const waitlistId = markBooked({ calendarId: calId, start: toRFC3339(startDT), end: toRFC3339(endDT), phone });
+      if (waitlistId) log.info({ waitlistId }, 'calendar.create → oferta de lista de espera tomada');
+
+      if (link) {
+        try {
+          recordBooking(link.client.id, {
+            barber: bizCfg.barberKey || barberKeyForCalendar(calId),
+            serviceId: svc?.id,
+            start: toRFC3339(startDT),
+          });
+        } catch (e) {
+          log.warn({ err: { message: e.message }, clientId: link.client.id }, 'calendar.create → no se pudo actualizar la ficha');
+        }
+      }
+
       return {
         id: ev.id,
         when: toRFC3339(startDT),
         start: ev.start?.dateTime || toRFC3339(startDT),
         end: ev.end?.dateTime || toRFC3339(endDT),
         who,
-        notes: description,
+        notes: booked.description ?? description,
+        duration: durMin,
+        ...(svc && { service: { id: svc.id, nombre: svc.nombre, precio: svc.precio, duracion_min: svc.duracion_min } }),
+        ...(link && { client: { id: link.client.id, name: link.client.name, returning: link.client.returning } }),
       };
     });
-  };
+  });
   // --- FIN DEL REEMPLAZO ---
 
   try {
@@ -544,7 +939,7 @@ async function createEvent(params) {
       : await exec();
 
     logWithDuration(log, 'calendar.create → completado', { id: result.id }, startLog);
-    return result;
+    return interpreted ? { ...result, interpreted } : result;
   } catch (e) {
     log.error(
       {
@@ -570,20 +965,45 @@ async function cancelEvent(params) {
   log.info({ params }, 'calendar.cancel → inicio');
 
   const { eventId, calendarId: explicitCalId, barber } = params || {};
-  if (!eventId) throw new Error('Missing param: eventId');
+  if (!eventId) {
+    const err = new Error('INVALID_PARAMS: Missing param: eventId');
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
 
   const calId = resolveCalendarId({ calendarId: explicitCalId, barber });
 
   try {
-    await timeAsync(log, 'Google Calendar → delete event', async () => {
-      const auth = getAuthClient();
-      const calendar = google.calendar({ version: 'v3', auth });
+    const backend = getCalendarBackend();
+
+    // Lo leemos antes de borrarlo para mandar el payload completo en booking.cancelled
+    const existing = await backend.getEvent(calId, eventId).catch(() => null);
 
-      await calendar.events.delete({ calendarId: calId, eventId });
+    await timeAsync(log, `Calendar (${backend.name}) → delete event`, async () => {
+      await backend.deleteEvent(calId, eventId);
     });
 
-    logWithDuration(log, 'calendar.cancel → completado', { eventId }, startLog);
-    return { id: eventId, cancelled: true };
+    await invalidateCalendar(calId, existing?.start?.dateTime || existing?.start?.date);
+    publishEvent('booking.cancelled', existing ? bookingPayload(existing, calId) : { id: eventId, calendarId: calId });
+
+    // El hueco liberado se ofrece al primero de la lista de espera (queda reservado un rato)
+    let waitlistOffer = null;
+    if (existing?.start?.dateTime && existing.status !== 'cancelled') {
+      try {
+        waitlistOffer = offerFreedSlot({
+          calendarId: calId,
+          barber: barberKeyForCalendar(calId),
+          start: existing.start.dateTime,
+          end: existing.end.dateTime,
+          step: getBizFor(barberKeyForCalendar(calId)).slotStep,
+        });
+      } catch (e) {
+        log.warn({ err: { message: e.message } }, 'calendar.cancel → no se pudo ofrecer a la lista de espera');
+      }
+    }
+
+    logWithDuration(log, 'calendar.cancel → completado', { eventId, waitlist: waitlistOffer?.waitlistId }, startLog);
+    return { id: eventId, cancelled: true, ...(waitlistOffer && { waitlistOffer }) };
   } catch (e) {
     const status = e?.response?.status || e?.statusCode || e?.code;
 
@@ -596,13 +1016,202 @@ async function cancelEvent(params) {
       'calendar.cancel → ERROR'
     );
 
-    if (status === 404) throw Object.assign(new Error('EVENT_NOT_FOUND'), { code: 'EVENT_NOT_FOUND' });
-    if (status === 403)
-      throw Object.assign(
-        new Error('GOOGLE_403_FORBIDDEN: la SA no tiene permiso.'),
-        { code: 'GOOGLE_403_FORBIDDEN' }
-      );
+    throw mapGoogleError(e);
+  }
+}
+
+
+/**
+ * Mueve una cita a otro horario (y opcionalmente a otro barbero) sin perderla:
+ * primero verifica el nuevo horario y solo entonces modifica el evento.
+ * Si cambia de calendario se usa events.move + patch; si el patch falla,
+ * el evento se devuelve a su calendario original.
+ */
+async function rescheduleEvent(params) {
+  const log = createRequestLogger({
+    tool: 'calendar',
+    action: 'reschedule',
+    barber: params?.barber,
+  });
+
+  const startLog = Date.now();
+  log.info({ params }, 'calendar.reschedule → inicio');
+
+  const {
+    eventId,
+    when,
+    date,
+    time,
+    duration,
+    barber,
+    calendarId: explicitCalId,
+    newBarber,
+    newCalendarId,
+    client_request_id,
+    sessionId,  // su propio calendar.hold no le bloquea el nuevo horario
+  } = params || {};
+
+  if (!eventId) {
+    const err = new Error('INVALID_PARAMS: Missing param: eventId');
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
+
+  const now = DateTime.now().setZone(TZ);
+  const { whenISO } = resolveWhen({ when, date, time }, (dt) => dt > now);
+  const startDT = ensureFuture(whenISO);
+
+  const srcCalId = resolveCalendarId({ calendarId: explicitCalId, barber });
+  const dstCalId = (newCalendarId || newBarber)
+    ? resolveCalendarId({ calendarId: newCalendarId, barber: newBarber })
+    : srcCalId;
+  assertBookable(dstCalId);
+  const moving = dstCalId !== srcCalId;
+
+  log.info({ srcCalId, dstCalId, whenISO }, 'calendar.reschedule → calendarios resueltos');
+
+  const exec = async () => {
+    const backend = getCalendarBackend();
+
+    // 1. Evento original (se mantiene intacto hasta pasar la verificación)
+    let original;
+    try {
+      original = await backend.getEvent(srcCalId, eventId);
+    } catch (e) {
+      throw mapGoogleError(e);
+    }
+    if (original.status === 'cancelled') {
+      throw Object.assign(new Error('EVENT_NOT_FOUND'), { code: 'EVENT_NOT_FOUND' });
+    }
+
+    // Si no mandan duration, conservamos la duración original
+    const origStart = DateTime.fromISO(original.start?.dateTime || original.start?.date, { zone: TZ });
+    const origEnd = DateTime.fromISO(original.end?.dateTime || original.end?.date, { zone: TZ });
+    const origMin = origStart.isValid && origEnd.isValid
+      ? Math.round(origEnd.diff(origStart, 'minutes').minutes)
+      : DEFAULT_DURATION_MIN;
+    const durMin = Number.isFinite(Number(duration)) ? Number(duration) : origMin;
+    const endDT = startDT.plus({ minutes: durMin });
+
+    // Horario laboral del barbero destino
+    const dstBarberKey = newBarber || (moving ? barberKeyForCalendar(dstCalId) : barber || barberKeyForCalendar(srcCalId));
+    const dstBizCfg = getBizFor(dstBarberKey);
+    if (!fitsBusinessHours(dstBizCfg, startDT, endDT)) throw outsideHoursError(dstBizCfg, startDT);
+
+    // Del chequeo al patch bajo el lock del calendario destino
+    return withBookingLock(dstCalId, startDT, endDT, async () => {
+      // 2. Mismo chequeo de superposición que createEvent, ignorando el evento que se mueve
+      const conflicts = await findConflicts(backend, dstCalId, startDT, endDT, {
+        ignoreEventId: moving ? null : eventId,
+      });
+      if (conflicts.length > 0) throw slotOccupiedError();
+      const holder = { phone: original.extendedProperties?.private?.phone, sessionId };
+      if (heldByOther(dstCalId, startDT, endDT, holder)) throw slotOccupiedError();
+
+      const timesBody = {
+        start: { dateTime: toRFC3339(startDT), timeZone: TZ },
+        end: { dateTime: toRFC3339(endDT), timeZone: TZ },
+      };
+
+      const publishRescheduled = (ev, calId) => publishEvent('booking.rescheduled', {
+        ...bookingPayload(ev, calId),
+        previous: { start: toRFC3339(origStart), end: toRFC3339(origEnd), calendarId: srcCalId },
+      });
+
+      // 4. VERIFICACIÓN POST-ESCRITURA (otra instancia sin lock compartido, cita creada a mano...):
+      //    si el nuevo horario ya no está libre, la cita vuelve a su horario y calendario originales
+      const verifyMoved = async () => {
+        const overlaps = await findConflicts(backend, dstCalId, startDT, endDT, { ignoreEventId: eventId });
+        if (!overlaps.length) return;
+
+        log.warn({ eventId, dstCalId, conflictWith: overlaps[0].id }, 'calendar.reschedule → doble reserva detectada, revirtiendo');
+        try {
+          await backend.patchEvent(dstCalId, eventId, { start: original.start, end: original.end });
+          if (moving) await backend.moveEvent(dstCalId, eventId, srcCalId);
+        } catch (e) {
+          log.error(
+            { err: { message: e.message, code: e.code }, eventId, srcCalId, dstCalId },
+            'calendar.reschedule → ERROR revirtiendo doble reserva'
+          );
+        }
+        throw slotOccupiedError();
+      };
+
+      // 3a. Mismo calendario → patch directo
+      if (!moving) {
+        const ev = await timeAsync(log, `Calendar (${backend.name}) → patch event`, () =>
+          backend.patchEvent(srcCalId, eventId, timesBody)
+        ).catch((e) => { throw mapGoogleError(e); });
+        await verifyMoved();
+
+        await invalidateCalendar(srcCalId, toRFC3339(origStart), toRFC3339(startDT));
+        publishRescheduled({ ...original, ...ev }, srcCalId);
+        return {
+          id: ev.id || eventId,
+          calendarId: srcCalId,
+          when: toRFC3339(startDT),
+          start: ev.start?.dateTime || toRFC3339(startDT),
+          end: ev.end?.dateTime || toRFC3339(endDT),
+          previous: { start: toRFC3339(origStart), end: toRFC3339(origEnd), calendarId: srcCalId },
+        };
+      }
+
+      // 3b. Otro calendario → move + patch (con compensación)
+      await timeAsync(log, `Calendar (${backend.name}) → move event`, () =>
+        backend.moveEvent(srcCalId, eventId, dstCalId)
+      ).catch((e) => { throw mapGoogleError(e); });
+
+      let ev;
+      try {
+        ev = await timeAsync(log, `Calendar (${backend.name}) → patch event`, () =>
+          backend.patchEvent(dstCalId, eventId, timesBody)
+        );
+      } catch (e) {
+        // Devolvemos el evento a su calendario original
+        try {
+          await backend.moveEvent(dstCalId, eventId, srcCalId);
+          log.warn({ eventId, srcCalId, dstCalId }, 'calendar.reschedule → move revertido');
+        } catch (rollbackErr) {
+          log.error(
+            { err: { message: rollbackErr.message, code: rollbackErr.code }, eventId, srcCalId, dstCalId },
+            'calendar.reschedule → ERROR revirtiendo move'
+          );
+        }
+        throw mapGoogleError(e);
+      }
+      await verifyMoved();
+
+      await invalidateCalendar(srcCalId, toRFC3339(origStart));
+      await invalidateCalendar(dstCalId, toRFC3339(startDT));
+      publishRescheduled({ ...original, ...ev }, dstCalId);
+      return {
+        id: ev.id || eventId,
+        calendarId: dstCalId,
+        when: toRFC3339(startDT),
+        start: ev.start?.dateTime || toRFC3339(startDT),
+        end: ev.end?.dateTime || toRFC3339(endDT),
+        previous: { start: toRFC3339(origStart), end: toRFC3339(origEnd), calendarId: srcCalId },
+      };
+    });
+  };
+
+  try {
+    const result = client_request_id
+      ? await withIdempotency(`calendar:reschedule:${client_request_id}`, exec)
+      : await exec();
 
+    logWithDuration(log, 'calendar.reschedule → completado', { id: result.id }, startLog);
+    return result;
+  } catch (e) {
+    log.error(
+      {
+        err: { message: e.message, code: e.code },
+        srcCalId,
+        dstCalId,
+        params,
+      },
+      'calendar.reschedule → ERROR'
+    );
     throw e;
   }
 }
@@ -610,7 +1219,204 @@ async function cancelEvent(params) {
 
 // --- REEMPLAZA TU FUNCIÓN checkAvailability ACTUAL POR ESTA ---
 
+/**
+ * Ocupación de varios calendarios con freebusy (lotes de muchos calendarios
+ * por petición en vez de un events.list con payload completo por calendario).
+ * Devuelve { [calId]: { busy: [{ start, end }] (Luxon), errors? } }
+ */
+async function fetchBusy(calIds, fromDT, toDT, log) {
+  const backend = getCalendarBackend();
+  const range = { timeMin: toRFC3339(fromDT), timeMax: toRFC3339(toDT) };
+
+  const t0 = Date.now();
+  const fb = await backend.freeBusy(calIds, range);
+  const timing = { source: 'freebusy', calendars: calIds.length, freebusy_ms: Date.now() - t0 };
+
+  if (AVAILABILITY_COMPARE) {
+    // Lo que hacíamos antes: un events.list por calendario, en serie
+    const t1 = Date.now();
+    for (const id of calIds) await backend.listEvents(id, range);
+    timing.events_list_ms = Date.now() - t1;
+    timing.saved_ms = timing.events_list_ms - timing.freebusy_ms;
+  }
+  log.info(timing, 'calendar.freebusy → ocupación obtenida');
+
+  const out = {};
+  for (const id of calIds) {
+    const entry = fb[id] || { busy: [] };
+    if (entry.errors) {
+      log.warn({ calendarId: id, errors: entry.errors }, 'calendar.freebusy → error en calendario');
+    }
+    // Los huecos reservados para la lista de espera cuentan como ocupados
+    out[id] = {
+      busy: [...(entry.busy || []), ...activeHolds(id)].map((iv) => ({
+        start: DateTime.fromISO(iv.start, { zone: TZ }),
+        end: DateTime.fromISO(iv.end, { zone: TZ }),
+      })),
+      ...(entry.errors && { errors: entry.errors }),
+    };
+  }
+  return out;
+}
+
+// freebusy no lanza por calendario: traducimos sus errores (sin acceso / no existe)
+function freeBusyCalendarError(calId, errors) {
+  const reason = errors?.[0]?.reason || 'unknown';
+  const err = new Error(`GOOGLE_403_FORBIDDEN: sin acceso al calendario ${calId} (${reason})`);
+  err.code = 'GOOGLE_403_FORBIDDEN';
+  return err;
+}
+
+// Slots libres de UN calendario dentro de [fromDT, toDT] según su horario laboral
+function computeSlots({ busy, bizCfg, fromDT, toDT, durMin, bufferMin, stepMin }) {
+  const now = DateTime.now().setZone(TZ);
+  const slots = [];
+
+  let cursor = fromDT.startOf('day');
+  const lastDay = toDT.startOf('day');
+
+  while (cursor <= lastDay) {
+    // Cada franja del día (turno partido, pausas) se trata como una ventana aparte
+    for (const { start: winStart, end: winEnd } of dayWindows(cursor, bizCfg)) {
+      // Recorte al rango solicitado
+      const winL = fromDT > winStart ? fromDT : winStart;
+      const winR = toDT < winEnd ? toDT : winEnd;
+      if (winL >= winR) continue;
+
+      const winBusyRaw = busy.map((iv) => clipInterval(iv, winL, winR)).filter(Boolean);
+      const winBusy = applyBuffer(winBusyRaw, bufferMin);
+      const gaps = freeGaps(winL, winR, winBusy);
+      const winSlots = genSlots(gaps, durMin, now, stepMin || bizCfg.slotStep);
+
+      for (const s of winSlots) {
+        slots.push({ start: toRFC3339(s.start), end: toRFC3339(s.end) });
+      }
+    }
+    cursor = cursor.plus({ days: 1 });
+  }
+
+  return slots;
+}
+
+/**
+ * Modo "cualquier barbero": cada barbero con su propio horario;
+ * los slots se agrupan y se anotan con los barberos libres.
+ */
+async function checkAnyBarber({ fromDT, toDT, durMin, bufferMin, stepMin, svc, meta, log, startLog }) {
+  const barbers = listBarbers();
+  const tags = availabilityTags(barbers.map((b) => b.calendarId), fromDT, toDT);
+  meta?.cacheTags?.push(...tags);
+
+  const cacheKey = ['calendar.check', 'any', fromDT.toISO(), toDT.toISO(), durMin, bufferMin, stepMin || 'cfg'].join('|');
+  const cached = await Promise.resolve(cache.get(cacheKey));
+  if (cached) return cached;
+
+  const busyByCal = await fetchBusy(barbers.map((b) => b.calendarId), fromDT, toDT, log);
+
+  const perBarber = barbers
+    // Un calendario inaccesible no tumba la consulta de los demás
+    .filter((b) => !busyByCal[b.calendarId]?.errors)
+    .map((b) => {
+      const bizCfg = getBizFor(b.id);
+      const busy = busyByCal[b.calendarId].busy;
+      return { barber: b, slots: computeSlots({ busy, bizCfg, fromDT, toDT, durMin, bufferMin, stepMin }) };
+    });
+
+  const byStart = new Map();
+  for (const { barber: b, slots } of perBarber) {
+    for (const s of slots) {
+      const key = `${s.start}|${s.end}`;
+      if (!byStart.has(key)) byStart.set(key, { start: s.start, end: s.end, barbers: [] });
+      byStart.get(key).barbers.push({ barber_id: b.id, displayName: b.displayName });
+    }
+  }
+
+  const slots = [...byStart.values()].sort((a, b) =>
+    DateTime.fromISO(a.start) - DateTime.fromISO(b.start)
+  );
+
+  const result = {
+    slots,
+    generated_with: {
+      duration: durMin, buffer: bufferMin, tz: TZ,
+      step: stepMin || getBizFor(null).slotStep || durMin,
+      ...(svc && { service: { id: svc.id, nombre: svc.nombre, precio: svc.precio } }),
+      mode: 'any_barber',
+      barbers: barbers.map((b) => b.id),
+      exceptions: exceptionsInRange(fromDT.toISODate(), toDT.toISODate()),
+    },
+  };
+
+  await cache.set(cacheKey, result, CACHE_TTL_SECONDS, { tags });
+  logWithDuration(log, 'calendar.check → completado (any_barber)', { slots: slots.length, barbers: barbers.length }, startLog);
+  return result;
+}
+
+// Quita los slots apartados con calendar.hold por otras sesiones. Va después del caché:
+// las reservas duran minutos. En modo anyBarber se quita el barbero del slot.
+function withoutHeld(result, { calId, sessionId }) {
+  const holds = listHolds().filter((h) => h.sessionId !== sessionId);
+  if (!holds.length) return result;
+
+  const held = (cal, s) => holds.some((h) =>
+    h.calendarId === cal && DateTime.fromISO(s.start) < DateTime.fromISO(h.end) && DateTime.fromISO(s.end) > DateTime.fromISO(h.start)
+  );
+
+  if (calId) return { ...result, slots: result.slots.filter((s) => !held(calId, s)) };
+
+  const calOf = new Map(listBarbers().map((b) => [b.id, b.calendarId]));
+  const slots = result.slots
+    .map((s) => ({ ...s, barbers: s.barbers.filter((b) => !held(calOf.get(b.barber_id), s)) }))
+    .filter((s) => s.barbers.length);
+  return { ...result, slots };
+}
+
+// Recorta la lista de slots: sin solapes entre sugerencias (greedy) y/o un máximo
+function shapeSlots(result, { nonOverlapping, limit }) {
+  if (!nonOverlapping && !limit) return result;
+
+  let slots = result.slots;
+  if (nonOverlapping) {
+    const kept = [];
+    let lastEnd = null;
+    for (const s of slots) {
+      const start = DateTime.fromISO(s.start);
+      if (lastEnd && start < lastEnd) continue;
+      kept.push(s);
+      lastEnd = DateTime.fromISO(s.end);
+    }
+    slots = kept;
+  }
+  if (limit) slots = slots.slice(0, limit);
+
+  return { ...result, slots };
+}
+
+// Resumen de lo que se entendió de un texto libre (va en la respuesta)
+function interpretedRange(text, { from, to, parsed }) {
+  return {
+    text,
+    from: toRFC3339(from),
+    to: toRFC3339(to),
+    ambiguous: parsed.ambiguous,
+    ...(parsed.ambiguous && { options: parsed.options, reasons: parsed.ambiguities.map((a) => a.reason) }),
+  };
+}
+
 async function checkAvailability(params) {
+  // "when" en lenguaje natural: "mañana", "el viernes en la tarde", "hoy desde las 4pm"
+  if (params?.when && !params.date && !params.from && !params.to) {
+    const range = naturalRange(params.when, { zone: TZ });
+    if (!range) {
+      const err = new Error(`INVALID_RANGE: no se pudo interpretar "${params.when}"`);
+      err.code = 'INVALID_RANGE';
+      throw err;
+    }
+    const { when, ...rest } = params;
+    const data = await checkAvailability({ ...rest, from: range.from.toISO(), to: range.to.toISO() });
+    return { ...data, interpreted: interpretedRange(when, range) };
+  }
+
   const log = createRequestLogger({
     tool: 'calendar',
     action: 'check',
@@ -621,7 +1427,10 @@ async function checkAvailability(params) {
   log.info({ params }, 'calendar.check → inicio');
 
   // ACEPTAMOS: from+to (ISO) O date (YYYY-MM-DD)
-  let { from, to, date, duration, buffer = 0, barber, calendarId: explicitCalId } = params || {};
+  let {
+    from, to, date, duration, serviceId, service, buffer = 0, barber, calendarId: explicitCalId,
+    step, nonOverlapping = false, limit, sessionId,
+  } = params || {};
 
   // LÓGICA NUEVA: Si envían "date" simple, calculamos el rango del día completo
   if (date && !from && !to) {
@@ -649,82 +1458,583 @@ async function checkAvailability(params) {
     throw err;
   }
 
-  const durMin = Number.isFinite(Number(duration)) ? Number(duration) : DEFAULT_DURATION_MIN;
+  const { durMin, svc } = resolveDuration({ serviceId, service, duration });
   const bufferMin = Number(buffer) || 0;
+  const stepMin = Number(step) || null;
+  const shape = { nonOverlapping, limit };
+
+  if (isAnyBarber(params)) {
+    const result = await checkAnyBarber({ fromDT, toDT, durMin, bufferMin, stepMin, svc, meta: params._meta, log, startLog });
+    return shapeSlots(withoutHeld(result, { sessionId }), shape);
+  }
+
   const calId = resolveCalendarId({ calendarId: explicitCalId, barber });
-  
-  // Cache logic
-  const cacheKey = ['calendar.check', calId, fromDT.toISO(), toDT.toISO(), durMin, bufferMin, barber || 'none'].join('|');
+  assertBookable(calId);
+
+  // Cache logic: etiquetado por calendario/día, create/cancel/reschedule lo invalidan
+  const tags = availabilityTags([calId], fromDT, toDT);
+  params._meta?.cacheTags?.push(...tags);
+  const cacheKey = ['calendar.check', calId, fromDT.toISO(), toDT.toISO(), durMin, bufferMin, stepMin || 'cfg', barber || 'none'].join('|');
   const cached = await Promise.resolve(cache.get(cacheKey));
-  if (cached) return cached;
+  if (cached) return shapeSlots(withoutHeld(cached, { calId, sessionId }), shape);
 
-  const auth = getAuthClient();
-  const calendar = google.calendar({ version: 'v3', auth });
+  const { [calId]: entry } = await fetchBusy([calId], fromDT, toDT, log);
+  if (entry.errors) throw freeBusyCalendarError(calId, entry.errors);
+  const busy = entry.busy;
 
-  const eventsRes = await calendar.events.list({
-    calendarId: calId,
-    timeMin: fromDT.toISO(),
-    timeMax: toDT.toISO(),
-    singleEvents: true,
-    orderBy: 'startTime',
-    timeZone: TZ,
+  const bizCfg = getBizFor(barber || barberKeyForCalendar(calId));
+  const slots = computeSlots({ busy, bizCfg, fromDT, toDT, durMin, bufferMin, stepMin });
+
+  const result = {
+    slots,
+    generated_with: {
+      duration: durMin, buffer: bufferMin, tz: TZ,
+      step: stepMin || bizCfg.slotStep || durMin,
+      ...(svc && { service: { id: svc.id, nombre: svc.nombre, precio: svc.precio } }),
+      business_hours: { days: bizCfg.days, start: bizCfg.start, end: bizCfg.end, weekly: bizCfg.weekly },
+      exceptions: exceptionsInRange(fromDT.toISODate(), toDT.toISODate(), bizCfg.barberKey),
+    },
+  };
+
+  await cache.set(cacheKey, result, CACHE_TTL_SECONDS, { tags });
+  logWithDuration(log, 'calendar.check → completado', { slots: result.slots.length }, startLog);
+  return shapeSlots(withoutHeld(result, { calId, sessionId }), shape);
+}
+
+/**
+ * Primeros N slots libres desde "after" hacia adelante.
+ * Recorre bloques de NEXT_CHUNK_DAYS días alineados a medianoche (así el cache de
+ * calendar.check se reutiliza entre llamadas) y se detiene al completar "limit".
+ * Sin barber/calendarId busca en cualquier barbero.
+ */
+async function findNextSlots(params) {
+  const log = createRequestLogger({
+    tool: 'calendar',
+    action: 'next',
+    barber: params?.barber,
   });
 
-  const items = eventsRes.data.items || [];
-  const busy = items.map((ev) => {
-      const s = ev.start?.dateTime || ev.start?.date;
-      const e = ev.end?.dateTime || ev.end?.date;
-      if (!s || !e) return null;
-      return { start: DateTime.fromISO(s, { zone: TZ }), end: DateTime.fromISO(e, { zone: TZ }) };
-    }).filter(Boolean);
-
-  const bizCfg = getBizFor(barber);
-  const daysArr = bizCfg.days || [1, 2, 3, 4, 5];
-  const startHm = bizCfg.start || '08:00';
-  const endHm = bizCfg.end || '20:00';
-  const now = DateTime.now().setZone(TZ);
-  const slots = [];
+  const startLog = Date.now();
+  log.info({ params }, 'calendar.next → inicio');
 
-  let cursor = fromDT.startOf('day');
-  const lastDay = toDT.startOf('day');
+  const {
+    barber, calendarId, anyBarber, serviceId, service, duration, buffer = 0, step, nonOverlapping,
+    after, timeFrom, timeTo, weekdays, horizonDays = NEXT_HORIZON_DAYS, limit = 3, sessionId,
+  } = params || {};
 
-  while (cursor <= lastDay) {
-    if (!dayIsOpen(cursor, daysArr)) { cursor = cursor.plus({ days: 1 }); continue; }
-    const { start: dayStart, end: dayEnd } = buildDayWindow(cursor, startHm, endHm);
-    // Recorte al rango solicitado
-    const dayL = fromDT > dayStart ? fromDT : dayStart;
-    const dayR = toDT < dayEnd ? toDT : dayEnd;
+  const now = DateTime.now().setZone(TZ);
+  let afterDT = after ? DateTime.fromISO(after, { zone: TZ }) : now;
+  if (!afterDT.isValid) {
+    const err = new Error('INVALID_RANGE: "after" no es una fecha ISO válida');
+    err.code = 'INVALID_RANGE';
+    throw err;
+  }
+  if (afterDT < now) afterDT = now;
+
+  const days = weekdays?.length ? new Set(weekdays.map(parseWeekday).filter(Boolean)) : null;
+  const fromMin = timeFrom ? hmToMin(timeFrom) : 0;
+  const toMin = timeTo ? hmToMin(timeTo) : 24 * 60;
+
+  const matches = (slot) => {
+    const s = DateTime.fromISO(slot.start, { zone: TZ });
+    const e = DateTime.fromISO(slot.end, { zone: TZ });
+    if (s < afterDT) return false;
+    if (days && !days.has(s.weekday)) return false;
+    const sMin = s.hour * 60 + s.minute;
+    const eMin = e.hasSame(s, 'day') ? e.hour * 60 + e.minute : 24 * 60;
+    return sMin >= fromMin && eMin <= toMin;
+  };
 
-    if (dayL >= dayR) { cursor = cursor.plus({ days: 1 }); continue; }
+  const { durMin, svc } = resolveDuration({ serviceId, service, duration });
+  const target = barber || calendarId ? { barber, calendarId, anyBarber } : { anyBarber: true };
 
-    const dayBusyRaw = busy.map((iv) => clipInterval(iv, dayL, dayR)).filter(Boolean);
-    const dayBusy = applyBuffer(dayBusyRaw, bufferMin);
-    const gaps = freeGaps(dayL, dayR, dayBusy);
-    const daySlots = genSlotsBackToBack(gaps, durMin, now);
+  const horizonEnd = afterDT.startOf('day').plus({ days: horizonDays });
+  const slots = [];
+  let cursor = afterDT.startOf('day');
+  let chunks = 0;
+  let generatedWith = null;
+
+  while (slots.length < limit && cursor < horizonEnd) {
+    const chunkEnd = DateTime.min(cursor.plus({ days: NEXT_CHUNK_DAYS }), horizonEnd);
+    const res = await checkAvailability({
+      ...target,
+      from: cursor.toISO(),
+      to: chunkEnd.minus({ milliseconds: 1 }).toISO(),
+      duration: durMin,
+      buffer,
+      step,
+      nonOverlapping,
+      sessionId,
+    });
+    chunks++;
+    generatedWith = res.generated_with;
 
-    for (const s of daySlots) {
-      slots.push({ start: toRFC3339(s.start), end: toRFC3339(s.end) });
+    for (const s of res.slots) {
+      if (!matches(s)) continue;
+      slots.push(s);
+      if (slots.length >= limit) break;
     }
-    cursor = cursor.plus({ days: 1 });
+    cursor = chunkEnd;
   }
 
-  const result = {
+  logWithDuration(log, 'calendar.next → completado', { slots: slots.length, chunks }, startLog);
+  return {
     slots,
+    searched: {
+      from: toRFC3339(afterDT),
+      to: toRFC3339(slots.length >= limit ? cursor : horizonEnd),
+      exhausted: slots.length < limit,
+    },
     generated_with: {
-      duration: durMin, buffer: bufferMin, tz: TZ,
-      business_hours: { days: bizCfg.days, start: startHm, end: endHm },
+      ...generatedWith,
+      duration: durMin,
+      ...(svc && { service: { id: svc.id, nombre: svc.nombre, precio: svc.precio } }),
+      filters: { timeFrom: timeFrom || null, timeTo: timeTo || null, weekdays: days ? [...days] : null },
     },
   };
+}
 
-  await Promise.resolve(cache.set(cacheKey, result, CACHE_TTL_SECONDS));
-  logWithDuration(log, 'calendar.check → completado', { slots: result.slots.length }, startLog);
-  return result;
+
+/**
+ * Aparta un slot para la sesión (conversación) durante ttlSeconds: calendar.check lo
+ * oculta a las demás sesiones y calendar.create lo rechaza con SLOT_OCCUPIED.
+ * Se convierte en cita con calendar.confirm o se suelta con calendar.release.
+ */
+async function holdSlot(params) {
+  const log = createRequestLogger({
+    tool: 'calendar',
+    action: 'hold',
+    barber: params?.barber,
+  });
+
+  const startLog = Date.now();
+  log.info({ params }, 'calendar.hold → inicio');
+
+  const {
+    when, date, time, duration, serviceId, service, barber, calendarId: explicitCalId, sessionId, ttlSeconds,
+  } = params || {};
+
+  if (!sessionId) {
+    const err = new Error('INVALID_PARAMS: Missing param: sessionId');
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
+
+  const calId = resolveCalendarId({ calendarId: explicitCalId, barber });
+  assertBookable(calId);
+  const { durMin, svc } = resolveDuration({ serviceId, service, duration });
+  const bizCfg = getBizFor(barber || barberKeyForCalendar(calId));
+
+  const now = DateTime.now().setZone(TZ);
+  const { whenISO, interpreted } = resolveWhen({ when, date, time }, (dt) =>
+    dt > now && fitsBusinessHours(bizCfg, dt, dt.plus({ minutes: durMin }))
+  );
+  const startDT = ensureFuture(whenISO);
+  const endDT = startDT.plus({ minutes: durMin });
+  if (!fitsBusinessHours(bizCfg, startDT, endDT)) throw outsideHoursError(bizCfg, startDT);
+
+  // Mismo chequeo que createEvent, bajo el mismo lock
+  const { hold, replaced } = await withBookingLock(calId, startDT, endDT, async () => {
+    const conflicts = await findConflicts(getCalendarBackend(), calId, startDT, endDT);
+    if (conflicts.length > 0 || heldByOther(calId, startDT, endDT, { sessionId })) throw slotOccupiedError();
+
+    return createHold({
+      sessionId,
+      calendarId: calId,
+      barber: bizCfg.barberKey || barberKeyForCalendar(calId),
+      start: toRFC3339(startDT),
+      end: toRFC3339(endDT),
+      duration: durMin,
+      serviceId: svc?.id,
+      ttlSeconds,
+    });
+  });
+
+  // El slot desaparece (y los reemplazados reaparecen) en calendar.check de las otras sesiones
+  for (const h of [hold, ...replaced]) await invalidateCalendar(h.calendarId, h.start);
+
+  logWithDuration(log, 'calendar.hold → completado', { holdId: hold.id, replaced: replaced.map((h) => h.id) }, startLog);
+  return {
+    hold,
+    ...(replaced.length && { replaced: replaced.map((h) => h.id) }),
+    ...(interpreted && { interpreted }),
+  };
+}
+
+async function releaseHold(params) {
+  const log = createRequestLogger({ tool: 'calendar', action: 'release' });
+  const startLog = Date.now();
+
+  const { holdId, sessionId } = params || {};
+  if (!holdId && !sessionId) {
+    const err = new Error('INVALID_PARAMS: se requiere holdId o sessionId');
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
+
+  const released = releaseHolds({ id: holdId, sessionId });
+  for (const h of released) await invalidateCalendar(h.calendarId, h.start);
+
+  logWithDuration(log, 'calendar.release → completado', { released: released.map((h) => h.id) }, startLog);
+  return { released: released.map((h) => h.id) };
 }
 
+/**
+ * Convierte un hold vigente de la sesión en una cita real (mismo flujo que
+ * calendar.create). Horario, calendario y servicio salen del hold; del caller solo
+ * los datos del cliente.
+ */
+async function confirmHold(params) {
+  const log = createRequestLogger({ tool: 'calendar', action: 'confirm' });
+  const startLog = Date.now();
+  log.info({ params }, 'calendar.confirm → inicio');
+
+  const { holdId, sessionId, who, phone, clientId, notes, source, client_request_id } = params || {};
+
+  const exec = async () => {
+    const hold = getHold(holdId);
+    if (!hold || hold.sessionId !== sessionId) {
+      const err = new Error(`HOLD_NOT_FOUND: ${holdId} no existe, ya venció o es de otra sesión`);
+      err.code = 'HOLD_NOT_FOUND';
+      throw err;
+    }
+
+    const data = await createEvent({
+      who,
+      phone,
+      clientId,
+      notes,
+      source,
+      calendarId: hold.calendarId,
+      when: hold.start,
+      duration: hold.duration,
+      ...(hold.serviceId && { serviceId: hold.serviceId }),
+      sessionId: hold.sessionId,
+    });
+    releaseHolds({ id: hold.id });
+    return { ...data, holdId: hold.id };
+  };
+
+  // Con client_request_id un reintento devuelve la cita ya creada (el hold ya no existe)
+  const result = client_request_id
+    ? await withIdempotency(`calendar:confirm:${client_request_id}`, exec)
+    : await exec();
+
+  logWithDuration(log, 'calendar.confirm → completado', { holdId, id: result.id }, startLog);
+  return result;
+}
 
 
 // -------------------- DISPATCHER --------------------
 export const name = 'calendar';
+
+// Descripciones para el listado de tools MCP
+export const descriptions = {
+  create: 'Crea una cita en el calendario del barbero (when ISO o en lenguaje natural, o date+time). Si la hora es ambigua y no se puede resolver con el horario, falla con WHEN_AMBIGUOUS y options. Con serviceId/service la duración, el título y el precio salen del catálogo. Con anyBarber asigna un barbero libre según policy. Falla con SLOT_OCCUPIED si el horario está ocupado.',
+  cancel: 'Cancela (elimina) una cita existente por eventId. Si alguien en la lista de espera encaja en el hueco liberado, se le ofrece y queda reservado unos minutos (waitlistOffer).',
+  check: 'Devuelve los horarios libres de un barbero en un día (date), rango (from, to) o texto libre (when: "el viernes en la tarde"). Con serviceId/service usa la duración del catálogo. Con anyBarber revisa todos los barberos y anota quién está libre en cada slot. step fija la rejilla de inicios (p.ej. cada 15 min) independiente de la duración; nonOverlapping/limit recortan las sugerencias.',
+  reschedule: 'Mueve una cita (eventId) a un nuevo horario y opcionalmente a otro barbero (newBarber). Si falla, la cita original queda intacta.',
+  next: 'Busca los próximos N horarios libres (limit) desde ahora o "after", sin ir día por día. Filtros opcionales: franja horaria (timeFrom/timeTo), días de la semana (weekdays) y horizonte en días. Sin barber busca en cualquier barbero.',
+  hold: 'Aparta un horario para esta conversación (sessionId) mientras se piden los datos del cliente: las demás sesiones no lo ven en calendar.check ni pueden agendarlo. Vence solo tras ttlSeconds. Un nuevo hold de la misma sesión reemplaza al anterior.',
+  release: 'Suelta un hold (holdId) o todos los de una sesión (sessionId).',
+  confirm: 'Convierte un hold vigente de la sesión (sessionId) en la cita real (who, phone, notes...). Falla con HOLD_NOT_FOUND si ya venció o es de otra sesión.',
+};
+
+// -------------------- SCHEMAS (input/output por acción) --------------------
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const TIME_PATTERN = '^\\d{1,2}:\\d{2}$';
+
+const calendarTarget = {
+  barber: { type: 'string', minLength: 1, description: 'Nombre o alias del barbero' },
+  calendarId: { type: 'string', minLength: 1, description: 'ID de Google Calendar (alternativa a barber)' },
+};
+const serviceProps = {
+  serviceId: { type: 'string', minLength: 1, description: 'ID del servicio del catálogo (define la duración)' },
+  service: { type: 'string', minLength: 1, description: 'Nombre aproximado del servicio (alternativa a serviceId)' },
+};
+const requireCalendarTarget = { anyOf: [{ required: ['barber'] }, { required: ['calendarId'] }] };
+const anyBarberProp = {
+  anyBarber: { type: 'boolean', description: 'Cualquier barbero libre (también barber: "cualquiera")' },
+};
+const requireCalendarTargetOrAny = {
+  anyOf: [
+    ...requireCalendarTarget.anyOf,
+    { required: ['anyBarber'], properties: { anyBarber: { const: true } } },
+  ],
+};
+
+const slotGridProps = {
+  step: { type: 'integer', minimum: 5, maximum: 240, description: 'Minutos entre inicios de slot (default: slotStep del horario o la duración)' },
+  nonOverlapping: { type: 'boolean', default: false, description: 'No sugerir slots que se solapen entre sí' },
+};
+
+const sessionProp = {
+  sessionId: { type: 'string', minLength: 1, description: 'Conversación/sesión: sus propios calendar.hold no se le ocultan ni le bloquean' },
+};
+
+const slotSchema = {
+  type: 'object',
+  properties: {
+    start: { type: 'string' },
+    end: { type: 'string' },
+    barbers: { type: 'array', items: { type: 'object' }, description: 'Solo en modo anyBarber' },
+  },
+};
+
+export const schemas = {
+  create: {
+    input: {
+      type: 'object',
+      required: ['who'],
+      properties: {
+        when: { type: 'string', minLength: 1, description: 'Inicio en ISO 8601 con offset o en lenguaje natural ("mañana a las 3 de la tarde")' },
+        date: { type: 'string', pattern: DATE_PATTERN, description: 'YYYY-MM-DD (con time)' },
+        time: { type: 'string', pattern: TIME_PATTERN, description: 'HH:MM (con date)' },
+        who: { type: 'string', minLength: 1, description: 'Nombre del cliente' },
+        notes: { type: 'string' },
+        duration: { type: 'integer', minimum: 5, maximum: 480, description: 'Minutos' },
+        phone: { type: 'string', description: 'Se guarda normalizado a E.164' },
+        clientId: { type: 'string' },
+        ...serviceProps,
+        source: { type: 'string', description: 'Canal de origen (whatsapp, n8n, ...)' },
+        client_request_id: { type: 'string', description: 'Clave de idempotencia' },
+        ...sessionProp,
+        ...calendarTarget,
+        ...anyBarberProp,
+        policy: {
+          type: 'string',
+          enum: ['least_busy', 'round_robin', 'preferred'],
+          description: 'Cómo elegir barbero en modo anyBarber',
+        },
+        preferred: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Barberos preferidos en orden (policy=preferred)',
+        },
+      },
+      allOf: [
+        { anyOf: [{ required: ['when'] }, { required: ['date', 'time'] }] },
+        requireCalendarTargetOrAny,
+      ],
+    },
+    output: {
+      type: 'object',
+      required: ['id', 'start', 'end'],
+      properties: {
+        id: { type: 'string' },
+        when: { type: 'string' },
+        start: { type: 'string' },
+        end: { type: 'string' },
+        who: { type: 'string' },
+        notes: { type: 'string' },
+        duration: { type: 'integer' },
+        service: { type: 'object' },
+        barber: { type: 'object' },
+        policy: { type: 'string' },
+        interpreted: { type: 'object', description: 'Solo si when vino en lenguaje natural' },
+        client: { type: 'object', description: 'Ficha vinculada (id, name, returning)' },
+      },
+    },
+  },
+  cancel: {
+    input: {
+      type: 'object',
+      required: ['eventId'],
+      properties: {
+        eventId: { type: 'string', minLength: 1 },
+        ...calendarTarget,
+      },
+      ...requireCalendarTarget,
+    },
+    output: {
+      type: 'object',
+      required: ['id', 'cancelled'],
+      properties: {
+        id: { type: 'string' },
+        cancelled: { type: 'boolean' },
+        waitlistOffer: { type: 'object', description: 'Hueco ofrecido al primero de la lista de espera (reservado hasta expiresAt)' },
+      },
+    },
+  },
+  reschedule: {
+    input: {
+      type: 'object',
+      required: ['eventId'],
+      properties: {
+        eventId: { type: 'string', minLength: 1 },
+        when: { type: 'string', minLength: 1, description: 'Nuevo inicio en ISO 8601 con offset o en lenguaje natural' },
+        date: { type: 'string', pattern: DATE_PATTERN, description: 'Nuevo día YYYY-MM-DD (con time)' },
+        time: { type: 'string', pattern: TIME_PATTERN, description: 'Nueva hora HH:MM (con date)' },
+        duration: { type: 'integer', minimum: 5, maximum: 480, description: 'Minutos (default: la duración original)' },
+        newBarber: { type: 'string', minLength: 1, description: 'Barbero destino si cambia' },
+        newCalendarId: { type: 'string', minLength: 1, description: 'Calendario destino si cambia' },
+        client_request_id: { type: 'string', description: 'Clave de idempotencia' },
+        ...sessionProp,
+        ...calendarTarget,
+      },
+      allOf: [
+        { anyOf: [{ required: ['when'] }, { required: ['date', 'time'] }] },
+        requireCalendarTarget,
+      ],
+    },
+    output: {
+      type: 'object',
+      required: ['id', 'start', 'end'],
+      properties: {
+        id: { type: 'string' },
+        calendarId: { type: 'string' },
+        when: { type: 'string' },
+        start: { type: 'string' },
+        end: { type: 'string' },
+        previous: { type: 'object' },
+      },
+    },
+  },
+  check: {
+    input: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', pattern: DATE_PATTERN, description: 'Día completo YYYY-MM-DD' },
+        when: { type: 'string', minLength: 1, description: 'Día/franja en lenguaje natural: "mañana", "el viernes en la tarde"' },
+        from: { type: 'string', minLength: 1, description: 'Inicio del rango (ISO)' },
+        to: { type: 'string', minLength: 1, description: 'Fin del rango (ISO)' },
+        duration: { type: 'integer', minimum: 5, maximum: 480, description: 'Minutos' },
+        buffer: { type: 'integer', minimum: 0, maximum: 120, description: 'Minutos de margen entre citas' },
+        ...slotGridProps,
+        limit: { type: 'integer', minimum: 1, maximum: 200, description: 'Máximo de slots a devolver' },
+        ...serviceProps,
+        ...sessionProp,
+        ...calendarTarget,
+        ...anyBarberProp,
+      },
+      allOf: [
+        { anyOf: [{ required: ['date'] }, { required: ['from', 'to'] }, { required: ['when'] }] },
+        requireCalendarTargetOrAny,
+      ],
+    },
+    output: {
+      type: 'object',
+      required: ['slots'],
+      properties: {
+        slots: { type: 'array', items: slotSchema },
+        generated_with: { type: 'object' },
+        interpreted: { type: 'object', description: 'Rango entendido de when (con ambiguous/options)' },
+      },
+    },
+  },
+  next: {
+    input: {
+      type: 'object',
+      properties: {
+        after: { type: 'string', minLength: 1, description: 'Buscar desde este instante (ISO). Default: ahora' },
+        duration: { type: 'integer', minimum: 5, maximum: 480, description: 'Minutos' },
+        buffer: { type: 'integer', minimum: 0, maximum: 120, description: 'Minutos de margen entre citas' },
+        timeFrom: { type: 'string', pattern: TIME_PATTERN, description: 'Solo slots que empiecen desde esta hora (HH:MM)' },
+        timeTo: { type: 'string', pattern: TIME_PATTERN, description: 'Solo slots que terminen antes de esta hora (HH:MM)' },
+        weekdays: {
+          type: 'array',
+          items: { type: ['string', 'integer'] },
+          description: 'Días permitidos: "Mon"/"lun" o 1..7 (lunes=1)',
+        },
+        ...slotGridProps,
+        horizonDays: { type: 'integer', minimum: 1, maximum: 180, default: NEXT_HORIZON_DAYS, description: 'Días hacia adelante como máximo' },
+        limit: { type: 'integer', minimum: 1, maximum: 20, default: 3, description: 'Cuántos slots devolver' },
+        ...serviceProps,
+        ...sessionProp,
+        ...calendarTarget,
+        ...anyBarberProp,
+      },
+    },
+    output: {
+      type: 'object',
+      required: ['slots'],
+      properties: {
+        slots: { type: 'array', items: slotSchema },
+        searched: { type: 'object', description: 'Rango recorrido; exhausted=true si no se llegó a limit' },
+        generated_with: { type: 'object' },
+      },
+    },
+  },
+  hold: {
+    input: {
+      type: 'object',
+      required: ['sessionId'],
+      properties: {
+        when: { type: 'string', minLength: 1, description: 'Inicio en ISO 8601 con offset o en lenguaje natural' },
+        date: { type: 'string', pattern: DATE_PATTERN, description: 'YYYY-MM-DD (con time)' },
+        time: { type: 'string', pattern: TIME_PATTERN, description: 'HH:MM (con date)' },
+        duration: { type: 'integer', minimum: 5, maximum: 480, description: 'Minutos' },
+        ...serviceProps,
+        ...sessionProp,
+        ttlSeconds: {
+          type: 'integer', minimum: 30, maximum: HOLD_MAX_TTL_SECONDS, default: HOLD_TTL_SECONDS,
+          description: 'Cuánto dura la reserva',
+        },
+        ...calendarTarget,
+      },
+      allOf: [
+        { anyOf: [{ required: ['when'] }, { required: ['date', 'time'] }] },
+        requireCalendarTarget,
+      ],
+    },
+    output: {
+      type: 'object',
+      required: ['hold'],
+      properties: {
+        hold: { type: 'object', description: 'id, sessionId, calendarId, barber, start, end, expiresAt' },
+        replaced: { type: 'array', items: { type: 'string' }, description: 'Holds anteriores de la sesión que se soltaron' },
+        interpreted: { type: 'object' },
+      },
+    },
+  },
+  release: {
+    input: {
+      type: 'object',
+      properties: {
+        holdId: { type: 'string', minLength: 1 },
+        sessionId: { type: 'string', minLength: 1, description: 'Suelta todos los holds de la sesión' },
+      },
+      anyOf: [{ required: ['holdId'] }, { required: ['sessionId'] }],
+    },
+    output: {
+      type: 'object',
+      required: ['released'],
+      properties: { released: { type: 'array', items: { type: 'string' } } },
+    },
+  },
+  confirm: {
+    input: {
+      type: 'object',
+      required: ['holdId', 'sessionId', 'who'],
+      properties: {
+        holdId: { type: 'string', minLength: 1 },
+        sessionId: { type: 'string', minLength: 1, description: 'Sesión dueña del hold' },
+        who: { type: 'string', minLength: 1, description: 'Nombre del cliente' },
+        notes: { type: 'string' },
+        phone: { type: 'string', description: 'Se guarda normalizado a E.164' },
+        clientId: { type: 'string' },
+        source: { type: 'string', description: 'Canal de origen (whatsapp, n8n, ...)' },
+        client_request_id: { type: 'string', description: 'Clave de idempotencia' },
+      },
+    },
+    output: {
+      type: 'object',
+      required: ['id', 'start', 'end', 'holdId'],
+      properties: {
+        id: { type: 'string' },
+        holdId: { type: 'string' },
+        when: { type: 'string' },
+        start: { type: 'string' },
+        end: { type: 'string' },
+        who: { type: 'string' },
+        notes: { type: 'string' },
+        duration: { type: 'integer' },
+        service: { type: 'object' },
+        client: { type: 'object' },
+      },
+    },
+  },
+};
 export const actions = {
   async create({ params }) {
     const data = await createEvent(params);
@@ -738,5 +2048,25 @@ export const actions = {
     const data = await checkAvailability(params);
     return { ok: true, data };
   },
+  async reschedule({ params }) {
+    const data = await rescheduleEvent(params);
+    return { ok: true, data };
+  },
+  async next({ params }) {
+    const data = await findNextSlots(params);
+    return { ok: true, data };
+  },
+  async hold({ params }) {
+    const data = await holdSlot(params);
+    return { ok: true, data };
+  },
+  async release({ params }) {
+    const data = await releaseHold(params);
+    return { ok: true, data };
+  },
+  async confirm({ params }) {
+    const data = await confirmHold(params);
+    return { ok: true, data };
+  },
 };
 
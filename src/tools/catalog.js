@@ -1,149 +1,211 @@
 // src/tools/catalog.js
+// Catálogo de la ÚNICA barbería (ficha, horario de atención, medios de pago y servicios
+// con precio y duración) en data/catalog.json (CATALOG_JSON). Se valida contra
+// shopSchema al leerlo y se relee si el archivo cambia; los barberos salen del
+// directorio (barbers.json). Servicios y precios se editan con catalog.addService /
+// updateService / removeService.
 import fs from 'fs';
 import path from 'path';
+import Ajv from 'ajv';
 import { createRequestLogger, logWithDuration } from '../utils/logger.js';
+import { listBarbers } from '../utils/directory.js';
+import cache, { AVAILABILITY_TAG, CATALOG_TAG, DIRECTORY_TAG } from '../utils/cache.js';
 
-const BARBERS_JSON_PATH =
-  process.env.BARBERS_JSON || path.join(process.cwd(), 'data', 'barbers.json');
+const CATALOG_JSON_PATH =
+  process.env.CATALOG_JSON || path.join(process.cwd(), 'data', 'catalog.json');
+const WATCH_INTERVAL_MS = Number(process.env.CATALOG_WATCH_INTERVAL_MS || 2000);
 
-// Cache en memoria de barberos
-let barbersCache = null;
+function normalize(str = '') {
+  return String(str)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
 
-function loadBarbersForCatalog() {
-  if (barbersCache) return barbersCache;
+const SERVICE_ID_RE = /^svc-[a-z0-9-]+$/;
+
+const serviceSchema = {
+  type: 'object',
+  required: ['id', 'nombre', 'duracion_min', 'precio'],
+  properties: {
+    id: { type: 'string', pattern: SERVICE_ID_RE.source },
+    nombre: { type: 'string', minLength: 1 },
+    duracion_min: { type: 'integer', minimum: 5 },
+    precio: { type: 'number', minimum: 0 },
+    descripcion: { type: 'string' },
+  },
+};
 
-  const log = createRequestLogger({ tool: 'catalog', action: 'loadBarbers' });
+const shopSchema = {
+  type: 'object',
+  required: ['id', 'nombre', 'servicios'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    nombre: { type: 'string', minLength: 1 },
+    ciudad: { type: 'string' },
+    descripcion_corta: { type: 'string' },
+    descripcion_larga: { type: 'array', items: { type: 'string' } },
+    horario: { type: 'object' },
+    politica_citas: { type: 'string' },
+    medios_pago: { type: 'array', items: { type: 'string' } },
+    ubicacion: { type: 'object' },
+    servicios: { type: 'array', items: serviceSchema },
+  },
+};
 
-  try {
-    if (!fs.existsSync(BARBERS_JSON_PATH)) {
-      log.warn({ path: BARBERS_JSON_PATH }, 'BARBERS_JSON_NOT_FOUND_FOR_CATALOG');
-      barbersCache = {};
-      return barbersCache;
-    }
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateShop = ajv.compile(shopSchema);
 
-    const raw = fs.readFileSync(BARBERS_JSON_PATH, 'utf8').trim();
-    if (!raw) {
-      log.warn({ path: BARBERS_JSON_PATH }, 'BARBERS_JSON_EMPTY_FOR_CATALOG');
-      barbersCache = {};
-      return barbersCache;
-    }
+function catalogInvalid(message) {
+  const err = new Error(`CATALOG_INVALID: ${message}`);
+  err.code = 'CATALOG_INVALID';
+  return err;
+}
 
-    const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== 'object') {
-      log.error({ path: BARBERS_JSON_PATH }, 'BARBERS_JSON_INVALID_FOR_CATALOG');
-      barbersCache = {};
-      return barbersCache;
-    }
+function checkShop(shop) {
+  if (!validateShop(shop)) throw catalogInvalid(ajv.errorsText(validateShop.errors, { dataVar: 'catalog' }));
+  const ids = shop.servicios.map((s) => s.id);
+  const dup = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (dup) throw catalogInvalid(`id de servicio duplicado: ${dup}`);
+  return shop;
+}
 
-    barbersCache = parsed;
+let catalogCache = null;
+let loadedMtime = null;
+
+/**
+ * Catálogo vigente; se relee solo si cambió el archivo. Si la versión nueva no es
+ * válida se sigue usando la anterior (y se loguea una vez).
+ */
+function loadCatalog() {
+  try {
+    const { mtimeMs } = fs.statSync(CATALOG_JSON_PATH);
+    if (catalogCache && mtimeMs === loadedMtime) return catalogCache;
+    const edited = !!catalogCache; // cambió a mano (saveCatalog ya deja loadedMtime al día)
+    loadedMtime = mtimeMs;
+
+    const raw = fs.readFileSync(CATALOG_JSON_PATH, 'utf8');
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      throw catalogInvalid(e.message);
+    }
+    catalogCache = checkShop(parsed);
+    // Las duraciones también alimentan los calendar.check cacheados
+    if (edited) cache.invalidateTags([CATALOG_TAG, AVAILABILITY_TAG]);
   } catch (err) {
-    log.error(
-      {
-        err: { message: err.message, stack: err.stack },
-        path: BARBERS_JSON_PATH,
-      },
-      'BARBERS_JSON_LOAD_ERROR_FOR_CATALOG'
+    createRequestLogger({ tool: 'catalog', action: 'load' }).error(
+      { err: { message: err.message, code: err.code }, path: CATALOG_JSON_PATH, keptPrevious: !!catalogCache },
+      'CATALOG_JSON_LOAD_ERROR'
     );
-    barbersCache = {};
+    if (!catalogCache) throw err.code === 'CATALOG_INVALID' ? err : catalogInvalid(err.message);
   }
-
-  return barbersCache;
+  return catalogCache;
 }
 
-function normalize(str = '') {
-  return String(str)
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+// Escritura atómica: archivo temporal + rename
+function saveCatalog(shop) {
+  checkShop(shop);
+  const full = path.resolve(CATALOG_JSON_PATH);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  const tmp = `${full}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(shop, null, 2)}\n`);
+  fs.renameSync(tmp, full);
+  catalogCache = shop;
+  loadedMtime = fs.statSync(full).mtimeMs;
 }
 
+let watching = false;
+
 /**
- * Datos base de la ÚNICA barbería, tomados del Word.
- * Aquí no metemos barberos todavía; se agregan dinámicamente.
+ * Vigila catalog.json (polling, como el directorio) para que una edición a mano
+ * invalide también los catalog.get cacheados, que no vuelven a pasar por loadCatalog().
  */
-const BASE_SHOP = {
-  id: 'shop-001',
-  nombre: 'Estilo Supremo Barbería',
-  ciudad: 'Colonia Centro',
-  descripcion_corta:
-    'Barbería donde se fusiona la tradición clásica con el estilo moderno, enfocada en ofrecer una experiencia de alta calidad.',
-  descripcion_larga: [
-    'Bienvenido a Estilo Supremo Barbería, donde fusionamos tradición y estilo moderno para ofrecerte una experiencia de cuidado personal única. Desde nuestros inicios, nos hemos enfocado en brindar atención detallada, asesoría personalizada y resultados impecables, convirtiéndonos en un referente de estilo y excelencia en la comunidad.',
-    'Nuestro ambiente combina el estilo clásico de las barberías tradicionales con toques contemporáneos, creando un espacio cómodo y moderno donde te sentirás como en casa. Aquí no solo vienes a cortarte el cabello o a arreglarte la barba; vienes a disfrutar de un momento para ti, en manos de barberos profesionales que se apasionan por lo que hacen.',
-  ],
-  horario: {
-    lunes_a_viernes: { abre: '09:00', cierra: '20:00' },
-    sabado: { abre: '10:00', cierra: '18:00' },
-    domingo: { cerrado: true },
-  },
-  politica_citas:
-    'Aceptamos clientes sin cita previa, pero recomendamos agendar con anticipación para garantizar disponibilidad.',
-  medios_pago: [
-    'Efectivo',
-    'Tarjetas de débito/crédito',
-    'Pagos móviles',
-  ],
-  ubicacion: {
-    direccion: 'Av. Principal #123, Colonia Centro',
-    telefono: '(555) 123-4567',
-    email: 'contacto@estilosupremo.com',
-    descripcion:
-      'Ubicación céntrica de fácil acceso, cerca de la estación de metro "Centro" y a pocas cuadras del centro comercial principal.',
-  },
-  servicios: [
-    {
-      id: 'svc-corte-clasico',
-      nombre: 'Corte de Cabello Clásico',
-      duracion_min: 30,
-      precio: 25,
-      descripcion:
-        'Corte tradicional adaptado a tu estilo personal, incluye lavado y peinado final.',
-    },
-    {
-      id: 'svc-barba-completa',
-      nombre: 'Arreglo de Barba Completo',
-      duracion_min: 25,
-      precio: 20,
-      descripcion:
-        'Recorte, definición de líneas, afeitado con navaja tradicional y tratamiento hidratante.',
-    },
-    {
-      id: 'svc-premium',
-      nombre: 'Paquete Premium (Corte + Barba)',
-      duracion_min: 50,
-      precio: 40,
-      descripcion:
-        'Experiencia completa que incluye corte de cabello, arreglo de barba, masaje facial y toalla caliente.',
-    },
-  ],
-};
+export function startCatalogWatch() {
+  if (watching || !(WATCH_INTERVAL_MS > 0)) return;
+  watching = true;
+
+  fs.watchFile(CATALOG_JSON_PATH, { interval: WATCH_INTERVAL_MS, persistent: false }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    try {
+      loadCatalog();
+    } catch {
+      // ya logueado en loadCatalog (CATALOG_JSON_LOAD_ERROR)
+    }
+  });
+}
 
 /**
  * Construye la barbería con la lista de barberos reales del barbers.json
  */
 function buildFullShop() {
-  const barbersCfg = loadBarbersForCatalog();
-  const barberos = [];
-
-  let idx = 1;
-  for (const [barberId, cfg] of Object.entries(barbersCfg)) {
-    barberos.push({
-      id: idx, // numérico simple
-      barber_id: barberId, // nova, atlas, shadow, etc.
-      nombre: cfg.displayName,
-      aliases: cfg.aliases || [],
-    });
-    idx++;
-  }
+  const barberos = listBarbers().map((b, i) => ({
+    id: i + 1, // numérico simple
+    barber_id: b.id, // nova, atlas, shadow, etc.
+    nombre: b.displayName,
+    aliases: b.aliases,
+  }));
 
   return {
-    ...BASE_SHOP,
+    ...loadCatalog(),
     barberos,
   };
 }
 
+/**
+ * Busca un servicio del catálogo por id o por nombre aproximado.
+ * - id exacto ("svc-premium") o slug sin prefijo ("premium")
+ * - nombre exacto (sin tildes ni mayúsculas)
+ * - substring del nombre; si hay varios, gana el que EMPIEZA por el texto
+ * Lanza SERVICE_NOT_FOUND o SERVICE_AMBIGUOUS (con options).
+ */
+export function findService({ serviceId, service } = {}) {
+  const { servicios } = loadCatalog();
+
+  if (serviceId) {
+    const id = String(serviceId).trim();
+    const byId = servicios.find((s) => s.id === id || s.id === `svc-${id}`);
+    if (byId) return byId;
+    if (!service) {
+      const err = new Error(`SERVICE_NOT_FOUND: ${id}`);
+      err.code = 'SERVICE_NOT_FOUND';
+      throw err;
+    }
+  }
+
+  const q = normalize(service || serviceId || '');
+  if (!q) {
+    const err = new Error('SERVICE_NOT_FOUND: nombre vacío');
+    err.code = 'SERVICE_NOT_FOUND';
+    throw err;
+  }
+
+  const slug = (s) => normalize(s.id.replace(/^svc-/, '').replace(/-/g, ' '));
+
+  const exact = servicios.find((s) => normalize(s.nombre) === q || slug(s) === q);
+  if (exact) return exact;
+
+  const partial = servicios.filter((s) => normalize(s.nombre).includes(q) || slug(s).includes(q));
+  if (partial.length === 1) return partial[0];
+
+  const prefixed = partial.filter((s) => normalize(s.nombre).startsWith(q) || slug(s).startsWith(q));
+  if (prefixed.length === 1) return prefixed[0];
+
+  if (partial.length > 1) {
+    const err = new Error(`SERVICE_AMBIGUOUS: "${service || serviceId}" coincide con varios servicios.`);
+    err.code = 'SERVICE_AMBIGUOUS';
+    err.options = partial.map((s) => ({ id: s.id, nombre: s.nombre }));
+    throw err;
+  }
+
+  const err = new Error(`SERVICE_NOT_FOUND: ${service || serviceId}`);
+  err.code = 'SERVICE_NOT_FOUND';
+  throw err;
+}
+
 // -------------------- ACTIONS --------------------
 
 async function catalogSearch(params = {}) {
@@ -152,6 +214,7 @@ async function catalogSearch(params = {}) {
 
   const query = normalize(params.query || '');
   const shop = buildFullShop();
+  params._meta?.cacheTags.push(CATALOG_TAG, DIRECTORY_TAG);
 
   const nombresServicios = shop.servicios.map((s) => s.nombre);
   const nombresBarberos = shop.barberos.map((b) => b.nombre);
@@ -233,6 +296,7 @@ async function catalogGet(params = {}) {
   }
 
   const shop = buildFullShop();
+  params._meta?.cacheTags.push(CATALOG_TAG, DIRECTORY_TAG);
 
   if (id !== shop.id) {
     const err = new Error(`CATALOG_NOT_FOUND: ${id}`);
@@ -248,10 +312,188 @@ async function catalogGet(params = {}) {
   return { item: shop };
 }
 
+// -------------------- ADMIN --------------------
+
+// "Corte Fade" → "svc-corte-fade"
+function serviceIdFor(nombre) {
+  const id = `svc-${normalize(nombre).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')}`;
+  if (!SERVICE_ID_RE.test(id)) {
+    const err = new Error(`INVALID_PARAMS: no se puede generar un id a partir de "${nombre}"; envía id (svc-...)`);
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
+  return id;
+}
+
+function serviceNotFound(id) {
+  const err = new Error(`SERVICE_NOT_FOUND: ${id}`);
+  err.code = 'SERVICE_NOT_FOUND';
+  return err;
+}
+
+// Precio y nombre: solo el catálogo. Duración: también los calendar.check cacheados.
+async function invalidateCatalog({ availability = false } = {}) {
+  await cache.invalidateTags(availability ? [CATALOG_TAG, AVAILABILITY_TAG] : [CATALOG_TAG]);
+}
+
+async function addService(params = {}) {
+  const log = createRequestLogger({ tool: 'catalog', action: 'addService' });
+  const started = Date.now();
+
+  const shop = loadCatalog();
+  const service = {
+    id: params.id || serviceIdFor(params.nombre),
+    nombre: params.nombre.trim(),
+    duracion_min: params.duracion_min,
+    precio: params.precio,
+    ...(params.descripcion && { descripcion: params.descripcion }),
+  };
+
+  const clash = shop.servicios.find((s) => s.id === service.id || normalize(s.nombre) === normalize(service.nombre));
+  if (clash) {
+    const err = new Error(`SERVICE_EXISTS: ya existe ${clash.id} (${clash.nombre})`);
+    err.code = 'SERVICE_EXISTS';
+    throw err;
+  }
+
+  saveCatalog({ ...shop, servicios: [...shop.servicios, service] });
+  await invalidateCatalog();
+
+  logWithDuration(log, 'catalog.addService → completado', { id: service.id }, started);
+  return { service };
+}
+
+async function updateService(params = {}) {
+  const log = createRequestLogger({ tool: 'catalog', action: 'updateService' });
+  const started = Date.now();
+
+  const shop = loadCatalog();
+  const previous = shop.servicios.find((s) => s.id === params.id);
+  if (!previous) throw serviceNotFound(params.id);
+
+  const service = { ...previous };
+  for (const field of ['nombre', 'duracion_min', 'precio', 'descripcion']) {
+    if (params[field] !== undefined) service[field] = params[field];
+  }
+
+  const clash = shop.servicios.find((s) => s.id !== service.id && normalize(s.nombre) === normalize(service.nombre));
+  if (clash) {
+    const err = new Error(`SERVICE_EXISTS: ya existe ${clash.id} (${clash.nombre})`);
+    err.code = 'SERVICE_EXISTS';
+    throw err;
+  }
+
+  saveCatalog({ ...shop, servicios: shop.servicios.map((s) => (s.id === service.id ? service : s)) });
+  await invalidateCatalog({ availability: service.duracion_min !== previous.duracion_min });
+
+  logWithDuration(log, 'catalog.updateService → completado', { id: service.id, precio: service.precio }, started);
+  return { service, previous };
+}
+
+async function removeService(params = {}) {
+  const log = createRequestLogger({ tool: 'catalog', action: 'removeService' });
+  const started = Date.now();
+
+  const shop = loadCatalog();
+  const service = shop.servicios.find((s) => s.id === params.id);
+  if (!service) throw serviceNotFound(params.id);
+
+  saveCatalog({ ...shop, servicios: shop.servicios.filter((s) => s.id !== service.id) });
+  await invalidateCatalog({ availability: true });
+
+  logWithDuration(log, 'catalog.removeService → completado', { id: service.id }, started);
+  return { id: service.id, removed: true, service };
+}
+
 // -------------------- EXPORTS MCP --------------------
 
 export const name = 'catalog';
 
+// Solo con la clave admin (rutas /admin o X-Admin-Key); no salen en tools/list
+export const adminActions = ['addService', 'updateService', 'removeService'];
+
+// Descripciones para el listado de tools MCP
+export const descriptions = {
+  search: 'Busca la barbería por texto y devuelve servicios (con precio y duración) y barberos.',
+  get: 'Devuelve la ficha completa de la barbería por id (shop-001).',
+  addService: '(Admin) Agrega un servicio al catálogo con nombre, precio y duración.',
+  updateService: '(Admin) Cambia nombre, precio, duración o descripción de un servicio.',
+  removeService: '(Admin) Quita un servicio del catálogo.',
+};
+
+const serviceOutput = {
+  type: 'object',
+  required: ['service'],
+  properties: { service: serviceSchema, previous: serviceSchema },
+};
+
+// Schemas input/output por acción
+export const schemas = {
+  search: {
+    input: {
+      type: 'object',
+      properties: { query: { type: 'string', description: 'Texto libre (vacío = todo)' } },
+    },
+    output: {
+      type: 'object',
+      required: ['results'],
+      properties: { results: { type: 'array', items: { type: 'object' } } },
+    },
+  },
+  get: {
+    input: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: { type: 'string', minLength: 1 } },
+    },
+    output: {
+      type: 'object',
+      required: ['item'],
+      properties: { item: { type: 'object' } },
+    },
+  },
+  addService: {
+    input: {
+      type: 'object',
+      required: ['nombre', 'precio', 'duracion_min'],
+      properties: {
+        id: { ...serviceSchema.properties.id, description: 'Default: svc-<nombre>' },
+        nombre: serviceSchema.properties.nombre,
+        precio: serviceSchema.properties.precio,
+        duracion_min: serviceSchema.properties.duracion_min,
+        descripcion: serviceSchema.properties.descripcion,
+      },
+    },
+    output: serviceOutput,
+  },
+  updateService: {
+    input: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        nombre: serviceSchema.properties.nombre,
+        precio: serviceSchema.properties.precio,
+        duracion_min: serviceSchema.properties.duracion_min,
+        descripcion: serviceSchema.properties.descripcion,
+      },
+    },
+    output: serviceOutput,
+  },
+  removeService: {
+    input: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: { type: 'string', minLength: 1 } },
+    },
+    output: {
+      type: 'object',
+      required: ['id', 'removed'],
+      properties: { id: { type: 'string' }, removed: { type: 'boolean' }, service: serviceSchema },
+    },
+  },
+};
+
 export const actions = {
   async search({ params }) {
     const data = await catalogSearch(params);
@@ -261,4 +503,16 @@ export const actions = {
     const data = await catalogGet(params);
     return { ok: true, data };
   },
+  async addService({ params }) {
+    const data = await addService(params);
+    return { ok: true, data };
+  },
+  async updateService({ params }) {
+    const data = await updateService(params);
+    return { ok: true, data };
+  },
+  async removeService({ params }) {
+    const data = await removeService(params);
+    return { ok: true, data };
+  },
 };
@@ -0,0 +1,479 @@
+// src/tools/clients.js
+// Ficha de clientes: una entrada por persona, identificada por teléfono (E.164).
+// calendar.create vincula cada cita a su ficha (extendedProperties.clientId) y
+// actualiza los contadores con los que sacamos el barbero/servicio habitual.
+//
+// Formato de data/clients.json:
+// { "clients": [
+//   { "id": "cli-1a2b3c4d", "phone": "+573001234567", "phones": ["+573001234567"],
+//     "name": "Juan Pérez", "email": "", "notes": "",
+//     "preferences": { "barber": "atlas", "serviceId": "svc-corte-clasico" },
+//     "stats": { "bookings": 3, "barbers": { "atlas": 3 }, "services": { "svc-corte-clasico": 2 }, "lastBooking": "..." },
+//     "createdAt": "...", "updatedAt": "..." },
+//   { "id": "cli-...", "mergedInto": "cli-1a2b3c4d", ... }   ← duplicado ya fusionado
+// ] }
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DateTime } from 'luxon';
+import { createRequestLogger, logWithDuration } from '../utils/logger.js';
+import { normalizePhoneE164 } from '../utils/phone.js';
+import * as bookingTool from './booking.js';
+
+const TZ = process.env.TIMEZONE || 'America/Bogota';
+const CLIENTS_JSON_PATH =
+  process.env.CLIENTS_JSON || path.join(process.cwd(), 'data', 'clients.json');
+
+// Cache en memoria; se invalida al escribir
+let clientsCache = null;
+
+function loadClients() {
+  if (clientsCache) return clientsCache;
+
+  const log = createRequestLogger({ tool: 'clients', action: 'load' });
+  try {
+    if (!fs.existsSync(CLIENTS_JSON_PATH)) {
+      clientsCache = [];
+      return clientsCache;
+    }
+    const raw = fs.readFileSync(CLIENTS_JSON_PATH, 'utf8').trim();
+    const parsed = raw ? JSON.parse(raw) : {};
+    clientsCache = Array.isArray(parsed.clients) ? parsed.clients : [];
+  } catch (err) {
+    log.error(
+      { err: { message: err.message, stack: err.stack }, path: CLIENTS_JSON_PATH },
+      'CLIENTS_JSON_LOAD_ERROR'
+    );
+    clientsCache = [];
+  }
+  return clientsCache;
+}
+
+// Escritura atómica: archivo temporal + rename. Las fichas del caché no se mutan:
+// se arma una lista nueva, se guarda y recién entonces reemplaza al caché (si la
+// escritura falla, el caché sigue igual que el archivo).
+function saveClients(list) {
+  const full = path.resolve(CLIENTS_JSON_PATH);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  const tmp = `${full}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ clients: list }, null, 2));
+  fs.renameSync(tmp, full);
+  clientsCache = list;
+}
+
+function nowISO() {
+  return DateTime.now().setZone(TZ).toISO({ suppressMilliseconds: true });
+}
+
+function clientNotFound(ref) {
+  const err = new Error(`CLIENT_NOT_FOUND: ${ref}`);
+  err.code = 'CLIENT_NOT_FOUND';
+  return err;
+}
+
+// Sigue la cadena mergedInto hasta la ficha vigente
+function followMerged(list, client) {
+  let current = client;
+  const seen = new Set();
+  while (current?.mergedInto && !seen.has(current.id)) {
+    seen.add(current.id);
+    current = list.find((c) => c.id === current.mergedInto);
+  }
+  return current || null;
+}
+
+function findById(list, id) {
+  return followMerged(list, list.find((c) => c.id === id));
+}
+
+function findByPhone(list, phoneE164) {
+  if (!phoneE164) return null;
+  return list.find((c) => !c.mergedInto && (c.phones || [c.phone]).includes(phoneE164)) || null;
+}
+
+// Lo más repetido de un contador { clave: veces }
+function topKey(counter = {}) {
+  let best = null;
+  for (const [k, n] of Object.entries(counter)) {
+    if (!best || n > counter[best]) best = k;
+  }
+  return best;
+}
+
+// Ficha pública: preferencias explícitas primero, si no lo habitual según sus citas
+function toProfile(client) {
+  const stats = client.stats || {};
+  return {
+    id: client.id,
+    phone: client.phone || null,
+    phones: client.phones || [],
+    name: client.name || '',
+    email: client.email || '',
+    notes: client.notes || '',
+    preferences: client.preferences || {},
+    usual: {
+      barber: client.preferences?.barber || topKey(stats.barbers),
+      serviceId: client.preferences?.serviceId || topKey(stats.services),
+    },
+    bookings: stats.bookings || 0,
+    lastBooking: stats.lastBooking || null,
+    returning: (stats.bookings || 0) > 0,
+    createdAt: client.createdAt,
+    updatedAt: client.updatedAt,
+  };
+}
+
+// Copia de la ficha con los campos de upsert aplicados (sin pisar con vacíos)
+function withFields(client, { name, email, notes, preferences }) {
+  return {
+    ...client,
+    ...(name && { name: String(name).trim() }),
+    ...(email && { email: String(email).trim() }),
+    ...(notes && { notes: String(notes) }),
+    ...(preferences && typeof preferences === 'object' && {
+      preferences: { ...(client.preferences || {}), ...preferences },
+    }),
+    updatedAt: nowISO(),
+  };
+}
+
+// Lista nueva con esas fichas reemplazadas (por id)
+function replaceClients(list, ...updated) {
+  const byId = new Map(updated.map((c) => [c.id, c]));
+  return list.map((c) => byId.get(c.id) || c);
+}
+
+function newClient(phoneE164) {
+  const ts = nowISO();
+  return {
+    id: `cli-${crypto.randomUUID().slice(0, 8)}`,
+    phone: phoneE164 || null,
+    phones: phoneE164 ? [phoneE164] : [],
+    name: '',
+    preferences: {},
+    stats: { bookings: 0, barbers: {}, services: {} },
+    createdAt: ts,
+    updatedAt: ts,
+  };
+}
+
+// -------------------- API INTERNA (calendar.create) --------------------
+
+/**
+ * Solo lectura: la ficha que ya existe para clientId o teléfono, o null. calendar.create
+ * la usa para etiquetar la cita antes de insertarla; linkClient va después.
+ */
+export function findClient({ clientId, phone }) {
+  const list = loadClients();
+  const found = (clientId && findById(list, String(clientId).trim())) || findByPhone(list, normalizePhoneE164(phone));
+  return found ? toProfile(found) : null;
+}
+
+/**
+ * Ficha a la que se vincula una cita nueva.
+ * - clientId de una ficha existente → esa ficha.
+ * - si no, por teléfono (se crea si no existe, con el nombre de la cita).
+ * Devuelve { client, created } o null si no hay con qué identificar.
+ */
+export function linkClient({ clientId, phone, name }) {
+  const list = loadClients();
+
+  if (clientId) {
+    const found = findById(list, String(clientId).trim());
+    if (found) return { client: toProfile(found), created: false };
+  }
+
+  const phoneE164 = normalizePhoneE164(phone);
+  if (!phoneE164) return null;
+
+  const existing = findByPhone(list, phoneE164);
+  if (existing) {
+    if (existing.name || !name) return { client: toProfile(existing), created: false };
+    const named = withFields(existing, { name });
+    saveClients(replaceClients(list, named));
+    return { client: toProfile(named), created: false };
+  }
+
+  const created = withFields(newClient(phoneE164), { name });
+  saveClients([...list, created]);
+  return { client: toProfile(created), created: true };
+}
+
+/**
+ * Suma una cita a los contadores de la ficha (barbero/servicio habitual).
+ */
+export function recordBooking(clientId, { barber, serviceId, start }) {
+  const list = loadClients();
+  const client = findById(list, clientId);
+  if (!client) return;
+
+  const stats = { bookings: 0, barbers: {}, services: {}, ...client.stats };
+  saveClients(replaceClients(list, {
+    ...client,
+    stats: {
+      ...stats,
+      bookings: (stats.bookings || 0) + 1,
+      ...(barber && { barbers: { ...stats.barbers, [barber]: (stats.barbers?.[barber] || 0) + 1 } }),
+      ...(serviceId && { services: { ...stats.services, [serviceId]: (stats.services?.[serviceId] || 0) + 1 } }),
+      ...(start && { lastBooking: start }),
+    },
+    updatedAt: nowISO(),
+  }));
+}
+
+// -------------------- ACTIONS --------------------
+
+async function upsertClient(params = {}) {
+  const log = createRequestLogger({ tool: 'clients', action: 'upsert' });
+  const started = Date.now();
+
+  const phoneE164 = normalizePhoneE164(params.phone);
+  if (!phoneE164) {
+    const err = new Error('INVALID_PARAMS: phone inválido');
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
+
+  const list = loadClients();
+  const existing = findByPhone(list, phoneE164);
+  const client = withFields(existing || newClient(phoneE164), params);
+
+  saveClients(existing ? replaceClients(list, client) : [...list, client]);
+
+  logWithDuration(log, 'clients.upsert → completado', { id: client.id, created: !existing }, started);
+  return { client: toProfile(client), created: !existing };
+}
+
+function getClientRecord({ id, phone }) {
+  const list = loadClients();
+  const client = id ? findById(list, String(id).trim()) : findByPhone(list, normalizePhoneE164(phone));
+  if (!client) throw clientNotFound(id || phone);
+  return client;
+}
+
+async function getClient(params = {}) {
+  const log = createRequestLogger({ tool: 'clients', action: 'get' });
+  const started = Date.now();
+
+  const client = getClientRecord(params);
+
+  logWithDuration(log, 'clients.get → completado', { id: client.id }, started);
+  return { client: toProfile(client) };
+}
+
+async function mergeClients(params = {}) {
+  const log = createRequestLogger({ tool: 'clients', action: 'merge' });
+  const started = Date.now();
+
+  const { primaryId, duplicateId } = params;
+  const list = loadClients();
+  const primary = findById(list, primaryId);
+  const dup = findById(list, duplicateId);
+  if (!primary) throw clientNotFound(primaryId);
+  if (!dup) throw clientNotFound(duplicateId);
+  if (primary.id === dup.id) {
+    const err = new Error('INVALID_PARAMS: primaryId y duplicateId son la misma ficha');
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
+
+  // Teléfonos, datos faltantes y contadores pasan a la ficha principal
+  const phones = [...new Set([...(primary.phones || []), ...(dup.phones || [])])];
+  const a = primary.stats || {};
+  const b = dup.stats || {};
+  const sumCounters = (x = {}, y = {}) => {
+    const out = { ...x };
+    for (const [k, n] of Object.entries(y)) out[k] = (out[k] || 0) + n;
+    return out;
+  };
+  const ts = nowISO();
+  const merged = {
+    ...primary,
+    phones,
+    phone: primary.phone || dup.phone || phones[0] || null,
+    name: primary.name || dup.name || '',
+    email: primary.email || dup.email || '',
+    ...(dup.notes && { notes: [primary.notes, dup.notes].filter(Boolean).join('\n') }),
+    preferences: { ...(dup.preferences || {}), ...(primary.preferences || {}) },
+    stats: {
+      bookings: (a.bookings || 0) + (b.bookings || 0),
+      barbers: sumCounters(a.barbers, b.barbers),
+      services: sumCounters(a.services, b.services),
+      lastBooking: [a.lastBooking, b.lastBooking].filter(Boolean).sort().pop() || null,
+    },
+    updatedAt: ts,
+  };
+
+  // El duplicado queda como redirección: sus citas siguen apuntando a su id
+  saveClients(replaceClients(list, merged, { ...dup, mergedInto: primary.id, updatedAt: ts }));
+
+  logWithDuration(log, 'clients.merge → completado', { primaryId: primary.id, duplicateId: dup.id }, started);
+  return { client: toProfile(merged), merged: dup.id };
+}
+
+async function clientHistory(params = {}) {
+  const log = createRequestLogger({ tool: 'clients', action: 'history' });
+  const started = Date.now();
+
+  const client = getClientRecord(params);
+  const list = loadClients();
+
+  // Citas vinculadas por id (incluye fichas fusionadas) y, para las viejas, por teléfono
+  const ids = list.filter((c) => c.id === client.id || followMerged(list, c)?.id === client.id).map((c) => c.id);
+  const now = DateTime.now().setZone(TZ);
+  const range = {
+    from: params.from || now.minus({ days: 365 }).toISO(),
+    to: params.to || now.plus({ days: 90 }).toISO(),
+  };
+
+  const queries = [
+    ...ids.map((clientId) => ({ clientId })),
+    ...(client.phones || []).map((phone) => ({ phone })),
+  ];
+  const results = await Promise.all(
+    queries.map((q) => bookingTool.actions.search({ params: { ...q, ...range } }))
+  );
+
+  const byId = new Map();
+  for (const r of results) {
+    for (const ev of r.data?.events || []) {
+      if (!byId.has(ev.id)) byId.set(ev.id, ev);
+    }
+  }
+  const events = [...byId.values()].sort((x, y) => (x.start < y.start ? -1 : x.start > y.start ? 1 : 0));
+  const upcoming = events.filter((ev) => DateTime.fromISO(ev.start) > now);
+
+  logWithDuration(log, 'clients.history → completado', { id: client.id, events: events.length }, started);
+  return { client: toProfile(client), events, upcoming: upcoming.length };
+}
+
+// -------------------- EXPORTS MCP --------------------
+
+export const name = 'clients';
+
+// clients.get tiene que ver enseguida lo que escribió upsert/create: sin caché del executor
+export const noCache = ['get'];
+
+// Descripciones para el listado de tools MCP
+export const descriptions = {
+  upsert: 'Crea o actualiza la ficha de un cliente por teléfono (nombre, email, notas, preferencias de barbero/servicio).',
+  get: 'Devuelve la ficha de un cliente por id o teléfono, con su barbero y servicio habitual y si ya es cliente recurrente.',
+  merge: 'Fusiona una ficha duplicada (duplicateId) en la principal (primaryId): teléfonos, datos y contadores.',
+  history: 'Lista las citas de un cliente (por id o teléfono) consultando el calendario. Default: último año y próximos 90 días.',
+};
+
+const profileSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    phone: { type: ['string', 'null'] },
+    phones: { type: 'array', items: { type: 'string' } },
+    name: { type: 'string' },
+    email: { type: 'string' },
+    notes: { type: 'string' },
+    preferences: { type: 'object' },
+    usual: { type: 'object', description: 'Barbero/servicio preferido o más frecuente' },
+    bookings: { type: 'integer' },
+    lastBooking: { type: ['string', 'null'] },
+    returning: { type: 'boolean' },
+  },
+};
+
+const clientRef = {
+  id: { type: 'string', minLength: 1, description: 'ID de la ficha (cli-...)' },
+  phone: { type: 'string', minLength: 1, description: 'Teléfono (alternativa a id)' },
+};
+
+// Schemas input/output por acción
+export const schemas = {
+  upsert: {
+    input: {
+      type: 'object',
+      required: ['phone'],
+      properties: {
+        phone: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        email: { type: 'string' },
+        notes: { type: 'string' },
+        preferences: {
+          type: 'object',
+          properties: {
+            barber: { type: 'string', description: 'Barbero preferido' },
+            serviceId: { type: 'string', description: 'Servicio habitual' },
+          },
+        },
+      },
+    },
+    output: {
+      type: 'object',
+      required: ['client'],
+      properties: { client: profileSchema, created: { type: 'boolean' } },
+    },
+  },
+  get: {
+    input: {
+      type: 'object',
+      properties: clientRef,
+      anyOf: [{ required: ['id'] }, { required: ['phone'] }],
+    },
+    output: {
+      type: 'object',
+      required: ['client'],
+      properties: { client: profileSchema },
+    },
+  },
+  merge: {
+    input: {
+      type: 'object',
+      required: ['primaryId', 'duplicateId'],
+      properties: {
+        primaryId: { type: 'string', minLength: 1 },
+        duplicateId: { type: 'string', minLength: 1 },
+      },
+    },
+    output: {
+      type: 'object',
+      required: ['client'],
+      properties: { client: profileSchema, merged: { type: 'string' } },
+    },
+  },
+  history: {
+    input: {
+      type: 'object',
+      properties: {
+        ...clientRef,
+        from: { type: 'string', minLength: 1, description: 'ISO o lenguaje natural' },
+        to: { type: 'string', minLength: 1, description: 'ISO o lenguaje natural' },
+      },
+      anyOf: [{ required: ['id'] }, { required: ['phone'] }],
+    },
+    output: {
+      type: 'object',
+      required: ['client', 'events'],
+      properties: {
+        client: profileSchema,
+        events: { type: 'array', items: { type: 'object' } },
+        upcoming: { type: 'integer' },
+      },
+    },
+  },
+};
+
+export const actions = {
+  async upsert({ params }) {
+    const data = await upsertClient(params);
+    return { ok: true, data };
+  },
+  async get({ params }) {
+    const data = await getClient(params);
+    return { ok: true, data };
+  },
+  async merge({ params }) {
+    const data = await mergeClients(params);
+    return { ok: true, data };
+  },
+  async history({ params }) {
+    const data = await clientHistory(params);
+    return { ok: true, data };
+  },
+};
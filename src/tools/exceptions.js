@@ -0,0 +1,327 @@
+// src/tools/exceptions.js
+// Excepciones por fecha sobre el horario semanal: festivos, cierres de la
+// barbería, horarios especiales y ausencias (vacaciones, permisos) por barbero.
+//
+// Formato de data/exceptions.json:
+// { "exceptions": [
+//   { "id": "exc-1a2b3c4d", "type": "closed", "from": "2030-01-01", "to": "2030-01-01", "reason": "Año nuevo" },
+//   { "id": "exc-...", "type": "closed", "barber": "atlas", "from": "2030-02-01", "to": "2030-02-10", "reason": "Vacaciones" },
+//   { "id": "exc-...", "type": "closed", "barber": "nova", "from": "2030-03-05", "to": "2030-03-05", "windows": [{ "start": "14:00", "end": "16:00" }] },
+//   { "id": "exc-...", "type": "hours", "from": "2030-12-24", "to": "2030-12-24", "windows": [{ "start": "09:00", "end": "13:00" }] }
+// ] }
+//
+// - closed: sin windows = no se trabaja ese día; con windows = solo esas horas quedan bloqueadas.
+// - hours: horario especial. De barbería: recorta el horario de cada barbero.
+//          De barbero: reemplaza su horario de ese día.
+// - Sin "barber" aplica a toda la barbería.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DateTime } from 'luxon';
+import { createRequestLogger, logWithDuration } from '../utils/logger.js';
+import * as barbersTool from './barbers.js';
+import cache, { AVAILABILITY_TAG } from '../utils/cache.js';
+
+const TZ = process.env.TIMEZONE || 'America/Bogota';
+const EXCEPTIONS_JSON_PATH =
+  process.env.EXCEPTIONS_JSON || path.join(process.cwd(), 'data', 'exceptions.json');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const HM_RE = /^(([01]?\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// Cache en memoria; se relee si cambió el archivo (a mano u otro proceso)
+let exceptionsCache = null;
+let loadedMtime = null;
+
+function loadExceptions() {
+  const log = createRequestLogger({ tool: 'exceptions', action: 'load' });
+  try {
+    if (!fs.existsSync(EXCEPTIONS_JSON_PATH)) {
+      exceptionsCache = [];
+      loadedMtime = null;
+      return exceptionsCache;
+    }
+    const { mtimeMs } = fs.statSync(EXCEPTIONS_JSON_PATH);
+    if (exceptionsCache && mtimeMs === loadedMtime) return exceptionsCache;
+    const edited = !!exceptionsCache; // saveExceptions ya deja loadedMtime al día
+    loadedMtime = mtimeMs;
+
+    const raw = fs.readFileSync(EXCEPTIONS_JSON_PATH, 'utf8').trim();
+    const parsed = raw ? JSON.parse(raw) : {};
+    exceptionsCache = Array.isArray(parsed.exceptions) ? parsed.exceptions : [];
+    // Cambia el horario de esos días: fuera los calendar.check cacheados
+    if (edited) cache.invalidateTags([AVAILABILITY_TAG]);
+  } catch (err) {
+    log.error(
+      { err: { message: err.message, stack: err.stack }, path: EXCEPTIONS_JSON_PATH },
+      'EXCEPTIONS_JSON_LOAD_ERROR'
+    );
+    exceptionsCache = [];
+  }
+  return exceptionsCache;
+}
+
+// Escritura atómica: archivo temporal + rename
+function saveExceptions(list) {
+  const full = path.resolve(EXCEPTIONS_JSON_PATH);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  const tmp = `${full}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ exceptions: list }, null, 2));
+  fs.renameSync(tmp, full);
+  exceptionsCache = list;
+  loadedMtime = fs.statSync(full).mtimeMs;
+}
+
+function minutesOf(hm) {
+  const [h, m] = String(hm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+function normalizeWindows(windows) {
+  return (Array.isArray(windows) ? windows : [])
+    .map((w) => (Array.isArray(w) ? { start: w[0], end: w[1] } : w))
+    .filter((w) => w && w.start && w.end);
+}
+
+// Franjas HH:MM reales (00:00-24:00) y que terminen después de empezar
+function checkWindows(wins) {
+  const bad = wins.find((w) => !HM_RE.test(w.start) || !HM_RE.test(w.end));
+  if (bad) {
+    const err = new Error(`INVALID_PARAMS: franja inválida ${bad.start}-${bad.end} (usa HH:MM)`);
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
+  const backwards = wins.find((w) => minutesOf(w.end) <= minutesOf(w.start));
+  if (backwards) {
+    const err = new Error(`INVALID_RANGE: la franja ${backwards.start}-${backwards.end} termina antes de empezar`);
+    err.code = 'INVALID_RANGE';
+    throw err;
+  }
+  return wins;
+}
+
+/**
+ * Excepciones que aplican a un día (YYYY-MM-DD) para un barbero (id técnico).
+ * Incluye las de toda la barbería. Orden: barbería primero, luego barbero.
+ */
+export function exceptionsForDay(dateISO, barberId) {
+  return loadExceptions()
+    .filter((ex) => ex.from <= dateISO && dateISO <= ex.to)
+    .filter((ex) => !ex.barber || (barberId && ex.barber === barberId))
+    .sort((a, b) => (a.barber ? 1 : 0) - (b.barber ? 1 : 0));
+}
+
+/**
+ * Excepciones que se cruzan con el rango [fromISO, toISO] (fechas YYYY-MM-DD).
+ * barberId undefined = todas; null = solo las de barbería.
+ */
+export function exceptionsInRange(fromISO, toISO, barberId) {
+  return loadExceptions()
+    .filter((ex) => ex.from <= toISO && fromISO <= ex.to)
+    .filter((ex) => barberId === undefined || !ex.barber || ex.barber === barberId);
+}
+
+// Nombre / alias / id → id técnico del barbero
+async function resolveBarberId(name) {
+  const resolved = await barbersTool.actions.resolve({ params: { name } });
+  if (resolved.ok) return resolved.data.barber_id;
+  if (resolved.error?.code === 'BARBER_INTERNAL_ID_USED') return resolved.error.internal_id;
+
+  const err = new Error(resolved.error?.message || `BARBER_NOT_FOUND: ${name}`);
+  err.code = resolved.error?.code || 'BARBER_NOT_FOUND';
+  if (resolved.error?.options) err.options = resolved.error.options;
+  throw err;
+}
+
+function toDateISO(value, field) {
+  const str = String(value || '').trim();
+  const dt = DATE_RE.test(str) ? DateTime.fromISO(str, { zone: TZ }) : null;
+  if (!dt || !dt.isValid) {
+    const err = new Error(`INVALID_RANGE: ${field} inválido (${value})`);
+    err.code = 'INVALID_RANGE';
+    throw err;
+  }
+  return dt.toISODate();
+}
+
+// -------------------- ACTIONS --------------------
+
+async function listExceptions(params = {}) {
+  const log = createRequestLogger({ tool: 'exceptions', action: 'list' });
+  const started = Date.now();
+
+  const today = DateTime.now().setZone(TZ).toISODate();
+  const fromISO = params.from ? toDateISO(params.from, 'from') : today;
+  const toISO = params.to ? toDateISO(params.to, 'to') : '9999-12-31';
+  const barberId = params.barber ? await resolveBarberId(params.barber) : undefined;
+
+  const exceptions = exceptionsInRange(fromISO, toISO, barberId)
+    .slice()
+    .sort((a, b) => (a.from < b.from ? -1 : a.from > b.from ? 1 : 0));
+
+  logWithDuration(log, 'exceptions.list → completado', { count: exceptions.length }, started);
+  return { exceptions };
+}
+
+async function addException(params = {}) {
+  const log = createRequestLogger({ tool: 'exceptions', action: 'add' });
+  const started = Date.now();
+
+  const { type = 'closed', date, from, to, barber, windows, reason = '' } = params;
+
+  const fromISO = toDateISO(from || date, 'from');
+  const toISO = toDateISO(to || from || date, 'to');
+  if (toISO < fromISO) {
+    const err = new Error('INVALID_RANGE: to es anterior a from');
+    err.code = 'INVALID_RANGE';
+    throw err;
+  }
+
+  const wins = checkWindows(normalizeWindows(windows));
+  if (type === 'hours' && !wins.length) {
+    const err = new Error('INVALID_PARAMS: type=hours requiere windows');
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
+
+  const exception = {
+    id: `exc-${crypto.randomUUID().slice(0, 8)}`,
+    type,
+    from: fromISO,
+    to: toISO,
+    ...(barber && { barber: await resolveBarberId(barber) }),
+    ...(wins.length && { windows: wins }),
+    ...(reason && { reason }),
+    createdAt: new Date().toISOString(),
+  };
+
+  saveExceptions([...loadExceptions(), exception]);
+  // Cambia el horario de ese día: fuera los calendar.check cacheados
+  await cache.invalidateTags([AVAILABILITY_TAG]);
+
+  logWithDuration(log, 'exceptions.add → completado', { id: exception.id, type, barber: exception.barber }, started);
+  return { exception };
+}
+
+async function removeException(params = {}) {
+  const log = createRequestLogger({ tool: 'exceptions', action: 'remove' });
+  const started = Date.now();
+
+  const id = String(params.id || '').trim();
+  const list = loadExceptions();
+  const found = list.find((ex) => ex.id === id);
+  if (!found) {
+    const err = new Error(`EXCEPTION_NOT_FOUND: ${id}`);
+    err.code = 'EXCEPTION_NOT_FOUND';
+    log.error({ err: { message: err.message, code: err.code }, id }, 'exceptions.remove → no encontrada');
+    throw err;
+  }
+
+  saveExceptions(list.filter((ex) => ex.id !== id));
+  await cache.invalidateTags([AVAILABILITY_TAG]);
+
+  logWithDuration(log, 'exceptions.remove → completado', { id }, started);
+  return { id, removed: true, exception: found };
+}
+
+// -------------------- EXPORTS MCP --------------------
+
+export const name = 'exceptions';
+
+// Cerrar la barbería o dar ausencias: solo con la clave admin; no salen en tools/list
+export const adminActions = ['add', 'remove'];
+
+// Descripciones para el listado de tools MCP
+export const descriptions = {
+  list: 'Lista festivos, cierres, horarios especiales y ausencias de barberos (desde hoy por defecto).',
+  add: 'Registra un cierre (type=closed, día completo o franjas) o un horario especial (type=hours) para la barbería o un barbero, en una fecha o rango.',
+  remove: 'Elimina una excepción por id.',
+};
+
+const windowSchema = {
+  type: 'object',
+  required: ['start', 'end'],
+  properties: {
+    start: { type: 'string', pattern: HM_RE.source },
+    end: { type: 'string', pattern: HM_RE.source },
+  },
+};
+
+const exceptionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    type: { type: 'string', enum: ['closed', 'hours'] },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    barber: { type: 'string' },
+    windows: { type: 'array', items: windowSchema },
+    reason: { type: 'string' },
+  },
+};
+
+// Schemas input/output por acción
+export const schemas = {
+  list: {
+    input: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Default: hoy' },
+        to: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        barber: { type: 'string', minLength: 1, description: 'Filtra por barbero (incluye las de barbería)' },
+      },
+    },
+    output: {
+      type: 'object',
+      required: ['exceptions'],
+      properties: { exceptions: { type: 'array', items: exceptionSchema } },
+    },
+  },
+  add: {
+    input: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['closed', 'hours'], default: 'closed' },
+        date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Un solo día' },
+        from: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Inicio del rango (inclusive)' },
+        to: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Fin del rango (inclusive)' },
+        barber: { type: 'string', minLength: 1, description: 'Sin barber = toda la barbería' },
+        windows: { type: 'array', items: windowSchema, description: 'Franjas HH:MM (bloqueadas o de horario especial)' },
+        reason: { type: 'string' },
+      },
+      anyOf: [{ required: ['date'] }, { required: ['from'] }],
+    },
+    output: {
+      type: 'object',
+      required: ['exception'],
+      properties: { exception: exceptionSchema },
+    },
+  },
+  remove: {
+    input: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: { type: 'string', minLength: 1 } },
+    },
+    output: {
+      type: 'object',
+      required: ['id', 'removed'],
+      properties: { id: { type: 'string' }, removed: { type: 'boolean' }, exception: exceptionSchema },
+    },
+  },
+};
+
+export const actions = {
+  async list({ params }) {
+    const data = await listExceptions(params);
+    return { ok: true, data };
+  },
+  async add({ params }) {
+    const data = await addException(params);
+    return { ok: true, data };
+  },
+  async remove({ params }) {
+    const data = await removeException(params);
+    return { ok: true, data };
+  },
+};
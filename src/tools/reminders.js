@@ -0,0 +1,273 @@
+// src/tools/reminders.js
+// Recordatorios automáticos de citas sin cron externo: cada REMINDER_SCAN_INTERVAL_SEC
+// se revisan las próximas citas de todos los barberos (barbers.json) y, cuando toca
+// (p.ej. 24h y 2h antes), se encola un "booking.reminder" en el outbox hacia
+// REMINDER_SINK_URL (misma firma y reintentos que los webhooks).
+//
+// Offsets (minutos antes de la cita), en data/reminders.json:
+// { "default": [1440, 120], "services": { "svc-barba": [120] } }
+// Sin archivo se usa REMINDER_OFFSETS_MIN (default "1440,120").
+//
+// Lo ya encolado queda en data/reminders_sent.json (clave evento|inicio|offset):
+// un reinicio no duplica, y si la cita se reprograma vuelve a avisarse. Si el outbox
+// no pudo guardarlo no se registra y el siguiente escaneo lo intenta de nuevo.
+import fs from 'fs';
+import path from 'path';
+import { DateTime } from 'luxon';
+import { createRequestLogger, logWithDuration } from '../utils/logger.js';
+import { getCalendarBackend } from '../backends/calendar/index.js';
+import { publishEvent } from '../utils/outbox.js';
+import { bookingPayload } from './calendar.js';
+import { listBarbers } from '../utils/directory.js';
+
+const TZ = process.env.TIMEZONE || 'America/Bogota';
+const SINK_URL = process.env.REMINDER_SINK_URL || '';
+const SCAN_INTERVAL_SEC = Number(process.env.REMINDER_SCAN_INTERVAL_SEC || 300);
+const ENV_OFFSETS = process.env.REMINDER_OFFSETS_MIN || '1440,120';
+const REMINDERS_JSON_PATH =
+  process.env.REMINDERS_JSON || path.join(process.cwd(), 'data', 'reminders.json');
+const SENT_JSON_PATH =
+  process.env.REMINDERS_SENT_JSON || path.join(process.cwd(), 'data', 'reminders_sent.json');
+
+let sentCache = null;
+let scanning = false;
+let interval = null;
+let lastScan = null;
+
+function parseOffsets(list) {
+  const arr = Array.isArray(list) ? list : String(list || '').split(',');
+  return [...new Set(arr.map((n) => Number(n)).filter((n) => Number.isFinite(n) && n > 0))]
+    .sort((a, b) => b - a);
+}
+
+// Se relee en cada escaneo: los cambios de offsets no requieren reinicio
+function loadConfig() {
+  const log = createRequestLogger({ tool: 'reminders', action: 'config' });
+  let cfg = {};
+  try {
+    if (fs.existsSync(REMINDERS_JSON_PATH)) {
+      const raw = fs.readFileSync(REMINDERS_JSON_PATH, 'utf8').trim();
+      cfg = raw ? JSON.parse(raw) : {};
+    }
+  } catch (err) {
+    log.error({ err: { message: err.message }, path: REMINDERS_JSON_PATH }, 'REMINDERS_JSON_LOAD_ERROR');
+  }
+
+  const services = {};
+  for (const [id, offs] of Object.entries(cfg.services || {})) services[id] = parseOffsets(offs);
+  return { default: parseOffsets(cfg.default || ENV_OFFSETS), services };
+}
+
+function offsetsFor(cfg, serviceId) {
+  return (serviceId && cfg.services[serviceId]) || cfg.default;
+}
+
+function loadSent() {
+  if (sentCache) return sentCache;
+  try {
+    if (!fs.existsSync(SENT_JSON_PATH)) {
+      sentCache = {};
+      return sentCache;
+    }
+    const raw = fs.readFileSync(SENT_JSON_PATH, 'utf8').trim();
+    sentCache = raw ? JSON.parse(raw).sent || {} : {};
+  } catch (err) {
+    createRequestLogger({ tool: 'reminders', action: 'load' })
+      .error({ err: { message: err.message }, path: SENT_JSON_PATH }, 'REMINDERS_SENT_JSON_LOAD_ERROR');
+    sentCache = {};
+  }
+  return sentCache;
+}
+
+// Escritura atómica. Se descartan registros de citas que ya pasaron hace más de 2 días.
+function saveSent(sent) {
+  const cutoff = Date.now() - 2 * 24 * 60 * 60 * 1000;
+  const kept = Object.fromEntries(Object.entries(sent).filter(([, v]) => Date.parse(v.start) >= cutoff));
+
+  const full = path.resolve(SENT_JSON_PATH);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  const tmp = `${full}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ sent: kept }, null, 2));
+  fs.renameSync(tmp, full);
+  sentCache = kept;
+}
+
+/**
+ * Un escaneo: encola los recordatorios vencidos y no enviados.
+ * Si a una cita le vencen varios offsets a la vez (se agendó tarde o el server
+ * estuvo caído) solo se manda el más cercano; los otros quedan como "skipped".
+ */
+async function scan() {
+  if (scanning) return { skipped: true };
+  scanning = true;
+
+  const log = createRequestLogger({ tool: 'reminders', action: 'scan' });
+  const started = Date.now();
+  try {
+    const cfg = loadConfig();
+    const maxOffset = Math.max(0, ...cfg.default, ...Object.values(cfg.services).flat());
+    const now = DateTime.now().setZone(TZ);
+    const range = {
+      timeMin: now.toISO(),
+      timeMax: now.plus({ minutes: maxOffset + SCAN_INTERVAL_SEC / 60 }).toISO(),
+    };
+
+    const backend = getCalendarBackend();
+    const barbers = listBarbers({ includeInactive: true });
+    const perCal = await Promise.all(
+      barbers.map((b) =>
+        backend.listEvents(b.calendarId, range)
+          .then((items) => ({ barber: b, items }))
+          .catch((e) => {
+            log.warn({ calendarId: b.calendarId, err: { message: e.message } }, 'reminders.scan → error listando calendario');
+            return { barber: b, items: [] };
+          })
+      )
+    );
+
+    const sent = loadSent();
+    const queued = [];
+    let changed = false;
+
+    for (const { barber, items } of perCal) {
+      for (const ev of items) {
+        const startStr = ev.start?.dateTime;
+        if (!startStr || ev.status === 'cancelled') continue; // sin hora = todo el día
+        const start = DateTime.fromISO(startStr, { zone: TZ });
+        if (start <= now) continue;
+
+        const serviceId = ev.extendedProperties?.private?.serviceId;
+        const due = offsetsFor(cfg, serviceId).filter((off) => start.minus({ minutes: off }) <= now);
+        if (!due.length) continue;
+
+        const key = (off) => `${ev.id}|${start.toISO()}|${off}`;
+        const closest = Math.min(...due);
+        if (sent[key(closest)]) continue;
+
+        const eventId = publishEvent('booking.reminder', {
+          ...bookingPayload(ev, barber.calendarId),
+          offsetMin: closest,
+          minutesBefore: Math.round(start.diff(now, 'minutes').minutes),
+        }, { url: SINK_URL });
+        // Sin id el outbox no lo guardó: no se marca y el próximo escaneo lo reintenta
+        if (!eventId) {
+          log.warn({ id: ev.id, offsetMin: closest }, 'reminders.scan → no se pudo encolar, se reintenta');
+          continue;
+        }
+
+        const at = now.toISO();
+        sent[key(closest)] = { status: 'sent', at, start: start.toISO(), outboxId: eventId };
+        for (const off of due) {
+          if (off !== closest && !sent[key(off)]) sent[key(off)] = { status: 'skipped', at, start: start.toISO() };
+        }
+        queued.push({ id: ev.id, barber: barber.id, start: startStr, offsetMin: closest });
+        changed = true;
+      }
+    }
+
+    if (changed) saveSent(sent);
+    lastScan = { at: now.toISO(), calendars: barbers.length, queued: queued.length };
+
+    logWithDuration(log, 'reminders.scan → completado', lastScan, started);
+    return { ...lastScan, reminders: queued };
+  } catch (e) {
+    log.error({ err: { message: e.message, stack: e.stack } }, 'reminders.scan → ERROR');
+    throw e;
+  } finally {
+    scanning = false;
+  }
+}
+
+/**
+ * Arranca el escaneo periódico. Sin REMINDER_SINK_URL no hace nada.
+ */
+export function startReminders() {
+  if (!SINK_URL || interval) return;
+
+  const log = createRequestLogger({ tool: 'reminders', action: 'start' });
+  log.info({ intervalSec: SCAN_INTERVAL_SEC, offsets: loadConfig().default }, 'reminders → scheduler iniciado');
+
+  const tick = () => scan().catch(() => {});
+  interval = setInterval(tick, SCAN_INTERVAL_SEC * 1000);
+  interval.unref?.();
+  setImmediate(tick);
+}
+
+// -------------------- ACTIONS --------------------
+
+async function remindersStatus() {
+  const cfg = loadConfig();
+  const sent = loadSent();
+  const recent = Object.entries(sent)
+    .map(([key, v]) => ({ key, ...v }))
+    .sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0))
+    .slice(0, 50);
+
+  return {
+    enabled: !!SINK_URL,
+    intervalSec: SCAN_INTERVAL_SEC,
+    offsets: cfg,
+    lastScan,
+    recent,
+  };
+}
+
+async function runNow() {
+  if (!SINK_URL) {
+    const err = new Error('REMINDERS_DISABLED: falta REMINDER_SINK_URL');
+    err.code = 'REMINDERS_DISABLED';
+    throw err;
+  }
+  return scan();
+}
+
+// -------------------- EXPORTS MCP --------------------
+
+export const name = 'reminders';
+
+// Descripciones para el listado de tools MCP
+export const descriptions = {
+  status: 'Estado del scheduler de recordatorios: offsets por barbería/servicio, último escaneo y últimos recordatorios enviados.',
+  run: 'Ejecuta un escaneo de recordatorios ahora (sin esperar al intervalo) y devuelve los que se encolaron.',
+};
+
+// Schemas input/output por acción
+export const schemas = {
+  status: {
+    input: { type: 'object', properties: {} },
+    output: {
+      type: 'object',
+      required: ['enabled'],
+      properties: {
+        enabled: { type: 'boolean' },
+        intervalSec: { type: 'integer' },
+        offsets: { type: 'object' },
+        lastScan: { type: ['object', 'null'] },
+        recent: { type: 'array', items: { type: 'object' } },
+      },
+    },
+  },
+  run: {
+    input: { type: 'object', properties: {} },
+    output: {
+      type: 'object',
+      properties: {
+        at: { type: 'string' },
+        calendars: { type: 'integer' },
+        queued: { type: 'integer' },
+        reminders: { type: 'array', items: { type: 'object' } },
+      },
+    },
+  },
+};
+
+export const actions = {
+  async status() {
+    const data = await remindersStatus();
+    return { ok: true, data };
+  },
+  async run() {
+    const data = await runNow();
+    return { ok: true, data };
+  },
+};
@@ -0,0 +1,498 @@
+// src/tools/waitlist.js
+// Lista de espera para horarios llenos. Cuando calendar.cancel libera un hueco,
+// se le ofrece al primero en la fila que encaje (barbero, rango, duración) y el
+// hueco queda reservado para él durante WAITLIST_HOLD_MIN minutos: nadie más puede
+// agendarlo y calendar.check no lo muestra. Si no lo toma a tiempo, pasa al siguiente.
+//
+// Formato de data/waitlist.json:
+// { "entries": [
+//   { "id": "wl-1a2b3c4d", "status": "waiting" | "offered" | "booked" | "left" | "expired",
+//     "phone": "+573001234567", "name": "Juan", "barber": "atlas" | null (cualquiera),
+//     "serviceId": "svc-corte-clasico", "duration": 30,
+//     "from": "2030-01-07T08:00:00-05:00", "to": "2030-01-07T20:00:00-05:00",
+//     "offer": { "calendarId", "barber", "start", "end", "expiresAt", "freed": { "start", "end", "step" } },
+//     "skipped": ["calId|start"], "createdAt": "..." }
+// ] }
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DateTime } from 'luxon';
+import { createRequestLogger, logWithDuration } from '../utils/logger.js';
+import { normalizePhoneE164 } from '../utils/phone.js';
+import { publishEvent } from '../utils/outbox.js';
+import cache, { calendarDayTag } from '../utils/cache.js';
+import { isAnyBarber } from '../utils/directory.js';
+import { findService } from './catalog.js';
+import * as barbersTool from './barbers.js';
+
+const TZ = process.env.TIMEZONE || 'America/Bogota';
+const DEFAULT_DURATION_MIN = Number(process.env.DEFAULT_SLOT_MINUTES || 30);
+const HOLD_MIN = Number(process.env.WAITLIST_HOLD_MIN || 15);
+const WAITLIST_JSON_PATH =
+  process.env.WAITLIST_JSON || path.join(process.cwd(), 'data', 'waitlist.json');
+
+let waitlistCache = null;
+const expiryTimers = new Map();
+
+function loadWaitlist() {
+  if (waitlistCache) return waitlistCache;
+
+  const log = createRequestLogger({ tool: 'waitlist', action: 'load' });
+  try {
+    if (!fs.existsSync(WAITLIST_JSON_PATH)) {
+      waitlistCache = [];
+      return waitlistCache;
+    }
+    const raw = fs.readFileSync(WAITLIST_JSON_PATH, 'utf8').trim();
+    const parsed = raw ? JSON.parse(raw) : {};
+    waitlistCache = Array.isArray(parsed.entries) ? parsed.entries : [];
+    // Tras un reinicio las ofertas vigentes recuperan su timer de vencimiento
+    for (const entry of waitlistCache) if (entry.status === 'offered') scheduleExpiry(entry);
+  } catch (err) {
+    log.error(
+      { err: { message: err.message, stack: err.stack }, path: WAITLIST_JSON_PATH },
+      'WAITLIST_JSON_LOAD_ERROR'
+    );
+    waitlistCache = [];
+  }
+  return waitlistCache;
+}
+
+// Escritura atómica: archivo temporal + rename
+function saveWaitlist(list) {
+  const full = path.resolve(WAITLIST_JSON_PATH);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  const tmp = `${full}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ entries: list }, null, 2));
+  fs.renameSync(tmp, full);
+  waitlistCache = list;
+}
+
+function toISO(dt) {
+  return dt.setZone(TZ).toISO({ suppressMilliseconds: true });
+}
+
+function invalidParams(message) {
+  const err = new Error(`INVALID_PARAMS: ${message}`);
+  err.code = 'INVALID_PARAMS';
+  return err;
+}
+
+// Nombre / alias / id → id técnico del barbero
+async function resolveBarberId(name) {
+  const resolved = await barbersTool.actions.resolve({ params: { name } });
+  if (resolved.ok) return resolved.data.barber_id;
+  if (resolved.error?.code === 'BARBER_INTERNAL_ID_USED') return resolved.error.internal_id;
+
+  const err = new Error(resolved.error?.message || `BARBER_NOT_FOUND: ${name}`);
+  err.code = resolved.error?.code || 'BARBER_NOT_FOUND';
+  if (resolved.error?.options) err.options = resolved.error.options;
+  throw err;
+}
+
+// Una oferta aparece o se va: cambian los slots libres de ese día (calendar.check)
+function invalidateOfferDay({ calendarId, start }) {
+  cache.invalidateTags([calendarDayTag(calendarId, start.slice(0, 10))]);
+}
+
+// Misma rejilla que calendar.check: minutos múltiplos de step dentro de la hora
+function ceilToStep(dt, stepMin) {
+  const floor = dt.set({ minute: dt.minute - (dt.minute % stepMin), second: 0, millisecond: 0 });
+  return floor < dt ? floor.plus({ minutes: stepMin }) : floor;
+}
+
+// ¿Cabe la cita de esta entrada en el hueco [start, end)? → inicio propuesto o null
+// Si el hueco ya empezó, el inicio se corre al siguiente paso de la agenda (no a "ahora").
+function fitInto(entry, start, end, now, step) {
+  const from = DateTime.fromISO(entry.from, { zone: TZ });
+  const to = DateTime.fromISO(entry.to, { zone: TZ });
+  let s = DateTime.max(start, from);
+  if (s < now) s = ceilToStep(now, step || entry.duration);
+  const e = s.plus({ minutes: entry.duration });
+  return e <= end && e <= to ? s : null;
+}
+
+/**
+ * Ofrece un hueco libre al primero en la fila que encaje. Muta list.
+ * Devuelve la entrada ofertada o null.
+ */
+function offerTo(list, { calendarId, barber, start, end, step }) {
+  const now = DateTime.now().setZone(TZ);
+  const slotKey = `${calendarId}|${toISO(start)}`;
+
+  const candidates = list
+    .filter((e) => e.status === 'waiting')
+    .filter((e) => !e.barber || e.barber === barber)
+    .filter((e) => !(e.skipped || []).includes(slotKey))
+    .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0));
+
+  for (const entry of candidates) {
+    const s = fitInto(entry, start, end, now, step);
+    if (!s) continue;
+
+    entry.status = 'offered';
+    entry.offer = {
+      calendarId,
+      barber,
+      start: toISO(s),
+      end: toISO(s.plus({ minutes: entry.duration })),
+      offeredAt: toISO(now),
+      expiresAt: toISO(now.plus({ minutes: HOLD_MIN })),
+      freed: { start: toISO(start), end: toISO(end), ...(step && { step }) },
+    };
+    entry.skipped = [...(entry.skipped || []), slotKey];
+
+    publishEvent('waitlist.offer', { ...entry });
+    scheduleExpiry(entry);
+    invalidateOfferDay(entry.offer);
+    return entry;
+  }
+  return null;
+}
+
+function scheduleExpiry(entry) {
+  clearTimeout(expiryTimers.get(entry.id));
+  const ms = Date.parse(entry.offer.expiresAt) - Date.now();
+  const t = setTimeout(() => {
+    expiryTimers.delete(entry.id);
+    sweep();
+  }, Math.max(0, ms) + 50);
+  t.unref?.();
+  expiryTimers.set(entry.id, t);
+}
+
+/**
+ * Vence ofertas no tomadas (el hueco pasa al siguiente) y entradas cuyo rango ya pasó.
+ */
+function sweep() {
+  const log = createRequestLogger({ tool: 'waitlist', action: 'sweep' });
+  const list = loadWaitlist();
+  const now = DateTime.now().setZone(TZ);
+  let changed = false;
+
+  for (const entry of list) {
+    if (entry.status === 'offered' && DateTime.fromISO(entry.offer.expiresAt) <= now) {
+      const { calendarId, barber, freed } = entry.offer;
+      entry.status = 'waiting';
+      entry.missedOffers = (entry.missedOffers || 0) + 1;
+      invalidateOfferDay(entry.offer);
+      delete entry.offer;
+      changed = true;
+      log.info({ id: entry.id }, 'waitlist → oferta vencida');
+
+      const next = offerTo(list, {
+        calendarId,
+        barber,
+        start: DateTime.fromISO(freed.start, { zone: TZ }),
+        end: DateTime.fromISO(freed.end, { zone: TZ }),
+        step: freed.step,
+      });
+      if (next) log.info({ id: next.id, start: next.offer.start }, 'waitlist → hueco ofrecido al siguiente');
+    }
+  }
+
+  for (const entry of list) {
+    if (entry.status === 'waiting' && DateTime.fromISO(entry.to) <= now) {
+      entry.status = 'expired';
+      changed = true;
+    }
+  }
+
+  if (changed) saveWaitlist(list.slice());
+  return list;
+}
+
+// -------------------- API INTERNA (calendar) --------------------
+
+/**
+ * calendar.cancel liberó [start, end) en calendarId: se ofrece a la fila.
+ * step: paso de slots del barbero (sin él, la duración de la cita ofrecida).
+ */
+export function offerFreedSlot({ calendarId, barber, start, end, step }) {
+  const list = sweep();
+  const entry = offerTo(list, {
+    calendarId,
+    barber,
+    start: DateTime.fromISO(start, { zone: TZ }),
+    end: DateTime.fromISO(end, { zone: TZ }),
+    step: Number(step) || null,
+  });
+  if (!entry) return null;
+
+  saveWaitlist(list.slice());
+  createRequestLogger({ tool: 'waitlist', action: 'offer' })
+    .info({ id: entry.id, calendarId, start: entry.offer.start }, 'waitlist → hueco ofrecido');
+  return { waitlistId: entry.id, phone: entry.phone, ...entry.offer };
+}
+
+/**
+ * Huecos reservados (ofertas vigentes) de un calendario: [{ start, end, phone, waitlistId, expiresAt }]
+ * Solo lectura: lo corren check/create en cada consulta; vencer ofertas y pasarlas al
+ * siguiente es cosa de los timers y de las acciones que escriben.
+ */
+export function activeHolds(calendarId) {
+  const now = Date.now();
+  return loadWaitlist()
+    .filter((e) => e.status === 'offered' && e.offer.calendarId === calendarId && Date.parse(e.offer.expiresAt) > now)
+    .map((e) => ({
+      start: e.offer.start,
+      end: e.offer.end,
+      phone: e.phone,
+      waitlistId: e.id,
+      expiresAt: e.offer.expiresAt,
+    }));
+}
+
+/**
+ * Se agendó una cita: si corresponde a una oferta (mismo calendario y teléfono,
+ * horario solapado) la entrada queda como "booked".
+ */
+export function markBooked({ calendarId, start, end, phone }) {
+  const phoneE164 = normalizePhoneE164(phone);
+  if (!phoneE164) return null;
+
+  const list = loadWaitlist();
+  const s = DateTime.fromISO(start);
+  const e = DateTime.fromISO(end);
+  const entry = list.find((x) =>
+    x.status === 'offered' && x.phone === phoneE164 && x.offer.calendarId === calendarId &&
+    DateTime.fromISO(x.offer.start) < e && s < DateTime.fromISO(x.offer.end)
+  );
+  if (!entry) return null;
+
+  entry.status = 'booked';
+  entry.bookedAt = toISO(DateTime.now());
+  clearTimeout(expiryTimers.get(entry.id));
+  expiryTimers.delete(entry.id);
+  saveWaitlist(list.slice());
+  return entry.id;
+}
+
+// -------------------- ACTIONS --------------------
+
+async function joinWaitlist(params = {}) {
+  const log = createRequestLogger({ tool: 'waitlist', action: 'join' });
+  const started = Date.now();
+
+  const { name = '', barber, anyBarber, serviceId, service, duration, date, from, to, slot, notes = '' } = params;
+
+  const phone = normalizePhoneE164(params.phone);
+  if (!phone) throw invalidParams('phone inválido');
+
+  // Duración: catálogo > duration > default
+  let svc = null;
+  let durMin = Number(duration) || DEFAULT_DURATION_MIN;
+  if (serviceId || service) {
+    svc = findService({ serviceId, service });
+    durMin = Number(svc.duracion_min) || durMin;
+  }
+
+  // Rango aceptable: un slot preferido, un día completo o from/to
+  let fromDT;
+  let toDT;
+  if (slot) {
+    fromDT = DateTime.fromISO(slot, { zone: TZ });
+    toDT = fromDT.plus({ minutes: durMin });
+  } else if (date) {
+    fromDT = DateTime.fromISO(date, { zone: TZ }).startOf('day');
+    toDT = fromDT.endOf('day');
+  } else {
+    fromDT = DateTime.fromISO(from || '', { zone: TZ });
+    toDT = DateTime.fromISO(to || '', { zone: TZ });
+  }
+  if (!fromDT.isValid || !toDT.isValid || toDT <= fromDT) {
+    const err = new Error('INVALID_RANGE: se requiere slot, date o (from, to) válidos');
+    err.code = 'INVALID_RANGE';
+    throw err;
+  }
+  if (toDT <= DateTime.now()) {
+    const err = new Error('IN_PAST');
+    err.code = 'IN_PAST';
+    throw err;
+  }
+
+  const isAny = !barber || isAnyBarber({ anyBarber, barber });
+  const barberId = isAny ? null : await resolveBarberId(barber);
+
+  const list = sweep();
+  const entry = {
+    id: `wl-${crypto.randomUUID().slice(0, 8)}`,
+    status: 'waiting',
+    phone,
+    name,
+    barber: barberId,
+    ...(svc && { serviceId: svc.id }),
+    duration: durMin,
+    from: toISO(fromDT),
+    to: toISO(toDT),
+    ...(notes && { notes }),
+    createdAt: toISO(DateTime.now()),
+  };
+  saveWaitlist([...list, entry]);
+
+  const position = list.filter((e) => e.status === 'waiting' && (!e.barber || !barberId || e.barber === barberId)).length + 1;
+
+  logWithDuration(log, 'waitlist.join → completado', { id: entry.id, barber: barberId, position }, started);
+  return { entry, position };
+}
+
+async function listWaitlist(params = {}) {
+  const log = createRequestLogger({ tool: 'waitlist', action: 'list' });
+  const started = Date.now();
+
+  const { status, barber } = params;
+  const phone = params.phone ? normalizePhoneE164(params.phone) : null;
+  const barberId = barber ? await resolveBarberId(barber) : null;
+
+  const entries = sweep()
+    .filter((e) => (status ? e.status === status : ['waiting', 'offered'].includes(e.status)))
+    .filter((e) => !phone || e.phone === phone)
+    .filter((e) => !barberId || !e.barber || e.barber === barberId);
+
+  logWithDuration(log, 'waitlist.list → completado', { count: entries.length }, started);
+  return { entries, holdMinutes: HOLD_MIN };
+}
+
+async function leaveWaitlist(params = {}) {
+  const log = createRequestLogger({ tool: 'waitlist', action: 'leave' });
+  const started = Date.now();
+
+  const phone = params.phone ? normalizePhoneE164(params.phone) : null;
+  const list = sweep();
+  const targets = list.filter((e) =>
+    ['waiting', 'offered'].includes(e.status) &&
+    (params.id ? e.id === params.id : e.phone === phone)
+  );
+  if (!targets.length) {
+    const err = new Error(`WAITLIST_NOT_FOUND: ${params.id || params.phone}`);
+    err.code = 'WAITLIST_NOT_FOUND';
+    throw err;
+  }
+
+  for (const entry of targets) {
+    const offer = entry.offer;
+    entry.status = 'left';
+    entry.leftAt = toISO(DateTime.now());
+    delete entry.offer;
+    clearTimeout(expiryTimers.get(entry.id));
+    expiryTimers.delete(entry.id);
+
+    // Si tenía un hueco reservado, pasa al siguiente
+    if (offer) {
+      invalidateOfferDay(offer);
+      offerTo(list, {
+        calendarId: offer.calendarId,
+        barber: offer.barber,
+        start: DateTime.fromISO(offer.freed.start, { zone: TZ }),
+        end: DateTime.fromISO(offer.freed.end, { zone: TZ }),
+        step: offer.freed.step,
+      });
+    }
+  }
+  saveWaitlist(list.slice());
+
+  logWithDuration(log, 'waitlist.leave → completado', { ids: targets.map((e) => e.id) }, started);
+  return { left: targets.map((e) => e.id) };
+}
+
+// -------------------- EXPORTS MCP --------------------
+
+export const name = 'waitlist';
+
+// Descripciones para el listado de tools MCP
+export const descriptions = {
+  join: 'Anota a un cliente en la lista de espera cuando no hay hueco (SLOT_OCCUPIED): barbero (o cualquiera), slot preferido, día o rango, y servicio. Si se libera un hueco que encaje se le ofrece y queda reservado unos minutos.',
+  list: 'Lista la fila de espera (por defecto waiting y offered), filtrando por barbero, teléfono o status.',
+  leave: 'Saca a un cliente de la lista de espera (por id o teléfono). Si tenía un hueco ofrecido, pasa al siguiente.',
+};
+
+const entrySchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    status: { type: 'string', enum: ['waiting', 'offered', 'booked', 'left', 'expired'] },
+    phone: { type: 'string' },
+    name: { type: 'string' },
+    barber: { type: ['string', 'null'] },
+    serviceId: { type: 'string' },
+    duration: { type: 'integer' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    offer: { type: 'object', description: 'Hueco ofrecido (start, end, expiresAt)' },
+  },
+};
+
+// Schemas input/output por acción
+export const schemas = {
+  join: {
+    input: {
+      type: 'object',
+      required: ['phone'],
+      properties: {
+        phone: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        barber: { type: 'string', minLength: 1, description: 'Sin barber = cualquiera' },
+        anyBarber: { type: 'boolean' },
+        serviceId: { type: 'string', minLength: 1 },
+        service: { type: 'string', minLength: 1 },
+        duration: { type: 'integer', minimum: 5, maximum: 480 },
+        slot: { type: 'string', minLength: 1, description: 'Horario preferido exacto (ISO)' },
+        date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Cualquier hora de ese día' },
+        from: { type: 'string', minLength: 1, description: 'Inicio del rango aceptable (ISO)' },
+        to: { type: 'string', minLength: 1, description: 'Fin del rango aceptable (ISO)' },
+        notes: { type: 'string' },
+      },
+      anyOf: [{ required: ['slot'] }, { required: ['date'] }, { required: ['from', 'to'] }],
+    },
+    output: {
+      type: 'object',
+      required: ['entry'],
+      properties: { entry: entrySchema, position: { type: 'integer' } },
+    },
+  },
+  list: {
+    input: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['waiting', 'offered', 'booked', 'left', 'expired'] },
+        barber: { type: 'string', minLength: 1 },
+        phone: { type: 'string', minLength: 1 },
+      },
+    },
+    output: {
+      type: 'object',
+      required: ['entries'],
+      properties: { entries: { type: 'array', items: entrySchema }, holdMinutes: { type: 'integer' } },
+    },
+  },
+  leave: {
+    input: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        phone: { type: 'string', minLength: 1 },
+      },
+      anyOf: [{ required: ['id'] }, { required: ['phone'] }],
+    },
+    output: {
+      type: 'object',
+      required: ['left'],
+      properties: { left: { type: 'array', items: { type: 'string' } } },
+    },
+  },
+};
+
+export const actions = {
+  async join({ params }) {
+    const data = await joinWaitlist(params);
+    return { ok: true, data };
+  },
+  async list({ params }) {
+    const data = await listWaitlist(params);
+    return { ok: true, data };
+  },
+  async leave({ params }) {
+    const data = await leaveWaitlist(params);
+    return { ok: true, data };
+  },
+};
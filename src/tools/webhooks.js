@@ -0,0 +1,111 @@
+// src/tools/webhooks.js
+// Inspección y reenvío del outbox de webhooks (ver src/utils/outbox.js).
+import { createRequestLogger, logWithDuration } from '../utils/logger.js';
+import { listEvents, replayEvents } from '../utils/outbox.js';
+
+async function listOutbox(params = {}) {
+  const log = createRequestLogger({ tool: 'webhooks', action: 'list' });
+  const started = Date.now();
+
+  const data = listEvents(params);
+
+  logWithDuration(log, 'webhooks.list → completado', { events: data.events.length, ...data.counts }, started);
+  return data;
+}
+
+async function replayOutbox(params = {}) {
+  const log = createRequestLogger({ tool: 'webhooks', action: 'replay' });
+  const started = Date.now();
+
+  const { id, ids = [], allDead = false } = params;
+  const wanted = [...(id ? [id] : []), ...ids];
+  if (!wanted.length && !allDead) {
+    const err = new Error('INVALID_PARAMS: se requiere id, ids o allDead');
+    err.code = 'INVALID_PARAMS';
+    throw err;
+  }
+
+  const data = replayEvents({ ids: wanted, allDead });
+
+  logWithDuration(log, 'webhooks.replay → completado', { replayed: data.replayed.length }, started);
+  return data;
+}
+
+// -------------------- EXPORTS MCP --------------------
+
+export const name = 'webhooks';
+
+// Reenviar webhooks firmados: solo con la clave admin; no sale en tools/list
+export const adminActions = ['replay'];
+
+// Descripciones para el listado de tools MCP
+export const descriptions = {
+  list: 'Lista eventos del outbox de webhooks (booking.created, booking.cancelled, ...) filtrando por status (pending, delivered, dead) y tipo, con conteos por estado.',
+  replay: 'Vuelve a encolar eventos del outbox por id o todos los dead-letter (allDead) para reenviarlos.',
+};
+
+const eventSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    type: { type: 'string' },
+    status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+    attempts: { type: 'integer' },
+    lastError: { type: 'string' },
+    createdAt: { type: 'string' },
+    nextAttemptAt: { type: 'string' },
+    payload: { type: 'object' },
+  },
+};
+
+// Schemas input/output por acción
+export const schemas = {
+  list: {
+    input: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+        type: { type: 'string', minLength: 1, description: 'booking.created, booking.cancelled, ...' },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+      },
+    },
+    output: {
+      type: 'object',
+      required: ['events', 'counts'],
+      properties: {
+        events: { type: 'array', items: eventSchema },
+        counts: { type: 'object' },
+        url: { type: ['string', 'null'] },
+      },
+    },
+  },
+  replay: {
+    input: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        ids: { type: 'array', items: { type: 'string' } },
+        allDead: { type: 'boolean', default: false, description: 'Reenviar todos los dead-letter' },
+      },
+    },
+    output: {
+      type: 'object',
+      required: ['replayed'],
+      properties: {
+        replayed: { type: 'array', items: { type: 'string' } },
+        notFound: { type: 'array', items: { type: 'string' } },
+      },
+    },
+  },
+};
+
+export const actions = {
+  async list({ params }) {
+    const data = await listOutbox(params);
+    return { ok: true, data };
+  },
+  async replay({ params }) {
+    const data = await replayOutbox(params);
+    return { ok: true, data };
+  },
+};
@@ -1,54 +1,115 @@
-// Simple TTL in-memory cache compatible with the rest of the code.
-// Export the class TTLCache (named) and also export default = singleton that exposes get/set/del/clear
-// The singleton interprets the third argument of set as TTL in seconds (converted to ms internally).
-
-export class TTLCache {
-  constructor(defaultTtlMs = 120 * 1000) {
-    this.defaultTtlMs = defaultTtlMs;
-    this.store = new Map();
-  }
-  // ttlMs: milliseconds
-  set(key, value, ttlMs) {
-    const exp = Date.now() + (ttlMs ?? this.defaultTtlMs);
-    this.store.set(key, { value, exp });
-  }
-  get(key) {
-    const e = this.store.get(key);
-    if (!e) return undefined;
-    if (Date.now() > e.exp) { this.store.delete(key); return undefined; }
-    return e.value;
-  }
-  del(key) { this.store.delete(key); }
-  clear() { this.store.clear(); }
-}
-
-// Singleton adapter: interface expected by router/calendar:
+// Cache singleton used by the router (mcp execute) and calendar (reads + idempotency keys).
+// The actual storage is pluggable (src/backends/cache): CACHE_STORE=memory | file | redis.
+//
+// Interface expected by router/calendar (every method returns a Promise):
 //   await cache.get(key)
 //   await cache.set(key, value, ttlSeconds)
-// Internal TTL of the instance default is read from CACHE_TTL_SECONDS env (seconds) or 120s.
+//   await cache.setIfAbsent(key, value, ttlSeconds) → true if stored (in-flight locks)
+//   await cache.del(key)
+//   await cache.clear()
+// Missing TTL → CACHE_TTL_SECONDS env (seconds) or 120s.
+//
+// Tags: cache.set(key, value, ttl, { tags: [...] }) stamps the entry with the current
+// version of each tag; cache.invalidateTags(tags) bumps those versions and every entry
+// stamped with an older one becomes a miss. Versions live in the same store, so this
+// works across processes with CACHE_STORE=file|redis. Tag names: see *Tag() helpers.
+//
+// A store failure (Redis down, unreadable file) never breaks the request: reads miss and
+// writes are dropped. setIfAbsent fails closed (false): without the store nobody can tell
+// whether another request holds the key, so callers wait and time out instead of
+// running twice. It is logged as a warning.
+import crypto from 'crypto';
+import { getCacheStore } from '../backends/cache/index.js';
+import { createRequestLogger } from './logger.js';
+
+export { TTLCache } from '../backends/cache/memory.js';
+
 const envTtlSec = Number(process.env.CACHE_TTL_SECONDS || 120);
 const defaultTtlMs = Number.isFinite(envTtlSec) ? envTtlSec * 1000 : 120 * 1000;
-const inner = new TTLCache(defaultTtlMs);
+
+// Outlives any entry (idempotency keys: 24h). An expired version just means a miss.
+const TAG_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const log = createRequestLogger({ tool: 'cache', action: 'store' });
+
+// -------- Tag names --------
+// Everything that depends on availability (business hours, exceptions)
+export const AVAILABILITY_TAG = 'availability';
+// Barber names/aliases (barbers.resolve, catalog): bumped when the directory reloads
+export const DIRECTORY_TAG = 'directory';
+// Shop catalog (services, prices): bumped by the catalog admin actions
+export const CATALOG_TAG = 'catalog';
+// Free slots of one calendar on one day (YYYY-MM-DD)
+export const calendarDayTag = (calId, day) => `cal:${calId}:${day}`;
+// Any day of one calendar (writes whose date is unknown)
+export const calendarTag = (calId) => `cal:${calId}`;
+// booking.search over one calendar (any range)
+export const bookingsTag = (calId) => `bookings:${calId}`;
+
+const tagKey = (tag) => `tag:${tag}`;
+const newVersion = () => `${Date.now().toString(36)}.${crypto.randomUUID().slice(0, 8)}`;
+
+async function currentVersions(store, tags) {
+  const out = {};
+  for (const tag of tags) {
+    let v = await store.get(tagKey(tag));
+    if (v === undefined) {
+      await store.setIfAbsent(tagKey(tag), newVersion(), TAG_TTL_MS);
+      v = await store.get(tagKey(tag));
+    }
+    out[tag] = v;
+  }
+  return out;
+}
+
+async function isFresh(store, stamped) {
+  for (const [tag, v] of Object.entries(stamped)) {
+    if ((await store.get(tagKey(tag))) !== v) return false;
+  }
+  return true;
+}
+
+function ttlMsOf(ttlSeconds) {
+  return (typeof ttlSeconds === 'number' && Number.isFinite(ttlSeconds)) ? Math.floor(ttlSeconds * 1000) : defaultTtlMs;
+}
+
+async function safely(op, key, fallback, fn) {
+  try {
+    return await fn(getCacheStore());
+  } catch (e) {
+    log.warn({ op, key, err: { message: e.message, code: e.code } }, 'cache → error del store');
+    return fallback;
+  }
+}
 
 const defaultCache = {
-  // get may be used with await; keep it synchronous but return value directly
   get(key) {
-    return inner.get(key);
+    return safely('get', key, undefined, async (store) => {
+      const raw = await store.get(key);
+      if (!raw?.__tags) return raw;
+      return (await isFresh(store, raw.__tags)) ? raw.value : undefined;
+    });
+  },
+  set(key, value, ttlSeconds, { tags = [] } = {}) {
+    return safely('set', key, undefined, async (store) => {
+      const entry = tags.length ? { __tags: await currentVersions(store, [...new Set(tags)]), value } : value;
+      await store.set(key, entry, ttlMsOf(ttlSeconds));
+    });
+  },
+  invalidateTags(tags) {
+    return safely('invalidateTags', tags.join(','), undefined, async (store) => {
+      for (const tag of new Set(tags)) await store.set(tagKey(tag), newVersion(), TAG_TTL_MS);
+    });
   },
-  // set accepts ttl in seconds (or undefined to use default)
-  set(key, value, ttlSeconds) {
-    const ttlMs = (typeof ttlSeconds === 'number' && Number.isFinite(ttlSeconds)) ? Math.floor(ttlSeconds * 1000) : undefined;
-    inner.set(key, value, ttlMs);
+  setIfAbsent(key, value, ttlSeconds) {
+    return safely('setIfAbsent', key, false, (store) => store.setIfAbsent(key, value, ttlMsOf(ttlSeconds)));
   },
   del(key) {
-    inner.del(key);
+    return safely('del', key, undefined, (store) => store.del(key));
   },
   clear() {
-    inner.clear();
+    return safely('clear', null, undefined, (store) => store.clear());
   },
-  // expose underlying class/instance for tests or advanced usage
-  _inner: inner,
-  TTLCache,
 };
 
-export default defaultCache;
\ No newline at end of file
+export default defaultCache;
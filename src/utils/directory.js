@@ -0,0 +1,399 @@
+// src/utils/directory.js
+// Directorio único de barberos (barbers.json) y horarios (business_hours.json).
+// Todas las tools leen de aquí; el archivo se valida al cargar y, con
+// startDirectoryWatch(), se recarga en caliente cuando cambia.
+//
+// barbers.json admite tres formatos:
+//   { "nova": { "displayName": "Juan", "aliases": ["juancho"], "calendarId": "..." } }
+//   [ { "id": "nova", "displayName": "Juan", "aliases": [...], "calendarId": "..." } ]   (o "name" en vez de "id")
+//   { "Carlos": "calId" }                                                             (compat anterior)
+// "active": false desactiva al barbero: conserva sus citas pero no recibe nuevas.
+//
+// Recarga atómica: se arma un snapshot nuevo completo y se reemplaza de una vez. Si el
+// archivo no parsea o es inválido se conserva el anterior (y se loguea el error); las
+// entradas sueltas inválidas (sin calendarId, aliases raros) se descartan con un warning.
+//
+// updateDirectory() (acciones admin de barbers) reescribe los archivos en formato objeto,
+// con la misma validación, escritura atómica y copia previa en DIRECTORY_BACKUP_DIR.
+import fs from 'fs';
+import path from 'path';
+import cache, { AVAILABILITY_TAG, DIRECTORY_TAG } from './cache.js';
+import { createRequestLogger } from './logger.js';
+
+const BARBERS_JSON_PATH =
+  process.env.BARBERS_JSON || path.join(process.cwd(), 'data', 'barbers.json');
+const BUSINESS_HOURS_JSON_PATH =
+  process.env.BUSINESS_HOURS_JSON || path.join(process.cwd(), 'data', 'business_hours.json');
+const WATCH_INTERVAL_MS = Number(process.env.DIRECTORY_WATCH_INTERVAL_MS || 2000);
+const BACKUP_DIR = process.env.DIRECTORY_BACKUP_DIR || path.join(process.cwd(), 'data', 'backups');
+const BACKUPS_KEEP = Number(process.env.DIRECTORY_BACKUPS_KEEP || 20);
+
+const HM_RE = /^(([01]?\d|2[0-3]):[0-5]\d|24:00)$/;
+
+function minutesOf(hm) {
+  const [h, m] = String(hm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+let snapshot = null;
+let version = 0;
+let watching = false;
+
+const log = createRequestLogger({ tool: 'directory', action: 'load' });
+
+export function normalizeName(str) {
+  return String(str || '')
+    .toLowerCase()
+    .replace(/\uFFFD/g, '')          // caracteres de reemplazo por problemas de encoding
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // quita tildes
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "cualquiera", "any"... en el campo barber = modo cualquier barbero (calendar y waitlist)
+export const ANY_BARBER_WORDS = new Set(['any', 'cualquiera', 'cualquier', 'quien sea', 'el que este libre', 'indiferente']);
+
+export function isAnyBarber(params) {
+  if (!params) return false;
+  if (params.anyBarber === true) return true;
+  return !params.calendarId && ANY_BARBER_WORDS.has(normalizeName(params.barber));
+}
+
+function invalid(filePath, message) {
+  const err = new Error(`DIRECTORY_INVALID: ${path.basename(filePath)}: ${message}`);
+  err.code = 'DIRECTORY_INVALID';
+  return err;
+}
+
+function readJSON(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  const raw = fs.readFileSync(filePath, 'utf8').trim();
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw invalid(filePath, e.message);
+  }
+}
+
+function parseBarbers(parsed, warnings) {
+  if (parsed == null) return { barbers: [], rawById: new Map(), dropped: [] };
+  if (typeof parsed !== 'object') throw invalid(BARBERS_JSON_PATH, 'se esperaba un objeto o un array');
+
+  const entries = Array.isArray(parsed)
+    ? parsed.map((it, i) => [it?.id || it?.name, it, `[${i}]`])
+    : Object.entries(parsed).map(([k, v]) => [k, v, k]);
+
+  const barbers = [];
+  const rawById = new Map();
+  const dropped = []; // entradas descartadas, tal cual, para no perderlas al reescribir
+  const seen = new Set();
+  for (const [id, value, where] of entries) {
+    // Compat anterior: { "Carlos": "calId" }
+    const v = typeof value === 'string' ? { calendarId: value } : value;
+
+    if (!id || typeof id !== 'string') {
+      warnings.push(`${where}: sin id`);
+      dropped.push({ id: null, where, value });
+      continue;
+    }
+    if (!v || typeof v !== 'object' || typeof v.calendarId !== 'string' || !v.calendarId.trim()) {
+      warnings.push(`${id}: sin calendarId`);
+      dropped.push({ id, where, value });
+      continue;
+    }
+    if (seen.has(normalizeName(id))) throw invalid(BARBERS_JSON_PATH, `id duplicado: ${id}`);
+    seen.add(normalizeName(id));
+
+    if (v.aliases != null && !Array.isArray(v.aliases)) warnings.push(`${id}: aliases debe ser un array`);
+    const aliases = (Array.isArray(v.aliases) ? v.aliases : []).filter((a) => {
+      if (typeof a === 'string' && a.trim()) return true;
+      warnings.push(`${id}: alias inválido ${JSON.stringify(a)}`);
+      return false;
+    });
+
+    barbers.push({
+      id,
+      displayName: typeof v.displayName === 'string' && v.displayName.trim() ? v.displayName : v.name || id,
+      aliases,
+      calendarId: v.calendarId.trim(),
+      active: v.active !== false,
+    });
+    // Campos extra del archivo (bio, especialidades...): se conservan al reescribirlo
+    rawById.set(id, v);
+  }
+  return { barbers, rawById, dropped };
+}
+
+// id / nombre visible / alias normalizados → barbero. Si dos barberos comparten
+// un nombre gana el último (como antes), pero queda el warning.
+function indexNames(barbers, warnings) {
+  const byName = new Map();
+  for (const b of barbers) {
+    for (const n of [b.id, b.displayName, ...b.aliases]) {
+      const key = normalizeName(n);
+      if (!key) continue;
+      const prev = byName.get(key);
+      if (prev && prev.id !== b.id) warnings.push(`"${n}" apunta a ${prev.id} y a ${b.id} (queda ${b.id})`);
+      byName.set(key, b);
+    }
+  }
+  return byName;
+}
+
+// Solo la forma: el significado de cada campo lo interpreta calendar (normalizeBizConfig)
+function parseBusinessHours(parsed, byName, warnings) {
+  if (parsed == null) return {};
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw invalid(BUSINESS_HOURS_JSON_PATH, 'se esperaba un objeto');
+  }
+
+  for (const [key, cfg] of Object.entries(parsed)) {
+    if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg)) {
+      throw invalid(BUSINESS_HOURS_JSON_PATH, `${key}: se esperaba un objeto`);
+    }
+    const windows = Object.values(cfg.weekly || {}).flatMap((ws) => (Array.isArray(ws) ? ws : []));
+    // [inicio, fin] de la jornada legacy, de cada pausa y de cada franja semanal
+    const ranges = [
+      [cfg.start, cfg.end],
+      ...(Array.isArray(cfg.breaks) ? cfg.breaks : []).map((br) => [br?.start, br?.end]),
+      ...windows.map((w) => (Array.isArray(w) ? w : [w?.start, w?.end])),
+    ];
+    const bad = ranges.flat().find((t) => t != null && !HM_RE.test(String(t)));
+    if (bad !== undefined) throw invalid(BUSINESS_HOURS_JSON_PATH, `${key}: hora inválida ${JSON.stringify(bad)} (usa HH:MM)`);
+
+    const backwards = ranges.find(([start, end]) => start != null && end != null && minutesOf(end) <= minutesOf(start));
+    if (backwards) {
+      throw invalid(BUSINESS_HOURS_JSON_PATH, `${key}: ${backwards[0]}-${backwards[1]} termina antes de empezar`);
+    }
+
+    if (key !== 'default' && !byName.has(normalizeName(key))) {
+      warnings.push(`business_hours: "${key}" no corresponde a ningún barbero`);
+    }
+  }
+  return parsed;
+}
+
+function buildSnapshot(rawBarbers, rawHours) {
+  const warnings = [];
+  const { barbers, rawById, dropped } = parseBarbers(rawBarbers, warnings);
+  const byName = indexNames(barbers, warnings);
+  const businessHours = parseBusinessHours(rawHours, byName, warnings);
+
+  const byCalendar = new Map();
+  for (const b of barbers) {
+    if (byCalendar.has(b.calendarId)) {
+      warnings.push(`${b.id}: comparte calendarId con ${byCalendar.get(b.calendarId).id}`);
+      continue;
+    }
+    byCalendar.set(b.calendarId, b);
+  }
+
+  return {
+    barbers,
+    rawById,
+    dropped,
+    byId: new Map(barbers.map((b) => [b.id, b])),
+    byName,
+    byCalendar,
+    businessHours,
+    warnings,
+    version: ++version,
+    loadedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Relee barbers.json y business_hours.json. Si algo falla se conserva el snapshot
+ * anterior y se devuelve { ok: false, error }.
+ */
+export function reloadDirectory({ reason = 'manual' } = {}) {
+  try {
+    const next = buildSnapshot(readJSON(BARBERS_JSON_PATH), readJSON(BUSINESS_HOURS_JSON_PATH));
+    snapshot = next;
+    for (const w of next.warnings) log.warn({ reason }, `directory → ${w}`);
+    log.info(
+      { reason, version: next.version, barbers: next.barbers.length, hoursKeys: Object.keys(next.businessHours).length },
+      'directory → cargado'
+    );
+    return { ok: true, version: next.version, warnings: next.warnings };
+  } catch (err) {
+    log.error(
+      { reason, err: { message: err.message, code: err.code }, keptVersion: snapshot?.version ?? null },
+      'directory → archivo inválido, se conserva la versión anterior'
+    );
+    if (!snapshot) {
+      snapshot = buildSnapshot(null, null);
+    }
+    return { ok: false, error: err.message, version: snapshot.version };
+  }
+}
+
+function getSnapshot() {
+  if (!snapshot) reloadDirectory({ reason: 'startup' });
+  return snapshot;
+}
+
+/**
+ * Barberos con calendario: [{ id, displayName, aliases, calendarId, active }]
+ * Por defecto solo los activos; includeInactive para lo que mira citas ya creadas.
+ */
+export function listBarbers({ includeInactive = false } = {}) {
+  const { barbers } = getSnapshot();
+  return includeInactive ? barbers : barbers.filter((b) => b.active);
+}
+
+export function getBarber(id) {
+  return getSnapshot().byId.get(id) || null;
+}
+
+/**
+ * id, nombre visible o alias (sin tildes ni mayúsculas) → barbero o null.
+ * Incluye desactivados: el que agenda decide (calendar lanza BARBER_INACTIVE).
+ */
+export function findBarber(name) {
+  const key = normalizeName(name);
+  return key ? getSnapshot().byName.get(key) || null : null;
+}
+
+export function barberForCalendar(calId) {
+  return getSnapshot().byCalendar.get(calId) || null;
+}
+
+export function getBusinessHours() {
+  return getSnapshot().businessHours;
+}
+
+// Resumen para /_debug/config
+export function directoryInfo() {
+  const s = getSnapshot();
+  return {
+    version: s.version,
+    loadedAt: s.loadedAt,
+    barbersCount: s.barbers.length,
+    inactive: s.barbers.filter((b) => !b.active).map((b) => b.id),
+    hoursKeys: Object.keys(s.businessHours),
+    warnings: s.warnings,
+    watching,
+  };
+}
+
+// -------------------- ESCRITURA (admin) --------------------
+
+function writeAtomic(filePath, data) {
+  const full = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  const tmp = `${full}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tmp, full);
+}
+
+// Copia la versión actual a BACKUP_DIR/<archivo>.<fecha> y deja las BACKUPS_KEEP más nuevas
+function backupFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const base = path.basename(filePath);
+  const dest = path.join(BACKUP_DIR, `${base}.${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  fs.copyFileSync(filePath, dest);
+
+  const old = fs.readdirSync(BACKUP_DIR).filter((f) => f.startsWith(`${base}.`)).sort();
+  for (const f of old.slice(0, Math.max(0, old.length - BACKUPS_KEEP))) {
+    fs.rmSync(path.join(BACKUP_DIR, f), { force: true });
+  }
+  return dest;
+}
+
+// Snapshot → barbers.json en formato objeto (el que se escribe siempre). Las entradas
+// descartadas al cargar (sin calendarId...) se conservan tal cual para que el dueño las corrija.
+function barbersFileOf(s) {
+  const out = {};
+  for (const b of s.barbers) {
+    const { id: _id, name: _name, ...extra } = s.rawById.get(b.id) || {};
+    out[b.id] = {
+      ...extra,
+      displayName: b.displayName,
+      aliases: b.aliases,
+      calendarId: b.calendarId,
+      active: b.active,
+    };
+    if (b.active) delete out[b.id].active;
+  }
+  for (const { id, value } of s.dropped) {
+    if (id && !(id in out)) out[id] = value;
+  }
+  return out;
+}
+
+/**
+ * Aplica un cambio al directorio y lo persiste. mutate recibe copias editables
+ * { barbers: { id: {...} }, businessHours: {...} }; el resultado se valida con las mismas
+ * reglas de la carga (DIRECTORY_INVALID si no pasa, sin tocar nada); también si el cambio
+ * deja entradas que se descartarían, o si barbers.json tiene entradas sin id que se
+ * perderían al reescribirlo. Solo se reescriben los archivos que cambian, con copia
+ * previa. Devuelve el snapshot nuevo.
+ */
+export async function updateDirectory(mutate, { reason = 'admin' } = {}) {
+  const current = getSnapshot();
+  const draft = {
+    barbers: barbersFileOf(current),
+    businessHours: structuredClone(current.businessHours),
+  };
+  mutate(draft);
+
+  const next = buildSnapshot(draft.barbers, draft.businessHours);
+
+  const known = new Set(current.dropped.filter((d) => d.id).map((d) => d.id));
+  const newlyDropped = next.dropped.filter((d) => !known.has(d.id));
+  if (newlyDropped.length) {
+    throw invalid(BARBERS_JSON_PATH, `entradas inválidas: ${newlyDropped.map((d) => d.id || d.where).join(', ')}`);
+  }
+
+  const changed = [];
+  if (JSON.stringify(draft.barbers) !== JSON.stringify(barbersFileOf(current))) {
+    const keyless = current.dropped.filter((d) => !d.id);
+    if (keyless.length) {
+      throw invalid(BARBERS_JSON_PATH, `entradas sin id (${keyless.map((d) => d.where).join(', ')}): corrígelas antes de editar`);
+    }
+    changed.push([BARBERS_JSON_PATH, draft.barbers]);
+  }
+  if (JSON.stringify(draft.businessHours) !== JSON.stringify(current.businessHours)) {
+    changed.push([BUSINESS_HOURS_JSON_PATH, draft.businessHours]);
+  }
+
+  for (const [filePath, data] of changed) {
+    const backup = backupFile(filePath);
+    writeAtomic(filePath, data);
+    log.info({ reason, file: path.basename(filePath), backup }, 'directory → archivo actualizado');
+  }
+
+  snapshot = next;
+  if (changed.length) await cache.invalidateTags([AVAILABILITY_TAG, DIRECTORY_TAG]);
+  return next;
+}
+
+/**
+ * Vigila ambos archivos (polling cada DIRECTORY_WATCH_INTERVAL_MS; fs.watch no sobrevive
+ * a la escritura atómica con rename). Al recargar invalida las disponibilidades y
+ * resoluciones de nombres cacheadas.
+ */
+export function startDirectoryWatch() {
+  if (watching || !(WATCH_INTERVAL_MS > 0)) return;
+  watching = true;
+  getSnapshot();
+
+  for (const filePath of [BARBERS_JSON_PATH, BUSINESS_HOURS_JSON_PATH]) {
+    fs.watchFile(filePath, { interval: WATCH_INTERVAL_MS, persistent: false }, async (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+      const res = reloadDirectory({ reason: `watch:${path.basename(filePath)}` });
+      if (res.ok) await cache.invalidateTags([AVAILABILITY_TAG, DIRECTORY_TAG]);
+    });
+  }
+}
+
+export function stopDirectoryWatch() {
+  if (!watching) return;
+  fs.unwatchFile(BARBERS_JSON_PATH);
+  fs.unwatchFile(BUSINESS_HOURS_JSON_PATH);
+  watching = false;
+}
@@ -0,0 +1,134 @@
+// src/utils/holds.js
+// Reservas temporales de slots (calendar.hold): mientras el agente le pide nombre y
+// teléfono al cliente, el horario queda apartado para su sesión durante HOLD_TTL_SECONDS.
+// Las vencidas se descartan solas en cada lectura; al vencer se invalida el día en la
+// caché para que un calendar.check cacheado vuelva a mostrar el slot.
+//
+// Formato de data/holds.json:
+// { "holds": [
+//   { "id": "hold-1a2b3c4d", "sessionId": "wa-573001234567", "calendarId": "...", "barber": "atlas",
+//     "start": "2030-01-07T10:00:00-05:00", "end": "2030-01-07T10:30:00-05:00", "duration": 30,
+//     "serviceId": "svc-corte-clasico", "createdAt": "...", "expiresAt": "..." }
+// ] }
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createRequestLogger } from './logger.js';
+import cache, { calendarDayTag } from './cache.js';
+
+export const HOLD_TTL_SECONDS = Number(process.env.HOLD_TTL_SECONDS || 300);
+export const HOLD_MAX_TTL_SECONDS = Number(process.env.HOLD_MAX_TTL_SECONDS || 900);
+const HOLDS_JSON_PATH =
+  process.env.HOLDS_JSON || path.join(process.cwd(), 'data', 'holds.json');
+
+let holdsCache = null;
+let loadedMtime = null;
+const expiryTimers = new Map();
+
+function scheduleExpiry(hold) {
+  if (expiryTimers.has(hold.id)) return;
+  const t = setTimeout(() => {
+    expiryTimers.delete(hold.id);
+    listHolds();
+    cache.invalidateTags([calendarDayTag(hold.calendarId, hold.start.slice(0, 10))]);
+  }, Math.max(0, Date.parse(hold.expiresAt) - Date.now()) + 50);
+  t.unref?.();
+  expiryTimers.set(hold.id, t);
+}
+
+// Timers solo para las reservas que siguen en la lista
+function syncTimers(list) {
+  const ids = new Set(list.map((h) => h.id));
+  for (const [id, t] of expiryTimers) {
+    if (!ids.has(id)) {
+      clearTimeout(t);
+      expiryTimers.delete(id);
+    }
+  }
+  list.forEach(scheduleExpiry);
+}
+
+// Se relee si cambió el archivo (otro proceso con el mismo HOLDS_JSON)
+function loadHolds() {
+  try {
+    if (!fs.existsSync(HOLDS_JSON_PATH)) {
+      holdsCache = [];
+      loadedMtime = null;
+      return holdsCache;
+    }
+    const { mtimeMs } = fs.statSync(HOLDS_JSON_PATH);
+    if (holdsCache && mtimeMs === loadedMtime) return holdsCache;
+    loadedMtime = mtimeMs;
+
+    const raw = fs.readFileSync(HOLDS_JSON_PATH, 'utf8').trim();
+    const parsed = raw ? JSON.parse(raw) : {};
+    holdsCache = Array.isArray(parsed.holds) ? parsed.holds : [];
+  } catch (err) {
+    createRequestLogger({ tool: 'holds', action: 'load' })
+      .error({ err: { message: err.message }, path: HOLDS_JSON_PATH }, 'HOLDS_JSON_LOAD_ERROR');
+    holdsCache = [];
+  }
+  syncTimers(holdsCache);
+  return holdsCache;
+}
+
+// Escritura atómica: archivo temporal + rename
+function saveHolds(list) {
+  const full = path.resolve(HOLDS_JSON_PATH);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  const tmp = `${full}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ holds: list }, null, 2));
+  fs.renameSync(tmp, full);
+  holdsCache = list;
+  loadedMtime = fs.statSync(full).mtimeMs;
+  syncTimers(list);
+}
+
+/**
+ * Reservas vigentes (las vencidas se podan del archivo).
+ */
+export function listHolds() {
+  const list = loadHolds();
+  const now = Date.now();
+  const alive = list.filter((h) => Date.parse(h.expiresAt) > now);
+  if (alive.length !== list.length) saveHolds(alive);
+  return alive;
+}
+
+export function getHold(id) {
+  return listHolds().find((h) => h.id === id) || null;
+}
+
+/**
+ * Crea una reserva. Cada sesión aparta un solo slot: las anteriores de la misma
+ * sesión se liberan (el cliente cambió de opinión).
+ */
+export function createHold({ sessionId, calendarId, barber, start, end, duration, serviceId, ttlSeconds }) {
+  const ttl = Math.min(Number(ttlSeconds) || HOLD_TTL_SECONDS, HOLD_MAX_TTL_SECONDS);
+  const now = new Date();
+  const hold = {
+    id: `hold-${crypto.randomUUID().slice(0, 8)}`,
+    sessionId,
+    calendarId,
+    barber: barber || null,
+    start,
+    end,
+    duration,
+    ...(serviceId && { serviceId }),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttl * 1000).toISOString(),
+  };
+  const replaced = listHolds().filter((h) => h.sessionId === sessionId);
+  saveHolds([...listHolds().filter((h) => h.sessionId !== sessionId), hold]);
+  return { hold, replaced };
+}
+
+/**
+ * Libera por id o todas las de una sesión. Devuelve las reservas liberadas.
+ */
+export function releaseHolds({ id, sessionId }) {
+  const list = listHolds();
+  const released = list.filter((h) => (id ? h.id === id : h.sessionId === sessionId));
+  if (released.length) saveHolds(list.filter((h) => !released.includes(h)));
+  return released;
+}
@@ -0,0 +1,119 @@
+// src/utils/lock.js
+// Locks de agenda: serializa el "verificar conflictos + insertar" de reservas que se
+// pisan en el mismo calendario. Dos peticiones para horarios que no se solapan no se
+// esperan entre sí.
+//
+// - memory (default): locks en proceso, por calendario y rango exacto.
+// - file: además, lockfiles en BOOKING_LOCK_DIR para varios procesos en la misma máquina
+//   (o un volumen compartido). El rango se parte en tramos de una hora: dos rangos que
+//   se solapan comparten al menos un tramo, así que toman el mismo archivo.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createRequestLogger } from './logger.js';
+
+const LOCK_BACKEND = (process.env.BOOKING_LOCK_BACKEND || 'memory').toLowerCase();
+const LOCK_DIR = process.env.BOOKING_LOCK_DIR || path.join(process.cwd(), 'data', 'locks');
+const LOCK_TIMEOUT_MS = Number(process.env.BOOKING_LOCK_TIMEOUT_MS || 10000);
+// Un lockfile más viejo que esto es de un proceso que murió con el lock tomado
+const LOCK_STALE_MS = Number(process.env.BOOKING_LOCK_STALE_MS || 30000);
+const FILE_RETRY_MS = 50;
+const BUCKET_MS = 60 * 60 * 1000;
+
+const log = createRequestLogger({ tool: 'lock', action: 'acquire' });
+
+// calId → [{ start, end, released }]
+const held = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+
+function lockTimeoutError(calId) {
+  const err = new Error(`LOCK_TIMEOUT: el calendario ${calId} está ocupado con otra reserva, intenta de nuevo`);
+  err.code = 'LOCK_TIMEOUT';
+  return err;
+}
+
+async function acquireMemory(calId, start, end, deadline) {
+  for (;;) {
+    const list = held.get(calId) || [];
+    const blocking = list.filter((h) => start < h.end && end > h.start);
+    if (!blocking.length) break;
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) throw lockTimeoutError(calId);
+    await Promise.race([Promise.all(blocking.map((h) => h.released)), sleep(remaining)]);
+  }
+
+  let release;
+  const entry = { start, end, released: new Promise((resolve) => { release = resolve; }) };
+  held.set(calId, [...(held.get(calId) || []), entry]);
+
+  return () => {
+    const rest = (held.get(calId) || []).filter((h) => h !== entry);
+    if (rest.length) held.set(calId, rest);
+    else held.delete(calId);
+    release();
+  };
+}
+
+function lockFilesFor(calId, start, end) {
+  const calHash = crypto.createHash('sha1').update(calId).digest('hex').slice(0, 16);
+  const files = [];
+  for (let b = Math.floor(start / BUCKET_MS); b <= Math.floor((end - 1) / BUCKET_MS); b++) {
+    files.push(path.join(LOCK_DIR, `${calHash}-${b}.lock`));
+  }
+  return files; // ya ordenados: todos los procesos los toman en el mismo orden
+}
+
+async function acquireFile(file, deadline) {
+  fs.mkdirSync(LOCK_DIR, { recursive: true });
+  for (;;) {
+    try {
+      const fd = fs.openSync(file, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, at: new Date().toISOString() }));
+      fs.closeSync(fd);
+      return;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    try {
+      const age = Date.now() - fs.statSync(file).mtimeMs;
+      if (age > LOCK_STALE_MS) {
+        log.warn({ file, ageMs: Math.round(age) }, 'lock → lockfile abandonado, se libera');
+        fs.rmSync(file, { force: true });
+        continue;
+      }
+    } catch {
+      continue; // lo liberaron entre open y stat
+    }
+
+    if (Date.now() >= deadline) return false;
+    await sleep(FILE_RETRY_MS + Math.random() * FILE_RETRY_MS);
+  }
+}
+
+/**
+ * Ejecuta fn con el lock de [start, end) en calId. start/end: Luxon, Date o epoch ms.
+ * Lanza LOCK_TIMEOUT si no se consigue en BOOKING_LOCK_TIMEOUT_MS.
+ */
+export async function withBookingLock(calId, start, end, fn) {
+  const s = Number(start);
+  const e = Number(end);
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  const releaseMemory = await acquireMemory(calId, s, e, deadline);
+  const taken = [];
+  try {
+    if (LOCK_BACKEND === 'file') {
+      for (const file of lockFilesFor(calId, s, e)) {
+        if ((await acquireFile(file, deadline)) === false) throw lockTimeoutError(calId);
+        taken.push(file);
+      }
+    }
+    return await fn();
+  } finally {
+    for (const file of taken) fs.rmSync(file, { force: true });
+    releaseMemory();
+  }
+}
@@ -15,6 +15,11 @@ const base = {
   env: process.env.NODE_ENV || 'development',
 };
 
+// En modo stdio (MCP local) stdout es el canal del protocolo:
+// los logs tienen que ir a stderr para no corromperlo.
+const toStderr =
+  process.env.MCP_TRANSPORT === 'stdio' || process.env.LOG_TO_STDERR === 'true';
+
 // Logger raíz
 export const logger = pino({
   level,
@@ -32,7 +37,7 @@ export const logger = pino({
       };
     },
   },
-});
+}, toStderr ? pino.destination(2) : undefined);
 
 /**
  * Crea loggers hijos relacionados a una operación
@@ -0,0 +1,295 @@
+// src/utils/naturalDate.js
+// Interpreta fechas/horas en lenguaje natural (español primero, inglés como respaldo):
+// "mañana a las 3", "el viernes en la tarde", "pasado mañana 10 y media", "next friday 4pm".
+// No adivina en silencio: si la hora o el día admiten varias lecturas se marca
+// ambiguous=true con todas las opciones; el llamador decide (o pregunta al cliente).
+import { DateTime } from 'luxon';
+
+const WEEKDAY_WORDS = {
+  lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6, domingo: 7,
+  monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6, sunday: 7,
+};
+
+const MONTH_WORDS = {
+  enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8,
+  septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12,
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6, july: 7, august: 8,
+  september: 9, october: 10, november: 11, december: 12,
+};
+
+const NUMBER_WORDS = {
+  una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8,
+  nueve: 9, diez: 10, once: 11, doce: 12,
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12,
+};
+
+// Franjas del día; pm indica cómo leer una hora de 1 a 12 dentro de la franja
+const DAY_PARTS = [
+  { name: 'madrugada', start: '00:00', end: '06:00', pm: false, re: /\b(?:(?:en|por|de|a) la )?madrugada\b/ },
+  { name: 'manana', start: '06:00', end: '12:00', pm: false, re: /\b(?:en|por|de|a) la manana\b|\b(?:in the )?morning\b/ },
+  { name: 'tarde', start: '12:00', end: '19:00', pm: true, re: /\b(?:(?:en|por|de|a) la )?tarde\b|\b(?:in the )?afternoon\b/ },
+  { name: 'noche', start: '19:00', end: '23:59', pm: true, re: /\b(?:(?:en|por|de|a) la )?noche\b|\b(?:in the )?evening\b|\bat night\b|\btonight\b/ },
+];
+
+const WEEKDAY_RE = Object.keys(WEEKDAY_WORDS).join('|');
+const MONTH_RE = Object.keys(MONTH_WORDS).join('|');
+const MERIDIEM_RE = '(a\\.? ?m\\.?|p\\.? ?m\\.?)(?![a-z])';
+
+function normalize(text) {
+  let s = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[,;]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const words = Object.keys(NUMBER_WORDS).join('|');
+  s = s.replace(new RegExp(`\\b(${words})\\b`, 'g'), (w) => String(NUMBER_WORDS[w]));
+  return s;
+}
+
+function minutesWord(w) {
+  if (!w) return 0;
+  if (w === 'media') return 30;
+  if (w === 'cuarto') return 15;
+  return Number(w) || 0;
+}
+
+// Próximo día (hoy incluido) con ese día/mes; si ya pasó, el siguiente año
+function nextDayOfMonth(now, month, day, year) {
+  let dt = DateTime.fromObject({ year: year || now.year, month, day }, { zone: now.zone });
+  if (!dt.isValid) return null;
+  if (!year && dt < now.startOf('day')) dt = dt.plus({ years: 1 });
+  return dt;
+}
+
+// -------- Fecha --------
+function extractDate(s, now) {
+  const today = now.startOf('day');
+  let m;
+
+  if ((m = s.match(/\b(\d{4})-(\d{2})-(\d{2})\b/))) {
+    const dt = DateTime.fromObject({ year: +m[1], month: +m[2], day: +m[3] }, { zone: now.zone });
+    return dt.isValid ? { rest: s.replace(m[0], ' '), dates: [dt] } : null;
+  }
+
+  // 15/03 o 15/03/2027 (día/mes, como se escribe en Colombia)
+  if ((m = s.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+    const year = m[3] ? (m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3])) : null;
+    const dt = nextDayOfMonth(now, +m[2], +m[1], year);
+    return dt ? { rest: s.replace(m[0], ' '), dates: [dt] } : null;
+  }
+
+  if ((m = s.match(new RegExp(`\\b(\\d{1,2}) de (${MONTH_RE})(?: (?:de|del) (\\d{4}))?\\b`)))) {
+    const dt = nextDayOfMonth(now, MONTH_WORDS[m[2]], +m[1], m[3] ? +m[3] : null);
+    return dt ? { rest: s.replace(m[0], ' '), dates: [dt] } : null;
+  }
+
+  if ((m = s.match(new RegExp(`\\b(${MONTH_RE}) (\\d{1,2})(?:st|nd|rd|th)?(?: (\\d{4}))?\\b`)))) {
+    const dt = nextDayOfMonth(now, MONTH_WORDS[m[1]], +m[2], m[3] ? +m[3] : null);
+    return dt ? { rest: s.replace(m[0], ' '), dates: [dt] } : null;
+  }
+
+  if ((m = s.match(/\bpasado manana\b|\bday after tomorrow\b/))) {
+    return { rest: s.replace(m[0], ' '), dates: [today.plus({ days: 2 })] };
+  }
+  if ((m = s.match(/\bmanana\b|\btomorrow\b/))) {
+    return { rest: s.replace(m[0], ' '), dates: [today.plus({ days: 1 })] };
+  }
+  if ((m = s.match(/\bhoy\b|\btoday\b|\btonight\b/))) {
+    return { rest: s.replace(m[0], ' '), dates: [today] };
+  }
+  if ((m = s.match(/\b(?:dentro de|en|in) (\d{1,3}) (?:dias|days)\b/))) {
+    return { rest: s.replace(m[0], ' '), dates: [today.plus({ days: Number(m[1]) })] };
+  }
+
+  const wdRe = new RegExp(`\\b(?:(proximo|siguiente|next|este|this) )?(?:el )?(${WEEKDAY_RE})(?: (proximo|que viene))?\\b`);
+  if ((m = s.match(wdRe))) {
+    const wd = WEEKDAY_WORDS[m[2]];
+    const qualifier = m[1] || m[3] || null;
+    let diff = (wd - today.weekday + 7) % 7;
+    const rest = s.replace(m[0], ' ');
+
+    if (diff === 0) {
+      if (['proximo', 'siguiente', 'next', 'que viene'].includes(qualifier)) diff = 7;
+      else if (!qualifier) {
+        // "el viernes" dicho un viernes: ¿hoy o el de la otra semana?
+        return {
+          rest,
+          dates: [today, today.plus({ days: 7 })],
+          ambiguity: { field: 'date', reason: 'El día de la semana es hoy: puede ser hoy o el de la próxima semana' },
+        };
+      }
+    }
+    return { rest, dates: [today.plus({ days: diff })] };
+  }
+
+  // "el 15": día del mes (este mes o el siguiente)
+  if ((m = s.match(/\bel (\d{1,2})\b(?! ?(?::|y |menos|de la|a\.? ?m|p\.? ?m|§))/))) {
+    let dt = today.set({ day: Number(m[1]) });
+    if (!dt.isValid || dt.day !== Number(m[1])) return null;
+    if (dt < today) dt = dt.plus({ months: 1 });
+    return { rest: s.replace(m[0], ' '), dates: [dt] };
+  }
+
+  return null;
+}
+
+// -------- Hora --------
+function extractTime(s) {
+  let m;
+
+  if (/\b(?:mediodia|noon)\b/.test(s)) return { h: 12, m: 0, meridiem: 'pm' };
+  if (/\b(?:medianoche|midnight)\b/.test(s)) return { h: 0, m: 0, meridiem: 'am' };
+
+  if ((m = s.match(new RegExp(`\\b(\\d{1,2}):(\\d{2})(?: ?${MERIDIEM_RE})?`)))) {
+    return { h: +m[1], m: +m[2], meridiem: meridiemOf(m[3]) };
+  }
+  if ((m = s.match(new RegExp(`\\b(\\d{1,2}) ?${MERIDIEM_RE}`)))) {
+    return { h: +m[1], m: 0, meridiem: meridiemOf(m[2]) };
+  }
+
+  // "a las 3", "a la 1", "at 3", "a las 10 y media", "a las 5 menos cuarto"
+  const withMinutes = '(?: y (media|cuarto|\\d{1,2}))?(?: menos (cuarto|\\d{1,2}))?';
+  if ((m = s.match(new RegExp(`\\b(?:a las?|las?|at|@) ?(\\d{1,2})${withMinutes}\\b`)))
+    || (m = s.match(new RegExp(`\\b(\\d{1,2})(?= y (?:media|cuarto|\\d{1,2})| menos (?:cuarto|\\d{1,2}))${withMinutes}\\b`)))
+    || (m = s.match(/\b(\d{1,2})()()(?= ?§)/))) {
+    let h = +m[1];
+    let min = minutesWord(m[2]);
+    if (m[3]) {
+      min = 60 - minutesWord(m[3]);
+      h -= 1;
+    }
+    return { h: (h + 24) % 24, m: min, meridiem: null };
+  }
+
+  return null;
+}
+
+function meridiemOf(str) {
+  if (!str) return null;
+  return str.startsWith('p') ? 'pm' : 'am';
+}
+
+// Horas posibles (en orden de preferencia) según am/pm y la franja del día
+function hourOptions(t, dayPart) {
+  const { h, meridiem } = t;
+  if (h > 23 || t.m > 59) return null;
+  if (meridiem === 'am') return { hours: [h === 12 ? 0 : h] };
+  if (meridiem === 'pm') return { hours: [h === 12 ? 12 : h + 12] };
+  if (h === 0 || h >= 12) return { hours: [h] };
+  if (dayPart) return { hours: [dayPart.pm ? h + 12 : h] };
+
+  // "a las 3" sin más contexto: 03:00 o 15:00. La primera opción es la lectura
+  // probable en una barbería (1–7 → tarde, 8–11 → mañana), pero va marcada.
+  const am = h;
+  const pm = h + 12;
+  return {
+    hours: h <= 7 ? [pm, am] : [am, pm],
+    ambiguity: { field: 'time', reason: `"${h}" puede ser ${pad(am)}:${pad(t.m)} o ${pad(pm)}:${pad(t.m)}` },
+  };
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * parseNaturalDate("mañana a las 3", { now, zone }) →
+ * {
+ *   input, recognized,
+ *   date: 'YYYY-MM-DD' | null,          // lectura preferida
+ *   time: 'HH:MM' | null,
+ *   dayPart: { name, start, end } | null,  // "en la tarde" sin hora concreta
+ *   iso: ISO con offset | null,            // solo si hay fecha y hora
+ *   ambiguous, ambiguities: [{ field, reason }],
+ *   options: [ISO | 'YYYY-MM-DD']          // todas las lecturas posibles
+ * }
+ * Sin fecha explícita pero con hora se asume hoy.
+ */
+export function parseNaturalDate(text, { now, zone = 'America/Bogota' } = {}) {
+  const ref = (now || DateTime.now()).setZone(zone);
+  let s = normalize(text);
+  const tonight = /\btonight\b/.test(s);
+
+  let dayPart = null;
+  for (const p of DAY_PARTS) {
+    const m = s.match(p.re);
+    if (m) {
+      dayPart = p;
+      // § marca dónde estaba la franja: "3 de la tarde" → "3 §"
+      s = s.replace(m[0], ' § ').replace(/\s+/g, ' ');
+      break;
+    }
+  }
+
+  const ambiguities = [];
+  const dateRes = extractDate(s, ref);
+  if (dateRes) {
+    s = dateRes.rest.replace(/\s+/g, ' ');
+    if (dateRes.ambiguity) ambiguities.push(dateRes.ambiguity);
+  }
+
+  const t = extractTime(s);
+  const hours = t ? hourOptions(t, dayPart) : null;
+  if (hours?.ambiguity) ambiguities.push(hours.ambiguity);
+
+  const dates = dateRes?.dates || ((t || tonight) ? [ref.startOf('day')] : []);
+  const times = hours ? hours.hours.map((h) => `${pad(h)}:${pad(t.m)}`) : [];
+
+  const options = [];
+  for (const d of dates) {
+    if (!times.length) options.push(d.toISODate());
+    for (const hm of times) {
+      const [h, min] = hm.split(':').map(Number);
+      options.push(d.set({ hour: h, minute: min, second: 0, millisecond: 0 }).toISO({ suppressMilliseconds: true }));
+    }
+  }
+
+  const date = dates[0] ? dates[0].toISODate() : null;
+  const time = times[0] || null;
+
+  return {
+    input: text,
+    recognized: !!(date || time || dayPart),
+    date,
+    time,
+    dayPart: dayPart ? { name: dayPart.name, start: dayPart.start, end: dayPart.end } : null,
+    iso: date && time ? options[0] : null,
+    ambiguous: ambiguities.length > 0,
+    ambiguities,
+    options,
+  };
+}
+
+/**
+ * Rango consultable a partir de un texto: el día interpretado completo, recortado
+ * a la franja ("en la tarde") o desde la hora si no es ambigua. null si no hay fecha.
+ * → { from: DateTime, to: DateTime, parsed }
+ */
+export function naturalRange(text, { now, zone = 'America/Bogota' } = {}) {
+  const parsed = parseNaturalDate(text, { now, zone });
+  if (!parsed.date) return null;
+
+  const day = DateTime.fromISO(parsed.date, { zone });
+  let from = day.startOf('day');
+  let to = day.endOf('day');
+
+  if (parsed.dayPart) {
+    const [sh, sm] = parsed.dayPart.start.split(':').map(Number);
+    const [eh, em] = parsed.dayPart.end.split(':').map(Number);
+    from = day.set({ hour: sh, minute: sm });
+    to = day.set({ hour: eh, minute: em });
+  }
+
+  // Con hora ambigua ("a las 3") preferimos mostrar el día entero que adivinar
+  const timeAmbiguous = parsed.ambiguities.some((a) => a.field === 'time');
+  if (parsed.time && !timeAmbiguous) {
+    const [h, m] = parsed.time.split(':').map(Number);
+    const at = day.set({ hour: h, minute: m, second: 0, millisecond: 0 });
+    if (at < to) from = at;
+  }
+
+  return { from, to, parsed };
+}
@@ -0,0 +1,237 @@
+// src/utils/outbox.js
+// Outbox de webhooks: cada evento de negocio (booking.created, booking.cancelled, ...)
+// se guarda en disco ANTES de enviarse y se entrega por POST a WEBHOOK_OUTBOX_URL,
+// firmado con HMAC-SHA256 y con reintentos exponenciales. Tras WEBHOOK_MAX_ATTEMPTS
+// fallos queda en "dead" (dead-letter) hasta que alguien lo reenvíe (webhooks.replay).
+//
+// Cabeceras de cada entrega:
+//   X-Valeria-Event: booking.created
+//   X-Valeria-Delivery: evt-1a2b3c4d   (mismo id en reintentos: el receptor deduplica)
+//   X-Valeria-Timestamp: 1735689600
+//   X-Valeria-Signature: sha256=hex(HMAC(WEBHOOK_SECRET, `${timestamp}.${body}`))
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { createRequestLogger } from './logger.js';
+
+const WEBHOOK_URL = process.env.WEBHOOK_OUTBOX_URL || '';
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const OUTBOX_JSON_PATH =
+  process.env.WEBHOOK_OUTBOX_JSON || path.join(process.cwd(), 'data', 'webhook_outbox.json');
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 5000);
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+// Entregados que se conservan para inspección (los más recientes)
+const KEEP_DELIVERED = Number(process.env.WEBHOOK_KEEP_DELIVERED || 200);
+
+const log = createRequestLogger({ tool: 'outbox', action: 'deliver' });
+
+let outboxCache = null;
+let draining = false;
+let timer = null;
+
+function loadOutbox() {
+  if (outboxCache) return outboxCache;
+  try {
+    if (!fs.existsSync(OUTBOX_JSON_PATH)) {
+      outboxCache = [];
+      return outboxCache;
+    }
+    const raw = fs.readFileSync(OUTBOX_JSON_PATH, 'utf8').trim();
+    const parsed = raw ? JSON.parse(raw) : {};
+    outboxCache = Array.isArray(parsed.events) ? parsed.events : [];
+  } catch (err) {
+    log.error({ err: { message: err.message }, path: OUTBOX_JSON_PATH }, 'OUTBOX_JSON_LOAD_ERROR');
+    outboxCache = [];
+  }
+  return outboxCache;
+}
+
+// Escritura atómica: archivo temporal + rename. Poda los entregados más viejos.
+function saveOutbox(list) {
+  const delivered = list.filter((e) => e.status === 'delivered');
+  const drop = new Set(delivered.slice(0, Math.max(0, delivered.length - KEEP_DELIVERED)).map((e) => e.id));
+  const kept = drop.size ? list.filter((e) => !drop.has(e.id)) : list;
+
+  const full = path.resolve(OUTBOX_JSON_PATH);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  const tmp = `${full}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ events: kept }, null, 2));
+  fs.renameSync(tmp, full);
+  outboxCache = kept;
+}
+
+function backoffMs(attempts) {
+  const base = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  // ±20% de jitter para no reintentar todos a la vez
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+export function signPayload(body, timestamp, secret = WEBHOOK_SECRET) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function deliver(entry) {
+  const body = JSON.stringify({
+    id: entry.id,
+    type: entry.type,
+    createdAt: entry.createdAt,
+    data: entry.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Valeria-Event': entry.type,
+    'X-Valeria-Delivery': entry.id,
+    'X-Valeria-Timestamp': String(timestamp),
+    ...(WEBHOOK_SECRET && { 'X-Valeria-Signature': `sha256=${signPayload(body, timestamp)}` }),
+  };
+
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const res = await fetch(entry.url || WEBHOOK_URL, { method: 'POST', headers, body, signal: controller.signal });
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.status;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// Programa el próximo drain para el pendiente más cercano
+function scheduleNext() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+
+  const pending = loadOutbox().filter((e) => e.status === 'pending');
+  if (!pending.length) return;
+
+  const next = Math.min(...pending.map((e) => Date.parse(e.nextAttemptAt) || 0));
+  timer = setTimeout(() => { drain(); }, Math.max(0, next - Date.now()));
+  // No mantiene vivo el proceso (scripts, stdio al cerrar stdin)
+  timer.unref?.();
+}
+
+/**
+ * Entrega todos los pendientes cuyo nextAttemptAt ya pasó (en orden de creación).
+ */
+export async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    const list = loadOutbox();
+    const due = list.filter((e) => e.status === 'pending' && Date.parse(e.nextAttemptAt) <= Date.now());
+
+    for (const entry of due) {
+      entry.attempts = (entry.attempts || 0) + 1;
+      try {
+        const status = await deliver(entry);
+        entry.status = 'delivered';
+        entry.deliveredAt = new Date().toISOString();
+        entry.lastStatus = status;
+        delete entry.lastError;
+        log.info({ id: entry.id, type: entry.type, attempts: entry.attempts }, 'outbox → entregado');
+      } catch (e) {
+        entry.lastError = e.name === 'AbortError' ? `timeout ${TIMEOUT_MS}ms` : e.message;
+        entry.lastStatus = e.status || null;
+        if (entry.attempts >= MAX_ATTEMPTS) {
+          entry.status = 'dead';
+          log.error({ id: entry.id, type: entry.type, attempts: entry.attempts, error: entry.lastError }, 'outbox → dead-letter');
+        } else {
+          entry.nextAttemptAt = new Date(Date.now() + backoffMs(entry.attempts)).toISOString();
+          log.warn({ id: entry.id, type: entry.type, attempts: entry.attempts, error: entry.lastError, nextAttemptAt: entry.nextAttemptAt }, 'outbox → reintento programado');
+        }
+      }
+      saveOutbox(loadOutbox().slice());
+    }
+  } catch (e) {
+    log.error({ err: { message: e.message, stack: e.stack } }, 'outbox → ERROR en drain');
+  } finally {
+    draining = false;
+    scheduleNext();
+  }
+}
+
+/**
+ * Persiste un evento y dispara la entrega en segundo plano.
+ * url: destino propio (p.ej. el sink de recordatorios); por defecto WEBHOOK_OUTBOX_URL.
+ * Sin destino no hace nada (devuelve null). Nunca lanza:
+ * un problema del outbox no puede tumbar la operación que lo originó.
+ */
+export function publishEvent(type, payload, { url = WEBHOOK_URL } = {}) {
+  if (!url) return null;
+
+  try {
+    const entry = {
+      id: `evt-${crypto.randomUUID().slice(0, 8)}`,
+      type,
+      payload,
+      url,
+      status: 'pending',
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString(),
+    };
+    saveOutbox([...loadOutbox(), entry]);
+    setImmediate(() => { drain(); });
+    return entry.id;
+  } catch (e) {
+    log.error({ err: { message: e.message }, type }, 'outbox → no se pudo guardar el evento');
+    return null;
+  }
+}
+
+/**
+ * Al arrancar: retoma los pendientes que quedaron de una ejecución anterior.
+ */
+export function startOutbox() {
+  const pending = loadOutbox().filter((e) => e.status === 'pending').length;
+  if (pending) log.info({ pending }, 'outbox → retomando pendientes');
+  scheduleNext();
+}
+
+// -------- Inspección / replay (webhooks tool) --------
+
+export function listEvents({ status, type, limit = 50 } = {}) {
+  const list = loadOutbox();
+  const counts = { pending: 0, delivered: 0, dead: 0 };
+  for (const e of list) counts[e.status] = (counts[e.status] || 0) + 1;
+
+  const events = list
+    .filter((e) => (!status || e.status === status) && (!type || e.type === type))
+    .slice(-limit)
+    .reverse();
+  return { events, counts, url: WEBHOOK_URL || null };
+}
+
+/**
+ * Vuelve a poner en cola eventos (por id, o todos los "dead").
+ */
+export function replayEvents({ ids, allDead = false } = {}) {
+  const list = loadOutbox();
+  const wanted = new Set(ids || []);
+  const now = new Date().toISOString();
+  const replayed = [];
+  const notFound = [...wanted].filter((id) => !list.some((e) => e.id === id));
+
+  for (const e of list) {
+    if (!(wanted.has(e.id) || (allDead && e.status === 'dead'))) continue;
+    e.status = 'pending';
+    e.attempts = 0;
+    e.nextAttemptAt = now;
+    e.replayedAt = now;
+    replayed.push(e.id);
+  }
+
+  if (replayed.length) {
+    saveOutbox(list.slice());
+    setImmediate(() => { drain(); });
+  }
+  return { replayed, notFound };
+}
@@ -0,0 +1,26 @@
+// src/utils/phone.js
+// Normalización de teléfonos a E.164 (+573001234567).
+// Números sin indicativo se asumen del país de la barbería (DEFAULT_COUNTRY_CODE, 57 = Colombia).
+
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_COUNTRY_CODE || '57').replace(/\D/g, '');
+
+export function normalizePhoneE164(str) {
+  const raw = String(str || '').trim();
+  if (!raw) return '';
+
+  let digits = raw.replace(/\D/g, '');
+  if (!digits) return '';
+
+  // +57 300... / 0057 300...
+  if (raw.startsWith('+')) return `+${digits}`;
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+
+  // Número nacional (hasta 10 dígitos) → anteponemos el indicativo
+  if (digits.length <= 10) {
+    digits = digits.replace(/^0+/, '');
+    return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  }
+
+  // Ya trae indicativo sin '+'
+  return `+${digits}`;
+}
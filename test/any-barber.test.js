@@ -0,0 +1,44 @@
+// test/any-barber.test.js
+// calendar.create con "cualquier barbero": least_busy, round_robin (el turno sobrevive a
+// una caché vacía porque vive en round_robin.json) y preferred con su fallback.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useSandbox } from './helpers/sandbox.js';
+
+const sandbox = useSandbox();
+const { executeAction } = await import('../src/mcp/execute.js');
+const { default: cache } = await import('../src/utils/cache.js');
+
+test.after(() => sandbox.cleanup());
+
+const create = (params) =>
+  executeAction({ tool: 'calendar', action: 'create', params: { who: 'Ana', duration: 30, ...params } })
+    .then((r) => r.payload);
+const anyBarber = (params) => create({ barber: 'cualquiera', ...params }).then((r) => r.barber.displayName);
+
+test('least_busy: el que tiene menos minutos ocupados ese día', async () => {
+  await create({ barber: 'Juan', date: '2030-01-07', time: '09:00' });
+  await create({ barber: 'Juan', date: '2030-01-07', time: '09:30' });
+  await create({ barber: 'Carlos', date: '2030-01-07', time: '09:00' });
+
+  assert.equal(await anyBarber({ date: '2030-01-07', time: '11:00' }), 'Carlos');
+  assert.equal(await anyBarber({ date: '2030-01-07', time: '11:00' }), 'Juan', 'Carlos ya está ocupado a esa hora');
+});
+
+test('round_robin: alterna aunque se vacíe la caché', async () => {
+  const assigned = [];
+  for (const time of ['10:00', '11:00', '12:00']) {
+    assigned.push(await anyBarber({ date: '2030-01-08', time, policy: 'round_robin' }));
+    await cache.clear();
+  }
+  assert.deepEqual(assigned, ['Juan', 'Carlos', 'Juan']);
+  assert.equal(JSON.parse(fs.readFileSync(sandbox.file('round_robin.json'), 'utf8')).last, 'nova');
+});
+
+test('preferred: el primero libre de la lista; si ninguno, least_busy', async () => {
+  assert.equal(await anyBarber({ date: '2030-01-09', time: '10:00', policy: 'preferred', preferred: ['carlitos'] }), 'Carlos');
+
+  await create({ barber: 'Carlos', date: '2030-01-09', time: '11:00' });
+  assert.equal(await anyBarber({ date: '2030-01-09', time: '11:00', policy: 'preferred', preferred: ['Carlos'] }), 'Juan');
+});
@@ -0,0 +1,161 @@
+// test/booking-lock.test.js
+// Locks de agenda (src/utils/lock.js, backend file) y la verificación post-escritura de
+// calendar.create / reschedule cuando otra instancia sin lock compartido agenda el mismo horario.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { useSandbox } from './helpers/sandbox.js';
+
+const sandbox = useSandbox({ BOOKING_LOCK_BACKEND: 'file', BOOKING_LOCK_TIMEOUT_MS: '300', BOOKING_LOCK_STALE_MS: '1000' });
+const { withBookingLock } = await import('../src/utils/lock.js');
+const { executeAction } = await import('../src/mcp/execute.js');
+const { getCalendarBackend } = await import('../src/backends/calendar/index.js');
+
+test.after(() => sandbox.cleanup());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const at = (hm) => Date.parse(`2030-01-07T${hm}:00-05:00`);
+const lockDir = sandbox.file('locks');
+
+const create = (params) =>
+  executeAction({ tool: 'calendar', action: 'create', params: { who: 'Ana', barber: 'Carlos', duration: 30, ...params } })
+    .then((r) => r.payload);
+
+test('rangos que se solapan se serializan; los que no, corren a la vez', async () => {
+  const order = [];
+  const job = (name, ms) => async () => {
+    order.push(`${name}:in`);
+    await sleep(ms);
+    order.push(`${name}:out`);
+  };
+
+  await Promise.all([
+    withBookingLock('cal-a', at('10:00'), at('10:30'), job('a', 40)),
+    withBookingLock('cal-a', at('10:15'), at('10:45'), job('b', 10)),
+    withBookingLock('cal-a', at('11:00'), at('11:30'), job('c', 10)),
+    withBookingLock('cal-b', at('10:00'), at('10:30'), job('d', 10)),
+  ]);
+
+  assert.ok(order.indexOf('b:in') > order.indexOf('a:out'), 'b espera a que a termine');
+  assert.ok(order.indexOf('c:in') < order.indexOf('a:out'), 'c no se solapa con a');
+  assert.ok(order.indexOf('d:in') < order.indexOf('a:out'), 'd es de otro calendario');
+  assert.deepEqual(fs.readdirSync(lockDir), [], 'los lockfiles se borran al terminar');
+});
+
+test('el lock se libera aunque fn falle', async () => {
+  await assert.rejects(withBookingLock('cal-a', at('12:00'), at('12:30'), async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await withBookingLock('cal-a', at('12:00'), at('12:30'), async () => 'ok'), 'ok');
+});
+
+test('LOCK_TIMEOUT si el rango sigue tomado', async () => {
+  const slow = withBookingLock('cal-a', at('13:00'), at('13:30'), () => sleep(500));
+  await assert.rejects(
+    withBookingLock('cal-a', at('13:15'), at('13:45'), async () => 'nunca'),
+    (err) => err.code === 'LOCK_TIMEOUT'
+  );
+  await slow;
+});
+
+test('un lockfile abandonado (otro proceso que murió) se libera solo', async () => {
+  // Mismo nombre que usa lock.js: <sha1(calId)>-<tramo de una hora>.lock
+  const hash = crypto.createHash('sha1').update('cal-a').digest('hex').slice(0, 16);
+  const orphan = path.join(lockDir, `${hash}-${Math.floor(at('14:00') / 3_600_000)}.lock`);
+  fs.writeFileSync(orphan, JSON.stringify({ pid: 999999 }));
+  const old = new Date(Date.now() - 5000);
+  fs.utimesSync(orphan, old, old);
+
+  assert.equal(await withBookingLock('cal-a', at('14:00'), at('14:30'), async () => 'ok'), 'ok');
+  assert.equal(fs.existsSync(orphan), false);
+});
+
+test('reservas simultáneas del mismo horario → una sola cita', async () => {
+  const results = await Promise.allSettled([
+    create({ date: '2030-01-07', time: '10:00' }),
+    create({ date: '2030-01-07', time: '10:15' }),
+    create({ date: '2030-01-07', time: '10:00', who: 'Beto' }),
+  ]);
+
+  assert.equal(results.filter((r) => r.status === 'fulfilled').length, 1);
+  assert.ok(results.filter((r) => r.status === 'rejected').every((r) => r.reason.code === 'SLOT_OCCUPIED'));
+});
+
+test('post-insert: si otra instancia agendó antes el mismo horario, la nuestra se revierte', async (t) => {
+  const backend = getCalendarBackend();
+  const { insertEvent } = backend;
+  t.after(() => { backend.insertEvent = insertEvent; });
+
+  // La otra instancia pasó su verificación e insertó justo antes que nosotros
+  let rival = null;
+  backend.insertEvent = async (calId, body) => {
+    if (!rival) rival = await insertEvent.call(backend, calId, { ...body, summary: 'Otra instancia' });
+    await sleep(5);
+    return insertEvent.call(backend, calId, body);
+  };
+
+  await assert.rejects(create({ date: '2030-01-08', time: '15:00' }), (err) => err.code === 'SLOT_OCCUPIED');
+
+  const left = await backend.listEvents('atlas@test', { timeMin: '2030-01-08T15:00:00-05:00', timeMax: '2030-01-08T15:30:00-05:00' });
+  assert.deepEqual(left.map((ev) => ev.id), [rival.id]);
+});
+
+test('post-insert: si la otra instancia agendó después, la nuestra se conserva', async (t) => {
+  const backend = getCalendarBackend();
+  const { insertEvent } = backend;
+  t.after(() => { backend.insertEvent = insertEvent; });
+
+  let ours = null;
+  backend.insertEvent = async (calId, body) => {
+    ours = await insertEvent.call(backend, calId, body);
+    await sleep(5);
+    await insertEvent.call(backend, calId, { ...body, summary: 'Otra instancia' });
+    return ours;
+  };
+
+  const booked = await create({ date: '2030-01-08', time: '16:00' });
+  assert.equal(booked.id, ours.id);
+});
+
+test('reschedule post-write: si otra instancia tomó el horario, la cita vuelve al original', async (t) => {
+  const backend = getCalendarBackend();
+  const { patchEvent } = backend;
+  t.after(() => { backend.patchEvent = patchEvent; });
+
+  const mine = await create({ date: '2030-01-09', time: '09:00' });
+  let rival = null;
+  backend.patchEvent = async (calId, eventId, body) => {
+    if (!rival) rival = await backend.insertEvent(calId, { summary: 'Otra instancia', start: body.start, end: body.end });
+    return patchEvent.call(backend, calId, eventId, body);
+  };
+
+  await assert.rejects(
+    executeAction({ tool: 'calendar', action: 'reschedule', params: { eventId: mine.id, barber: 'Carlos', date: '2030-01-09', time: '11:00' } }),
+    (err) => err.code === 'SLOT_OCCUPIED'
+  );
+  assert.equal((await backend.getEvent('atlas@test', mine.id)).start.dateTime, mine.start);
+  assert.ok(await backend.getEvent('atlas@test', rival.id));
+});
+
+test('reschedule post-write a otro barbero: la cita vuelve a su calendario y horario', async (t) => {
+  const backend = getCalendarBackend();
+  const { patchEvent } = backend;
+  t.after(() => { backend.patchEvent = patchEvent; });
+
+  const mine = await create({ date: '2030-01-09', time: '13:00' });
+  let rival = null;
+  backend.patchEvent = async (calId, eventId, body) => {
+    if (!rival) rival = await backend.insertEvent(calId, { summary: 'Otra instancia', start: body.start, end: body.end });
+    return patchEvent.call(backend, calId, eventId, body);
+  };
+
+  await assert.rejects(
+    executeAction({
+      tool: 'calendar', action: 'reschedule',
+      params: { eventId: mine.id, barber: 'Carlos', newBarber: 'Juan', date: '2030-01-09', time: '14:00' },
+    }),
+    (err) => err.code === 'SLOT_OCCUPIED'
+  );
+  assert.equal((await backend.getEvent('atlas@test', mine.id)).start.dateTime, mine.start);
+  await assert.rejects(backend.getEvent('nova@test', mine.id), (err) => err.code === 'EVENT_NOT_FOUND');
+});
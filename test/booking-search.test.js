@@ -0,0 +1,84 @@
+// test/booking-search.test.js
+// booking.search: primero por extendedProperties; el events.list completo (citas viejas
+// con Tel:/ID: en la descripción) solo si no aparece nada o con legacy=true.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { useSandbox } from './helpers/sandbox.js';
+
+const sandbox = useSandbox({ CACHE_TTL_SECONDS: '0' });
+const { executeAction } = await import('../src/mcp/execute.js');
+const { getCalendarBackend } = await import('../src/backends/calendar/index.js');
+
+test.after(() => sandbox.cleanup());
+
+const search = (params) => executeAction({ tool: 'booking', action: 'search', params }).then((r) => r.payload);
+const create = (params) =>
+  executeAction({ tool: 'calendar', action: 'create', params: { who: 'Ana', barber: 'Carlos', duration: 30, ...params } })
+    .then((r) => r.payload);
+
+// Cita de antes de extendedProperties: los datos solo están en la descripción
+const legacyEvent = (calId, day, description) => getCalendarBackend().insertEvent(calId, {
+  summary: 'Cita vieja',
+  description,
+  start: { dateTime: `${day}T10:00:00-05:00` },
+  end: { dateTime: `${day}T10:30:00-05:00` },
+});
+
+// Cuenta los events.list sin filtro (el escaneo legacy) mientras corre fn
+async function countFullScans(fn) {
+  const backend = getCalendarBackend();
+  const { listEvents } = backend;
+  let scans = 0;
+  backend.listEvents = (calId, opts = {}) => {
+    if (!opts.privateExtendedProperty) scans++;
+    return listEvents.call(backend, calId, opts);
+  };
+  try {
+    return { result: await fn(), scans };
+  } finally {
+    backend.listEvents = listEvents;
+  }
+}
+
+test('con citas estructuradas no se escanean los calendarios completos', async () => {
+  const booked = await create({ date: '2030-01-07', time: '10:00', phone: '3001111111' });
+
+  const { result, scans } = await countFullScans(() =>
+    search({ phone: '3001111111', from: '2030-01-01T00:00:00-05:00', to: '2030-01-31T00:00:00-05:00' })
+  );
+  assert.deepEqual(result.events.map((e) => [e.id, e.matchedBy]), [[booked.id, 'extendedProperties']]);
+  assert.equal(scans, 0);
+});
+
+test('sin resultados estructurados cae a las citas viejas', async () => {
+  const old = await legacyEvent('nova@test', '2030-01-08', 'Tel: 300 222 2222\nNotas: primera vez');
+
+  const { result, scans } = await countFullScans(() =>
+    search({ phone: '3002222222', from: '2030-01-01T00:00:00-05:00', to: '2030-01-31T00:00:00-05:00' })
+  );
+  assert.deepEqual(result.events.map((e) => [e.id, e.matchedBy, e.phone]), [[old.id, 'legacy', '+573002222222']]);
+  assert.equal(scans, 2, 'un events.list por barbero');
+});
+
+test('legacy=true mezcla ambas sin duplicar; legacy=false no escanea', async () => {
+  const booked = await create({ date: '2030-01-09', time: '10:00', phone: '3003333333' });
+  const old = await legacyEvent('atlas@test', '2030-01-10', 'Tel: 3003333333');
+  const range = { from: '2030-01-01T00:00:00-05:00', to: '2030-01-31T00:00:00-05:00' };
+
+  const merged = await search({ phone: '3003333333', ...range, legacy: true });
+  assert.deepEqual(merged.events.map((e) => [e.id, e.matchedBy]), [[booked.id, 'extendedProperties'], [old.id, 'legacy']]);
+
+  const { result, scans } = await countFullScans(() => search({ clientId: 'nadie', ...range, legacy: false }));
+  assert.deepEqual(result.events, []);
+  assert.equal(scans, 0);
+});
+
+test('when con una fecha ISO sin hora busca en el día completo', async () => {
+  const booked = await create({ date: '2030-01-11', time: '15:00', phone: '3004444444' });
+
+  const { events } = await search({ phone: '3004444444', when: '2030-01-11' });
+  assert.deepEqual(events.map((e) => e.id), [booked.id]);
+
+  const { events: byRange } = await search({ phone: '3004444444', from: '2030-01-11', to: '2030-01-11' });
+  assert.deepEqual(byRange.map((e) => e.id), [booked.id]);
+});
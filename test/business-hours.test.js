@@ -0,0 +1,71 @@
+// test/business-hours.test.js
+// business_hours.json semanal: turnos partidos, horario distinto por día, herencia del
+// default por barbero y pausas. calendar.check solo ofrece lo que está dentro de las
+// franjas y calendar.create rechaza lo que queda fuera.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useSandbox } from './helpers/sandbox.js';
+
+const sandbox = useSandbox();
+fs.writeFileSync(sandbox.file('business_hours.json'), JSON.stringify({
+  default: {
+    weekly: {
+      Mon: [['09:00', '13:00'], ['15:00', '19:00']],
+      Sat: [{ start: '08:00', end: '12:00' }],
+    },
+  },
+  // Carlos: su martes propio, el resto del default; almuerzo los martes
+  atlas: {
+    weekly: { Tue: [['10:00', '18:00']] },
+    breaks: [{ start: '13:00', end: '14:00', days: ['Tue'] }],
+  },
+}));
+const { executeAction } = await import('../src/mcp/execute.js');
+
+test.after(() => sandbox.cleanup());
+
+const slotsOf = (barber, date) =>
+  executeAction({ tool: 'calendar', action: 'check', params: { barber, date, duration: 30 } })
+    .then((r) => r.payload.slots.map((s) => s.start.slice(11, 16)));
+const create = (params) =>
+  executeAction({ tool: 'calendar', action: 'create', params: { who: 'Ana', duration: 30, ...params } })
+    .then((r) => r.payload);
+
+test('turno partido del lunes y sábado corto', async () => {
+  const monday = await slotsOf('Juan', '2030-01-07');
+  assert.equal(monday[0], '09:00');
+  assert.ok(monday.includes('12:30') && monday.includes('15:00'));
+  assert.ok(!monday.some((s) => s >= '13:00' && s < '15:00'));
+  assert.equal(monday.at(-1), '18:30');
+
+  const saturday = await slotsOf('Juan', '2030-01-12');
+  assert.deepEqual([saturday[0], saturday.at(-1)], ['08:00', '11:30']);
+
+  assert.deepEqual(await slotsOf('Juan', '2030-01-08'), [], 'el default no abre los martes');
+});
+
+test('un barbero redefine un día, hereda los demás y resta su pausa', async () => {
+  const tuesday = await slotsOf('Carlos', '2030-01-08');
+  assert.deepEqual([tuesday[0], tuesday.at(-1)], ['10:00', '17:30']);
+  assert.ok(tuesday.includes('12:30') && tuesday.includes('14:00'));
+  assert.ok(!tuesday.includes('13:00') && !tuesday.includes('13:30'));
+
+  const monday = await slotsOf('Carlos', '2030-01-07');
+  assert.deepEqual(monday, await slotsOf('Juan', '2030-01-07'));
+});
+
+test('create rechaza citas fuera de las franjas o que cruzan una pausa', async () => {
+  for (const params of [
+    { barber: 'Juan', date: '2030-01-07', time: '13:30' },
+    { barber: 'Juan', date: '2030-01-07', time: '12:45' },
+    { barber: 'Carlos', date: '2030-01-08', time: '13:00' },
+    { barber: 'Carlos', date: '2030-01-08', time: '09:30' },
+    { barber: 'Juan', date: '2030-01-13', time: '10:00' },
+  ]) {
+    await assert.rejects(create(params), (err) => err.code === 'OUTSIDE_BUSINESS_HOURS', JSON.stringify(params));
+  }
+
+  const ok = await create({ barber: 'Juan', date: '2030-01-07', time: '15:00' });
+  assert.equal(ok.start, '2030-01-07T15:00:00-05:00');
+});
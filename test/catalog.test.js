@@ -0,0 +1,98 @@
+// test/catalog.test.js
+// Catálogo en data/catalog.json: search/get con la forma de siempre, edición de servicios
+// solo con la clave admin, validación del schema y ediciones a mano (las inválidas no
+// reemplazan la versión anterior).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useSandbox } from './helpers/sandbox.js';
+
+const sandbox = useSandbox();
+const { executeAction } = await import('../src/mcp/execute.js');
+const { listActions } = await import('../src/mcp/registry.js');
+
+test.after(() => sandbox.cleanup());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const call = (action, params, admin = false) =>
+  executeAction({ tool: 'catalog', action, params, admin }).then((r) => r.payload);
+const shop = () => call('search', {}).then((r) => r.results[0]);
+// Duración con la que calendar.check resuelve el servicio (relee el catálogo)
+const durationOf = (serviceId) =>
+  executeAction({ tool: 'calendar', action: 'check', params: { barber: 'Carlos', date: '2030-01-07', serviceId } })
+    .then((r) => r.payload.generated_with.duration);
+
+test('search y get conservan servicios, servicios_detalle y barberos_detalle', async () => {
+  const found = await shop();
+  assert.equal(found.id, 'shop-test');
+  assert.deepEqual(found.servicios, ['Corte', 'Barba']);
+  assert.deepEqual(found.servicios_detalle[0], { id: 'svc-corte', nombre: 'Corte', precio: 25000, duracion_min: 30, descripcion: '' });
+  assert.deepEqual(found.barberos_detalle.map((b) => [b.barber_id, b.nombre]), [['nova', 'Juan'], ['atlas', 'Carlos']]);
+
+  const { item } = await call('get', { id: 'shop-test' });
+  assert.deepEqual(item.servicios.map((s) => s.id), ['svc-corte', 'svc-barba']);
+  await assert.rejects(call('get', { id: 'otra' }), (err) => err.code === 'CATALOG_NOT_FOUND');
+});
+
+test('addService/updateService/removeService: solo admin y fuera de tools/list', async () => {
+  const names = listActions().map((a) => a.name);
+  assert.ok(names.includes('catalog_search'));
+  for (const action of ['addService', 'updateService', 'removeService']) {
+    assert.ok(!names.includes(`catalog_${action}`));
+    await assert.rejects(call(action, { id: 'svc-corte', nombre: 'X', precio: 1, duracion_min: 30 }), (err) => err.code === 'ADMIN_ONLY');
+  }
+});
+
+test('alta, cambio de precio y duración, y baja de un servicio', async () => {
+  const { service } = await call('addService', { nombre: 'Corte Fade', precio: 30000, duracion_min: 40 }, true);
+  assert.equal(service.id, 'svc-corte-fade');
+  await assert.rejects(
+    call('addService', { nombre: 'corte fade', precio: 1, duracion_min: 30 }, true),
+    (err) => err.code === 'SERVICE_EXISTS'
+  );
+  assert.equal(await durationOf('svc-corte-fade'), 40);
+
+  const { previous } = await call('updateService', { id: 'svc-corte-fade', precio: 32000, duracion_min: 45 }, true);
+  assert.equal(previous.precio, 30000);
+  assert.equal((await shop()).servicios_detalle.find((s) => s.id === 'svc-corte-fade').precio, 32000);
+  assert.equal(await durationOf('svc-corte-fade'), 45);
+
+  await call('removeService', { id: 'svc-corte-fade' }, true);
+  assert.ok(!(await shop()).servicios.includes('Corte Fade'));
+  await assert.rejects(durationOf('svc-corte-fade'), (err) => err.code === 'SERVICE_NOT_FOUND');
+
+  const saved = JSON.parse(fs.readFileSync(sandbox.file('catalog.json'), 'utf8'));
+  assert.deepEqual(saved.servicios.map((s) => s.id), ['svc-corte', 'svc-barba']);
+});
+
+test('datos que no cumplen el schema → error y el archivo no cambia', async () => {
+  const before = fs.readFileSync(sandbox.file('catalog.json'), 'utf8');
+  await assert.rejects(
+    call('addService', { nombre: 'Gratis', precio: -1, duracion_min: 30 }, true),
+    (err) => err.code === 'INVALID_PARAMS'
+  );
+  await assert.rejects(
+    call('updateService', { id: 'svc-corte', duracion_min: 2 }, true),
+    (err) => err.code === 'INVALID_PARAMS'
+  );
+  assert.equal(fs.readFileSync(sandbox.file('catalog.json'), 'utf8'), before);
+});
+
+test('edición a mano: la válida se toma, la inválida deja la anterior', async () => {
+  const file = sandbox.file('catalog.json');
+  const catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  await sleep(20);
+  catalog.servicios[1].duracion_min = 25;
+  fs.writeFileSync(file, JSON.stringify(catalog, null, 2));
+  assert.equal(await durationOf('svc-barba'), 25);
+
+  await sleep(20);
+  catalog.servicios[1].duracion_min = 'veinte';
+  fs.writeFileSync(file, JSON.stringify(catalog, null, 2));
+  assert.equal(await durationOf('svc-barba'), 25);
+
+  await sleep(20);
+  fs.writeFileSync(file, '{ "id": "shop-test", ');
+  assert.equal(await durationOf('svc-barba'), 25);
+});
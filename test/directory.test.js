@@ -0,0 +1,108 @@
+// test/directory.test.js
+// updateDirectory (src/utils/directory.js): valida como la carga, copia previa,
+// escritura atómica solo de lo que cambia e invalidación de la caché.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useSandbox } from './helpers/sandbox.js';
+
+const sandbox = useSandbox({ DIRECTORY_BACKUPS_KEEP: '2' });
+const directory = await import('../src/utils/directory.js');
+const { default: cache, DIRECTORY_TAG } = await import('../src/utils/cache.js');
+
+test.after(() => sandbox.cleanup());
+
+const BARBERS = sandbox.file('barbers.json');
+const HOURS = sandbox.file('business_hours.json');
+const read = (file) => fs.readFileSync(file, 'utf8');
+const backups = () => (fs.existsSync(sandbox.file('backups')) ? fs.readdirSync(sandbox.file('backups')).sort() : []);
+
+function resetFiles(barbers) {
+  fs.writeFileSync(BARBERS, JSON.stringify(barbers, null, 2));
+  fs.rmSync(sandbox.file('backups'), { recursive: true, force: true });
+  directory.reloadDirectory();
+}
+
+test.beforeEach(() => resetFiles({
+  nova: { displayName: 'Juan', aliases: ['juancho'], calendarId: 'nova@test', bio: 'Degradados' },
+  atlas: { displayName: 'Carlos', aliases: [], calendarId: 'atlas@test' },
+}));
+
+test('alta de barbero: reescribe barbers.json con copia previa y conserva campos extra', async () => {
+  const before = read(BARBERS);
+  const hoursBefore = read(HOURS);
+  const { version } = directory.directoryInfo();
+
+  const next = await directory.updateDirectory((d) => {
+    d.barbers.blaze = { displayName: 'Pedro', aliases: ['pedrito'], calendarId: 'blaze@test' };
+  });
+
+  assert.equal(next.version, version + 1);
+  assert.equal(directory.findBarber('pedrito')?.id, 'blaze');
+
+  const written = JSON.parse(read(BARBERS));
+  assert.deepEqual(Object.keys(written), ['nova', 'atlas', 'blaze']);
+  assert.equal(written.nova.bio, 'Degradados');
+
+  const [backup] = backups();
+  assert.match(backup, /^barbers\.json\./);
+  assert.equal(read(sandbox.file(`backups/${backup}`)), before);
+  assert.equal(read(HOURS), hoursBefore, 'business_hours.json no cambió');
+});
+
+test('cambio inválido → DIRECTORY_INVALID sin tocar archivos ni snapshot', async () => {
+  const before = read(BARBERS);
+  const hoursBefore = read(HOURS);
+  const { version } = directory.directoryInfo();
+
+  await assert.rejects(
+    directory.updateDirectory((d) => { d.businessHours.nova = { weekly: { Mon: [['14:00', '09:00']] } }; }),
+    (err) => err.code === 'DIRECTORY_INVALID' && /termina antes de empezar/.test(err.message)
+  );
+  await assert.rejects(
+    directory.updateDirectory((d) => { d.businessHours.nova = { start: '09:00', end: '25:00' }; }),
+    (err) => err.code === 'DIRECTORY_INVALID'
+  );
+  await assert.rejects(
+    directory.updateDirectory((d) => { d.barbers.ghost = { displayName: 'Sin calendario' }; }),
+    (err) => err.code === 'DIRECTORY_INVALID' && /ghost/.test(err.message)
+  );
+
+  assert.equal(read(BARBERS), before);
+  assert.equal(read(HOURS), hoursBefore);
+  assert.deepEqual(backups(), []);
+  assert.equal(directory.directoryInfo().version, version);
+});
+
+test('las entradas que la carga descarta se conservan al reescribir', async () => {
+  resetFiles({
+    nova: { displayName: 'Juan', calendarId: 'nova@test' },
+    pendiente: { displayName: 'Nuevo', notas: 'falta el calendario' },
+  });
+  assert.equal(directory.findBarber('pendiente'), null);
+
+  await directory.updateDirectory((d) => { d.barbers.nova.aliases = ['juancho']; });
+
+  assert.deepEqual(JSON.parse(read(BARBERS)).pendiente, { displayName: 'Nuevo', notas: 'falta el calendario' });
+});
+
+test('solo se reescribe lo que cambia; las copias se podan a DIRECTORY_BACKUPS_KEEP', async () => {
+  const barbersMtime = fs.statSync(BARBERS).mtimeMs;
+
+  for (const end of ['17:00', '18:00', '19:00']) {
+    await directory.updateDirectory((d) => { d.businessHours.atlas = { days: ['Mon', 'Tue'], start: '09:00', end }; });
+  }
+
+  assert.equal(fs.statSync(BARBERS).mtimeMs, barbersMtime);
+  assert.equal(JSON.parse(read(HOURS)).atlas.end, '19:00');
+  assert.equal(backups().length, 2);
+  assert.ok(backups().every((f) => f.startsWith('business_hours.json.')));
+});
+
+test('un cambio invalida lo cacheado con la etiqueta del directorio', async () => {
+  await cache.set('directory:test', { ok: true }, 60, { tags: [DIRECTORY_TAG] });
+  assert.deepEqual(await cache.get('directory:test'), { ok: true });
+
+  await directory.updateDirectory((d) => { d.barbers.atlas.aliases = ['carlitos']; });
+  assert.equal(await cache.get('directory:test'), undefined);
+});
@@ -0,0 +1,90 @@
+// test/exceptions.test.js
+// exceptions.add/remove (solo admin) y su efecto en calendar.check / create: festivos,
+// cierres parciales, horarios especiales y ediciones a mano de exceptions.json.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useSandbox } from './helpers/sandbox.js';
+
+const sandbox = useSandbox();
+const { executeAction } = await import('../src/mcp/execute.js');
+const { listActions } = await import('../src/mcp/registry.js');
+
+test.after(() => sandbox.cleanup());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const admin = (action, params) => executeAction({ tool: 'exceptions', action, params, admin: true }).then((r) => r.payload);
+const check = (date, barber = 'Carlos') =>
+  executeAction({ tool: 'calendar', action: 'check', params: { barber, date, duration: 30 } }).then((r) => r.payload);
+const startsOf = ({ slots }) => slots.map((s) => s.start.slice(11, 16));
+
+test('add/remove solo con la clave admin y fuera de tools/list', async () => {
+  const names = listActions().map((a) => a.name);
+  assert.ok(names.includes('exceptions_list'));
+  assert.ok(!names.includes('exceptions_add') && !names.includes('exceptions_remove'));
+
+  await assert.rejects(
+    executeAction({ tool: 'exceptions', action: 'add', params: { date: '2030-01-01' } }),
+    (err) => err.code === 'ADMIN_ONLY'
+  );
+  await assert.rejects(
+    executeAction({ tool: 'exceptions', action: 'remove', params: { id: 'exc-x' } }),
+    (err) => err.code === 'ADMIN_ONLY'
+  );
+});
+
+test('festivo de la barbería: sin slots y create explica el motivo', async () => {
+  const { exception } = await admin('add', { date: '2030-01-07', reason: 'Festivo' });
+
+  assert.deepEqual((await check('2030-01-07')).slots, []);
+  assert.deepEqual((await check('2030-01-07', 'Juan')).slots, []);
+  await assert.rejects(
+    executeAction({ tool: 'calendar', action: 'create', params: { who: 'Ana', barber: 'Carlos', date: '2030-01-07', time: '10:00', duration: 30 } }),
+    (err) => err.code === 'OUTSIDE_BUSINESS_HOURS' && /Festivo/.test(err.message)
+  );
+
+  await admin('remove', { id: exception.id });
+  assert.ok(startsOf(await check('2030-01-07')).includes('10:00'));
+});
+
+test('cierre parcial de un barbero y horario especial de la barbería', async () => {
+  await admin('add', { date: '2030-01-08', barber: 'Carlos', windows: [{ start: '09:00', end: '12:00' }], reason: 'Médico' });
+  await admin('add', { type: 'hours', date: '2030-01-08', windows: [{ start: '09:00', end: '14:00' }] });
+
+  const carlos = startsOf(await check('2030-01-08'));
+  assert.equal(carlos[0], '12:00');
+  assert.equal(carlos.at(-1), '13:30');
+
+  const juan = startsOf(await check('2030-01-08', 'Juan'));
+  assert.equal(juan[0], '09:00');
+  assert.equal(juan.at(-1), '13:30');
+});
+
+test('franjas con horas imposibles o al revés → error, nada se guarda', async () => {
+  const before = (await executeAction({ tool: 'exceptions', action: 'list', params: { from: '2030-01-01' } })).payload.exceptions.length;
+
+  await assert.rejects(
+    admin('add', { date: '2030-01-09', windows: [{ start: '25:99', end: '26:00' }] }),
+    (err) => err.code === 'INVALID_PARAMS'
+  );
+  await assert.rejects(
+    admin('add', { type: 'hours', date: '2030-01-09', windows: [{ start: '14:00', end: '09:00' }] }),
+    (err) => err.code === 'INVALID_RANGE' && /termina antes de empezar/.test(err.message)
+  );
+
+  const after = (await executeAction({ tool: 'exceptions', action: 'list', params: { from: '2030-01-01' } })).payload.exceptions.length;
+  assert.equal(after, before);
+});
+
+test('una edición a mano de exceptions.json se ve sin reiniciar', async () => {
+  await sleep(20);
+  const file = sandbox.file('exceptions.json');
+  const { exceptions } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  exceptions.push({ id: 'exc-mano', type: 'closed', from: '2030-01-10', to: '2030-01-10', reason: 'Inventario' });
+  fs.writeFileSync(file, JSON.stringify({ exceptions }, null, 2));
+
+  await assert.rejects(
+    executeAction({ tool: 'calendar', action: 'create', params: { who: 'Ana', barber: 'Carlos', date: '2030-01-10', time: '10:00', duration: 30 } }),
+    (err) => err.code === 'OUTSIDE_BUSINESS_HOURS' && /Inventario/.test(err.message)
+  );
+});
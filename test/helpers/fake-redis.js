@@ -0,0 +1,132 @@
+// test/helpers/fake-redis.js
+// Servidor RESP2 mínimo en memoria para probar el store de Redis sin Redis:
+// AUTH, SELECT, GET, SET (PX, NX), DEL y SCAN. Con chunked: true parte cada respuesta
+// en dos escrituras para ejercitar respuestas que llegan en varios 'data'.
+import net from 'net';
+
+function encode(v) {
+  if (v === null) return '$-1\r\n';
+  if (v instanceof Error) return `-${v.message}\r\n`;
+  if (typeof v === 'number') return `:${v}\r\n`;
+  if (Array.isArray(v)) return `*${v.length}\r\n${v.map(encode).join('')}`;
+  if (v.status) return `+${v.status}\r\n`;
+  return `$${Buffer.byteLength(v)}\r\n${v}\r\n`;
+}
+
+// Un comando completo desde buf (array de bulk strings) → { args, next } o null
+function parseCommand(buf) {
+  let nl = buf.indexOf('\r\n');
+  if (buf[0] !== 0x2a || nl < 0) return null;
+  const n = Number(buf.toString('utf8', 1, nl));
+  let i = nl + 2;
+  const args = [];
+  for (let k = 0; k < n; k++) {
+    nl = buf.indexOf('\r\n', i);
+    if (nl < 0) return null;
+    const len = Number(buf.toString('utf8', i + 1, nl));
+    if (buf.length < nl + 2 + len + 2) return null;
+    args.push(buf.toString('utf8', nl + 2, nl + 2 + len));
+    i = nl + 2 + len + 2;
+  }
+  return { args, next: i };
+}
+
+export async function startFakeRedis({ password = '', chunked = false } = {}) {
+  const data = new Map();
+  const commands = [];
+  let connections = 0;
+  let closed = 0;
+  const sockets = new Set();
+
+  const alive = (key) => {
+    const e = data.get(key);
+    if (e && e.expiresAt && e.expiresAt <= Date.now()) data.delete(key);
+    return data.get(key);
+  };
+
+  const state = { failNext: null };
+
+  function run([cmd, ...args], conn) {
+    const name = cmd.toUpperCase();
+    commands.push(name);
+    if (state.failNext) {
+      const err = new Error(state.failNext);
+      state.failNext = null;
+      return err;
+    }
+    if (name === 'AUTH') {
+      if (args.at(-1) !== password) return new Error('WRONGPASS invalid username-password pair');
+      conn.authed = true;
+      return { status: 'OK' };
+    }
+    if (password && !conn.authed) return new Error('NOAUTH Authentication required.');
+
+    switch (name) {
+      case 'SELECT':
+        return { status: 'OK' };
+      case 'GET':
+        return alive(args[0])?.value ?? null;
+      case 'SET': {
+        const [key, value, ...opts] = args;
+        const upper = opts.map((o) => o.toUpperCase());
+        if (upper.includes('NX') && alive(key)) return null;
+        const px = upper.indexOf('PX');
+        data.set(key, { value, expiresAt: px >= 0 ? Date.now() + Number(opts[px + 1]) : 0 });
+        return { status: 'OK' };
+      }
+      case 'DEL':
+        return args.filter((key) => data.delete(key)).length;
+      case 'SCAN': {
+        const re = new RegExp(`^${args[2].replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+        return ['0', [...data.keys()].filter((k) => re.test(k))];
+      }
+      default:
+        return new Error(`ERR unknown command '${cmd}'`);
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    connections++;
+    const conn = { authed: false };
+    let buf = Buffer.alloc(0);
+    sockets.add(socket);
+    socket.on('close', () => {
+      sockets.delete(socket);
+      closed++;
+    });
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      for (let cmd = parseCommand(buf); cmd; cmd = parseCommand(buf)) {
+        buf = buf.subarray(cmd.next);
+        const out = Buffer.from(encode(run(cmd.args, conn)));
+        if (!chunked) socket.write(out);
+        else {
+          // Cada respuesta en dos mitades, con una pausa entre ambas (en orden)
+          const half = Math.ceil(out.length / 2);
+          conn.writes = (conn.writes || Promise.resolve()).then(async () => {
+            socket.write(out.subarray(0, half));
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            socket.write(out.subarray(half));
+          });
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: (auth = '') => `redis://${auth}127.0.0.1:${server.address().port}`,
+    data,
+    commands,
+    // La próxima respuesta será este error ('ERR ...')
+    failNext(message) { state.failNext = message; },
+    get connections() { return connections; },
+    get closed() { return closed; },
+    close: () => new Promise((resolve) => {
+      for (const socket of sockets) socket.destroy();
+      server.close(resolve);
+    }),
+  };
+}
@@ -0,0 +1,65 @@
+// test/helpers/sandbox.js
+// Directorio temporal con barberos, horarios y catálogo de prueba, y todas las rutas
+// de datos (*_JSON, locks, backups, caché) apuntando ahí. Los módulos de src leen el
+// env al importarse: llamar a useSandbox() ANTES de los import() dinámicos.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const BARBERS = {
+  nova: { displayName: 'Juan', aliases: ['juancho'], calendarId: 'nova@test' },
+  atlas: { displayName: 'Carlos', aliases: ['carlitos'], calendarId: 'atlas@test' },
+};
+
+const BUSINESS_HOURS = {
+  default: { days: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'], start: '09:00', end: '19:00' },
+};
+
+const CATALOG = {
+  id: 'shop-test',
+  nombre: 'Barbería de prueba',
+  servicios: [
+    { id: 'svc-corte', nombre: 'Corte', duracion_min: 30, precio: 25000 },
+    { id: 'svc-barba', nombre: 'Barba', duracion_min: 20, precio: 15000 },
+  ],
+};
+
+export function useSandbox(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'valeria-test-'));
+  const write = (name, data) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data, null, 2));
+  write('barbers.json', BARBERS);
+  write('business_hours.json', BUSINESS_HOURS);
+  write('catalog.json', CATALOG);
+
+  Object.assign(process.env, {
+    TIMEZONE: 'America/Bogota',
+    LOG_LEVEL: 'silent',
+    CALENDAR_BACKEND: 'local',
+    CACHE_STORE: 'memory',
+    DIRECTORY_WATCH_INTERVAL_MS: '0',
+    BARBERS_JSON: path.join(dir, 'barbers.json'),
+    BUSINESS_HOURS_JSON: path.join(dir, 'business_hours.json'),
+    CATALOG_JSON: path.join(dir, 'catalog.json'),
+    DIRECTORY_BACKUP_DIR: path.join(dir, 'backups'),
+    LOCAL_CALENDAR_JSON: path.join(dir, 'local_calendar.json'),
+    ROUND_ROBIN_JSON: path.join(dir, 'round_robin.json'),
+    EXCEPTIONS_JSON: path.join(dir, 'exceptions.json'),
+    CLIENTS_JSON: path.join(dir, 'clients.json'),
+    HOLDS_JSON: path.join(dir, 'holds.json'),
+    WAITLIST_JSON: path.join(dir, 'waitlist.json'),
+    REMINDERS_JSON: path.join(dir, 'reminders.json'),
+    REMINDERS_SENT_JSON: path.join(dir, 'reminders_sent.json'),
+    WEBHOOK_OUTBOX_JSON: path.join(dir, 'webhook_outbox.json'),
+    CACHE_FILE: path.join(dir, 'cache.json'),
+    BOOKING_LOCK_DIR: path.join(dir, 'locks'),
+    ...env,
+  });
+  delete process.env.WEBHOOK_OUTBOX_URL;
+  delete process.env.REMINDER_SINK_URL;
+
+  return {
+    dir,
+    file: (name) => path.join(dir, name),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
@@ -0,0 +1,128 @@
+// test/holds.test.js
+// calendar.hold / confirm / release: el slot apartado se oculta a las demás sesiones,
+// se confirma como cita real y al vencer vuelve a aparecer (también en la caché).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useSandbox } from './helpers/sandbox.js';
+
+const sandbox = useSandbox();
+const { executeAction } = await import('../src/mcp/execute.js');
+const { createHold, getHold } = await import('../src/utils/holds.js');
+
+test.after(() => sandbox.cleanup());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const run = (action, params) => executeAction({ tool: 'calendar', action, params }).then((r) => r.payload);
+const check = (date, sessionId) => executeAction({ tool: 'calendar', action: 'check', params: { barber: 'Carlos', date, duration: 30, sessionId } });
+const startsOf = ({ payload }) => payload.slots.map((s) => s.start.slice(11, 16));
+
+function writeHoldsFile(holds) {
+  fs.writeFileSync(sandbox.file('holds.json'), JSON.stringify({ holds }, null, 2));
+}
+
+test('hold → oculto para otras sesiones, confirm → cita real', async () => {
+  const { hold } = await run('hold', { barber: 'Carlos', date: '2030-01-07', time: '10:00', duration: 30, sessionId: 'wa-a' });
+
+  assert.ok(!startsOf(await check('2030-01-07', 'wa-b')).includes('10:00'));
+  assert.ok(startsOf(await check('2030-01-07', 'wa-a')).includes('10:00'));
+
+  await assert.rejects(
+    run('create', { who: 'Beto', barber: 'Carlos', date: '2030-01-07', time: '10:00', duration: 30, sessionId: 'wa-b' }),
+    (err) => err.code === 'SLOT_OCCUPIED'
+  );
+
+  const booked = await run('confirm', { holdId: hold.id, sessionId: 'wa-a', who: 'Ana' });
+  assert.equal(booked.holdId, hold.id);
+  assert.equal(booked.start, hold.start);
+  assert.equal(getHold(hold.id), null);
+
+  await assert.rejects(run('confirm', { holdId: hold.id, sessionId: 'wa-a', who: 'Ana' }), (err) => err.code === 'HOLD_NOT_FOUND');
+});
+
+test('confirm: solo la sesión dueña, y con el horario y barbero del hold', async () => {
+  const { hold } = await run('hold', { barber: 'Carlos', date: '2030-01-14', time: '10:00', duration: 30, sessionId: 'wa-a' });
+
+  await assert.rejects(run('confirm', { holdId: hold.id, sessionId: 'wa-b', who: 'Beto' }), (err) => err.code === 'HOLD_NOT_FOUND');
+
+  const booked = await run('confirm', {
+    holdId: hold.id, sessionId: 'wa-a', who: 'Ana', barber: 'Juan', anyBarber: true, when: '2030-01-14T15:00:00-05:00',
+  });
+  assert.equal(booked.start, hold.start);
+  assert.equal(booked.barber, undefined);
+  assert.ok(!startsOf(await check('2030-01-14', 'wa-b')).includes('10:00'));
+});
+
+test('confirm repetido con el mismo client_request_id → la misma cita', async () => {
+  const { hold } = await run('hold', { barber: 'Carlos', date: '2030-01-15', time: '10:00', duration: 30, sessionId: 'wa-a' });
+  const params = { holdId: hold.id, sessionId: 'wa-a', who: 'Ana', client_request_id: 'req-confirm' };
+
+  const first = await run('confirm', params);
+  const again = await run('confirm', params);
+  assert.equal(again.id, first.id);
+  assert.equal(again.holdId, hold.id);
+});
+
+test('reschedule: el hold de la propia sesión no la bloquea', async () => {
+  const booked = await run('create', { who: 'Ana', barber: 'Carlos', date: '2030-01-16', time: '09:00', duration: 30 });
+  await run('hold', { barber: 'Carlos', date: '2030-01-16', time: '11:00', duration: 30, sessionId: 'wa-a' });
+
+  await assert.rejects(
+    run('reschedule', { eventId: booked.id, barber: 'Carlos', date: '2030-01-16', time: '11:00', sessionId: 'wa-b' }),
+    (err) => err.code === 'SLOT_OCCUPIED'
+  );
+  const moved = await run('reschedule', { eventId: booked.id, barber: 'Carlos', date: '2030-01-16', time: '11:00', sessionId: 'wa-a' });
+  assert.equal(moved.start, '2030-01-16T11:00:00-05:00');
+});
+
+test('release suelta el slot', async () => {
+  const { hold } = await run('hold', { barber: 'Carlos', date: '2030-01-08', time: '10:00', duration: 30, sessionId: 'wa-a' });
+  assert.ok(!startsOf(await check('2030-01-08', 'wa-b')).includes('10:00'));
+
+  assert.deepEqual((await run('release', { sessionId: 'wa-a' })).released, [hold.id]);
+  assert.ok(startsOf(await check('2030-01-08', 'wa-b')).includes('10:00'));
+});
+
+test('un hold vencido no se confirma', async () => {
+  const { hold } = await run('hold', { barber: 'Carlos', date: '2030-01-09', time: '10:00', duration: 30, sessionId: 'wa-a' });
+
+  // Vence "por fuera" (otro proceso / a mano): se relee el archivo al cambiar
+  await sleep(20);
+  writeHoldsFile([{ ...hold, expiresAt: new Date(Date.now() - 1000).toISOString() }]);
+
+  await assert.rejects(run('confirm', { holdId: hold.id, sessionId: 'wa-a', who: 'Ana' }), (err) => err.code === 'HOLD_NOT_FOUND');
+  assert.ok(startsOf(await check('2030-01-09', 'wa-b')).includes('10:00'));
+});
+
+test('los holds que escribe otro proceso se respetan', async () => {
+  await sleep(20);
+  writeHoldsFile([{
+    id: 'hold-otro', sessionId: 'wa-c', calendarId: 'atlas@test', barber: 'atlas',
+    start: '2030-01-10T11:00:00-05:00', end: '2030-01-10T11:30:00-05:00', duration: 30,
+    createdAt: new Date().toISOString(), expiresAt: new Date(Date.now() + 60_000).toISOString(),
+  }]);
+
+  assert.ok(!startsOf(await check('2030-01-10', 'wa-b')).includes('11:00'));
+  await assert.rejects(
+    run('create', { who: 'Beto', barber: 'Carlos', date: '2030-01-10', time: '11:00', duration: 30 }),
+    (err) => err.code === 'SLOT_OCCUPIED'
+  );
+});
+
+test('al vencer, un calendar.check cacheado vuelve a mostrar el slot', async () => {
+  createHold({
+    sessionId: 'wa-a', calendarId: 'atlas@test', barber: 'atlas',
+    start: '2030-01-11T10:00:00-05:00', end: '2030-01-11T10:30:00-05:00', duration: 30, ttlSeconds: 0.3,
+  });
+
+  const first = await check('2030-01-11', 'wa-b');
+  const cached = await check('2030-01-11', 'wa-b');
+  assert.equal(cached.fromCache, true);
+  assert.ok(!startsOf(cached).includes('10:00'));
+
+  await sleep(500);
+  const after = await check('2030-01-11', 'wa-b');
+  assert.equal(after.fromCache, false);
+  assert.ok(startsOf(after).includes('10:00'));
+  assert.equal(startsOf(after).length, startsOf(first).length + 1);
+});
@@ -0,0 +1,62 @@
+// test/idempotency.test.js
+// calendar.create con client_request_id: reintentos simultáneos o repetidos no
+// duplican la cita, y sin store de caché no se agenda a ciegas.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useSandbox } from './helpers/sandbox.js';
+
+const sandbox = useSandbox({ IDEMPOTENCY_WAIT_MS: '300' });
+const { executeAction } = await import('../src/mcp/execute.js');
+const { getCacheStore } = await import('../src/backends/cache/index.js');
+
+test.after(() => sandbox.cleanup());
+
+function eventsIn(calendarId) {
+  const file = sandbox.file('local_calendar.json');
+  if (!fs.existsSync(file)) return [];
+  return Object.values(JSON.parse(fs.readFileSync(file, 'utf8')).calendars?.[calendarId] || {});
+}
+
+const create = (params) =>
+  executeAction({ tool: 'calendar', action: 'create', params: { who: 'Ana', barber: 'Carlos', duration: 30, ...params } })
+    .then((r) => r.payload);
+
+test('reintentos simultáneos con el mismo client_request_id → una sola cita', async () => {
+  const params = { date: '2030-01-07', time: '10:00', client_request_id: 'req-simultaneo' };
+  const results = await Promise.all([create(params), create(params), create(params)]);
+
+  assert.equal(new Set(results.map((r) => r.id)).size, 1);
+  assert.equal(eventsIn('atlas@test').filter((ev) => ev.start.dateTime.startsWith('2030-01-07T10:00')).length, 1);
+});
+
+test('un reintento posterior devuelve la misma cita', async () => {
+  const params = { date: '2030-01-08', time: '11:00', client_request_id: 'req-reintento' };
+  const first = await create(params);
+  const again = await create(params);
+
+  assert.equal(again.id, first.id);
+  assert.equal(eventsIn('atlas@test').filter((ev) => ev.id === first.id).length, 1);
+});
+
+test('otro client_request_id para el mismo horario → SLOT_OCCUPIED', async () => {
+  await create({ date: '2030-01-09', time: '09:00', client_request_id: 'req-a' });
+  await assert.rejects(
+    create({ date: '2030-01-09', time: '09:00', client_request_id: 'req-b' }),
+    (err) => err.code === 'SLOT_OCCUPIED'
+  );
+});
+
+test('store caído → IDEMPOTENCY_IN_PROGRESS y no se agenda', async (t) => {
+  const store = getCacheStore();
+  const { get, setIfAbsent } = store;
+  store.get = async () => { throw new Error('store caído'); };
+  store.setIfAbsent = async () => { throw new Error('store caído'); };
+  t.after(() => Object.assign(store, { get, setIfAbsent }));
+
+  await assert.rejects(
+    create({ date: '2030-01-10', time: '15:00', client_request_id: 'req-sin-store' }),
+    (err) => err.code === 'IDEMPOTENCY_IN_PROGRESS'
+  );
+  assert.equal(eventsIn('atlas@test').filter((ev) => ev.start.dateTime.startsWith('2030-01-10')).length, 0);
+});
@@ -0,0 +1,77 @@
+// test/natural-date.test.js
+// parseNaturalDate / naturalRange (src/utils/naturalDate.js) con un "ahora" fijo:
+// miércoles 2030-01-09 10:00 en Bogotá.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { parseNaturalDate, naturalRange } from '../src/utils/naturalDate.js';
+
+const now = DateTime.fromISO('2030-01-09T10:00:00', { zone: 'America/Bogota' });
+const parse = (text) => parseNaturalDate(text, { now });
+
+test('día relativo + hora con franja: sin ambigüedad', () => {
+  const p = parse('mañana a las 3 de la tarde');
+  assert.equal(p.iso, '2030-01-10T15:00:00-05:00');
+  assert.equal(p.dayPart.name, 'tarde');
+  assert.equal(p.ambiguous, false);
+});
+
+test('hora suelta de 1 a 12 → ambigua, con la lectura de barbería primero', () => {
+  const p = parse('mañana a las 3');
+  assert.equal(p.time, '15:00');
+  assert.equal(p.ambiguous, true);
+  assert.deepEqual(p.options, ['2030-01-10T15:00:00-05:00', '2030-01-10T03:00:00-05:00']);
+
+  assert.deepEqual(parse('el 20 a las 9').options, ['2030-01-20T09:00:00-05:00', '2030-01-20T21:00:00-05:00']);
+});
+
+test('minutos en palabras: "y media", "menos cuarto"', () => {
+  assert.equal(parse('pasado mañana 10 y media').options[0], '2030-01-11T10:30:00-05:00');
+  assert.equal(parse('a las 5 menos cuarto de la tarde').iso, '2030-01-09T16:45:00-05:00');
+  assert.equal(parse('mediodía del jueves').iso, '2030-01-10T12:00:00-05:00');
+});
+
+test('día de la semana: el mismo día de hoy es ambiguo salvo con "próximo"', () => {
+  const today = parse('el miércoles');
+  assert.equal(today.ambiguous, true);
+  assert.deepEqual(today.options, ['2030-01-09', '2030-01-16']);
+
+  assert.equal(parse('el próximo miércoles').date, '2030-01-16');
+  assert.equal(parse('el viernes').date, '2030-01-11');
+});
+
+test('franja sin hora: fecha y dayPart, sin iso', () => {
+  const p = parse('el viernes en la tarde');
+  assert.equal(p.date, '2030-01-11');
+  assert.equal(p.time, null);
+  assert.equal(p.iso, null);
+  assert.deepEqual(p.dayPart, { name: 'tarde', start: '12:00', end: '19:00' });
+});
+
+test('fechas absolutas: ISO, día de mes, día/mes que ya pasó', () => {
+  assert.equal(parse('2030-02-01 14:30').iso, '2030-02-01T14:30:00-05:00');
+  assert.equal(parse('15 de marzo a las 11 am').iso, '2030-03-15T11:00:00-05:00');
+  assert.equal(parse('05/01').date, '2031-01-05');
+});
+
+test('inglés como respaldo', () => {
+  const p = parse('next friday 4pm');
+  assert.equal(p.iso, '2030-01-11T16:00:00-05:00');
+  assert.equal(p.ambiguous, false);
+});
+
+test('texto sin fecha ni hora → no reconocido', () => {
+  const p = parse('hola');
+  assert.equal(p.recognized, false);
+  assert.deepEqual(p.options, []);
+});
+
+test('naturalRange: franja, hora exacta o el día entero si la hora es ambigua', () => {
+  const part = naturalRange('mañana en la tarde', { now });
+  assert.equal(part.from.toISO(), '2030-01-10T12:00:00.000-05:00');
+  assert.equal(part.to.toISO(), '2030-01-10T19:00:00.000-05:00');
+
+  assert.equal(naturalRange('mañana a las 4pm', { now }).from.toISO(), '2030-01-10T16:00:00.000-05:00');
+  assert.equal(naturalRange('mañana a las 3', { now }).from.toISO(), '2030-01-10T00:00:00.000-05:00');
+  assert.equal(naturalRange('hola', { now }), null);
+});
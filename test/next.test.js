@@ -0,0 +1,63 @@
+// test/next.test.js
+// calendar.next: primeros slots libres hacia adelante con filtros de franja horaria,
+// días de la semana y servicio; se detiene al llegar a limit o al horizonte.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { useSandbox } from './helpers/sandbox.js';
+
+const sandbox = useSandbox();
+const { executeAction } = await import('../src/mcp/execute.js');
+const { getCalendarBackend } = await import('../src/backends/calendar/index.js');
+
+test.after(() => sandbox.cleanup());
+
+const AFTER = '2030-01-07T00:00:00-05:00'; // lunes
+const next = (params) =>
+  executeAction({ tool: 'calendar', action: 'next', params: { after: AFTER, ...params } }).then((r) => r.payload);
+const create = (params) =>
+  executeAction({ tool: 'calendar', action: 'create', params: { who: 'Ana', barber: 'Carlos', duration: 30, ...params } });
+
+test('salta lo ocupado y devuelve los primeros libres', async () => {
+  await create({ date: '2030-01-07', time: '09:00' });
+  await create({ date: '2030-01-07', time: '09:30' });
+
+  const { slots, searched } = await next({ barber: 'Carlos', duration: 30, limit: 2 });
+  assert.deepEqual(slots.map((s) => s.start), ['2030-01-07T10:00:00-05:00', '2030-01-07T10:30:00-05:00']);
+  assert.equal(searched.exhausted, false);
+});
+
+test('filtros: día de la semana, franja horaria y duración del servicio', async () => {
+  const { slots, generated_with } = await next({
+    barber: 'Juan',
+    serviceId: 'svc-barba',
+    weekdays: ['sab'],
+    timeFrom: '15:00',
+    timeTo: '16:00',
+    limit: 5,
+  });
+  assert.deepEqual(slots.map((s) => s.start.slice(0, 16)), [
+    '2030-01-12T15:00', '2030-01-12T15:20', '2030-01-12T15:40',
+    '2030-01-19T15:00', '2030-01-19T15:20',
+  ]);
+  assert.equal(generated_with.duration, 20);
+  assert.deepEqual(generated_with.filters.weekdays, [6]);
+});
+
+test('deja de consultar al completar limit; sin resultados recorre hasta el horizonte', async () => {
+  const backend = getCalendarBackend();
+  const { freeBusy } = backend;
+  let calls = 0;
+  backend.freeBusy = (...args) => { calls++; return freeBusy.apply(backend, args); };
+  try {
+    const found = await next({ barber: 'Carlos', duration: 30, limit: 1, horizonDays: 60, after: '2030-03-04T00:00:00-05:00' });
+    assert.equal(found.slots.length, 1);
+    assert.equal(found.searched.to, '2030-03-11T00:00:00-05:00');
+    assert.equal(calls, 1, 'un solo bloque de NEXT_CHUNK_DAYS');
+  } finally {
+    backend.freeBusy = freeBusy;
+  }
+
+  const none = await next({ barber: 'Carlos', duration: 30, weekdays: ['Sun'], horizonDays: 10 });
+  assert.deepEqual(none.slots, []);
+  assert.deepEqual(none.searched, { from: AFTER, to: '2030-01-17T00:00:00-05:00', exhausted: true });
+});
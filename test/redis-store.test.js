@@ -0,0 +1,88 @@
+// test/redis-store.test.js
+// Store de caché sobre RESP (src/backends/cache/redis.js) contra un servidor falso.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRedisStore } from '../src/backends/cache/redis.js';
+import { startFakeRedis } from './helpers/fake-redis.js';
+
+test('get/set/del: ida y vuelta en JSON, con prefijo y respuestas partidas', async (t) => {
+  const redis = await startFakeRedis({ chunked: true });
+  t.after(() => redis.close());
+  const store = createRedisStore({ url: redis.url(), prefix: 'p:' });
+
+  assert.equal(await store.get('nada'), undefined);
+
+  const value = { nombre: 'Peñalosa ✂', n: 3, list: [1, null] };
+  await store.set('a', value, 60_000);
+  assert.deepEqual(await store.get('a'), value);
+  assert.ok(redis.data.has('p:a'));
+
+  // Varios comandos en vuelo: las respuestas se asignan en orden
+  await Promise.all([store.set('b', 1, 60_000), store.set('c', 'dos', 60_000)]);
+  assert.deepEqual(await Promise.all([store.get('c'), store.get('b'), store.get('x')]), ['dos', 1, undefined]);
+
+  await store.del('a');
+  assert.equal(await store.get('a'), undefined);
+});
+
+test('clear: borra solo las claves con el prefijo (SCAN + DEL)', async (t) => {
+  const redis = await startFakeRedis();
+  t.after(() => redis.close());
+  const store = createRedisStore({ url: redis.url(), prefix: 'p:' });
+
+  await store.set('a', 1, 60_000);
+  await store.set('b', 2, 60_000);
+  redis.data.set('otro:a', { value: '"x"', expiresAt: 0 });
+
+  await store.clear();
+  assert.deepEqual([...redis.data.keys()], ['otro:a']);
+});
+
+test('setIfAbsent: NX con vencimiento PX', async (t) => {
+  const redis = await startFakeRedis();
+  t.after(() => redis.close());
+  const store = createRedisStore({ url: redis.url() });
+
+  assert.equal(await store.setIfAbsent('lock', { pid: 1 }, 50), true);
+  assert.equal(await store.setIfAbsent('lock', { pid: 2 }, 50), false);
+  assert.deepEqual(await store.get('lock'), { pid: 1 });
+
+  await new Promise((resolve) => setTimeout(resolve, 80));
+  assert.equal(await store.setIfAbsent('lock', { pid: 2 }, 50), true);
+});
+
+test('error del servidor → REDIS_ERROR sin romper la conexión', async (t) => {
+  const redis = await startFakeRedis({ password: 'secreta' });
+  t.after(() => redis.close());
+  const store = createRedisStore({ url: redis.url(':secreta@') });
+
+  await store.set('a', 1, 60_000);
+  redis.failNext('ERR boom');
+  await assert.rejects(store.get('a'), (err) => err.code === 'REDIS_ERROR' && /ERR boom/.test(err.message));
+  await store.set('a', 2, 60_000);
+  assert.equal(await store.get('a'), 2);
+  assert.equal(redis.connections, 1);
+});
+
+test('AUTH rechazado: falla, cierra el socket y la siguiente operación reconecta', async (t) => {
+  const redis = await startFakeRedis({ password: 'secreta' });
+  t.after(() => redis.close());
+  const store = createRedisStore({ url: redis.url(':otra@') });
+
+  await assert.rejects(store.get('a'), (err) => err.code === 'REDIS_ERROR' && /WRONGPASS/.test(err.message));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(redis.closed, 1);
+  assert.ok(!redis.commands.includes('GET'), 'no debe mandar comandos sin autenticar');
+
+  await assert.rejects(store.get('a'), /WRONGPASS/);
+  assert.equal(redis.connections, 2);
+});
+
+test('servidor caído → REDIS_ERROR', async () => {
+  const redis = await startFakeRedis();
+  const url = redis.url();
+  await redis.close();
+
+  const store = createRedisStore({ url });
+  await assert.rejects(store.setIfAbsent('lock', 1, 1000), (err) => err.code === 'REDIS_ERROR');
+});
@@ -0,0 +1,86 @@
+// test/reminders.test.js
+// reminders.run: encola el offset más cercano que ya venció, no repite en el siguiente
+// escaneo y, si el outbox no pudo guardar el evento, lo reintenta en vez de darlo por enviado.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import { DateTime } from 'luxon';
+import { useSandbox } from './helpers/sandbox.js';
+
+const received = [];
+const sink = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    received.push(JSON.parse(body));
+    res.end('ok');
+  });
+});
+await new Promise((resolve) => sink.listen(0, '127.0.0.1', resolve));
+
+const sandbox = useSandbox();
+process.env.REMINDER_SINK_URL = `http://127.0.0.1:${sink.address().port}/reminders`;
+const { executeAction } = await import('../src/mcp/execute.js');
+const { getCalendarBackend } = await import('../src/backends/calendar/index.js');
+
+test.after(() => {
+  sink.close();
+  sandbox.cleanup();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const run = () => executeAction({ tool: 'reminders', action: 'run', params: {} }).then((r) => r.payload);
+const sentLog = () => JSON.parse(fs.readFileSync(sandbox.file('reminders_sent.json'), 'utf8')).sent;
+
+// Cita de 30 min que empieza dentro de `minutes` minutos
+function bookIn(calId, minutes, serviceId) {
+  const start = DateTime.now().setZone('America/Bogota').plus({ minutes }).startOf('minute');
+  return getCalendarBackend().insertEvent(calId, {
+    summary: 'Cita',
+    start: { dateTime: start.toISO() },
+    end: { dateTime: start.plus({ minutes: 30 }).toISO() },
+    extendedProperties: { private: { ...(serviceId && { serviceId }) } },
+  });
+}
+
+test('encola el offset más cercano, marca el otro como skipped y no repite', async () => {
+  const ev = await bookIn('atlas@test', 60);
+
+  const first = await run();
+  assert.deepEqual(first.reminders.map((r) => [r.id, r.barber, r.offsetMin]), [[ev.id, 'atlas', 120]]);
+
+  const entries = Object.entries(sentLog()).filter(([key]) => key.startsWith(`${ev.id}|`));
+  assert.deepEqual(
+    entries.map(([key, v]) => [key.split('|')[2], v.status]).sort(),
+    [['120', 'sent'], ['1440', 'skipped']]
+  );
+  assert.match(entries.find(([, v]) => v.status === 'sent')[1].outboxId, /^evt-/);
+
+  for (let i = 0; i < 50 && !received.some((r) => r.data.id === ev.id); i++) await sleep(20);
+  const delivered = received.find((r) => r.data.id === ev.id);
+  assert.equal(delivered.type, 'booking.reminder');
+  assert.equal(delivered.data.offsetMin, 120);
+
+  const again = await run();
+  assert.ok(!again.reminders.some((r) => r.id === ev.id));
+});
+
+test('si el outbox no guarda el evento no se registra y el próximo escaneo lo reintenta', async () => {
+  const ev = await bookIn('nova@test', 90);
+
+  // El archivo temporal del outbox ocupado por un directorio: saveOutbox falla
+  const tmp = `${sandbox.file('webhook_outbox.json')}.${process.pid}.tmp`;
+  fs.mkdirSync(tmp);
+  try {
+    const failed = await run();
+    assert.ok(!failed.reminders.some((r) => r.id === ev.id));
+    assert.ok(!Object.keys(sentLog()).some((key) => key.startsWith(`${ev.id}|`)));
+  } finally {
+    fs.rmSync(tmp, { recursive: true });
+  }
+
+  const retried = await run();
+  assert.deepEqual(retried.reminders.filter((r) => r.id === ev.id).map((r) => r.offsetMin), [120]);
+  assert.equal(sentLog()[`${ev.id}|${DateTime.fromISO(ev.start.dateTime, { zone: 'America/Bogota' }).toISO()}|120`].status, 'sent');
+});
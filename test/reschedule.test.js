@@ -0,0 +1,76 @@
+// test/reschedule.test.js
+// calendar.reschedule: mueve la cita (mismo calendario u otro barbero) sin pasar por
+// cancel + create; si el nuevo horario choca o algo falla, la original queda intacta.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { useSandbox } from './helpers/sandbox.js';
+
+const sandbox = useSandbox();
+const { executeAction } = await import('../src/mcp/execute.js');
+const { getCalendarBackend } = await import('../src/backends/calendar/index.js');
+
+test.after(() => sandbox.cleanup());
+
+const create = (params) =>
+  executeAction({ tool: 'calendar', action: 'create', params: { who: 'Ana', barber: 'Carlos', duration: 30, ...params } })
+    .then((r) => r.payload);
+const reschedule = (params) =>
+  executeAction({ tool: 'calendar', action: 'reschedule', params: { barber: 'Carlos', ...params } }).then((r) => r.payload);
+const slotsOf = (barber, date) =>
+  executeAction({ tool: 'calendar', action: 'check', params: { barber, date, duration: 30 } })
+    .then((r) => r.payload.slots.map((s) => s.start.slice(11, 16)));
+
+test('mismo barbero: cambia el horario, conserva el evento y libera el anterior', async () => {
+  const mine = await create({ date: '2030-01-07', time: '10:00', phone: '3001111111' });
+
+  const moved = await reschedule({ eventId: mine.id, date: '2030-01-07', time: '15:00' });
+  assert.equal(moved.id, mine.id);
+  assert.equal(moved.start, '2030-01-07T15:00:00-05:00');
+  assert.equal(moved.previous.start, mine.start);
+
+  const ev = await getCalendarBackend().getEvent('atlas@test', mine.id);
+  assert.equal(ev.start.dateTime, '2030-01-07T15:00:00-05:00');
+  assert.equal(ev.extendedProperties.private.phone, '+573001111111');
+
+  const slots = await slotsOf('Carlos', '2030-01-07');
+  assert.ok(slots.includes('10:00') && !slots.includes('15:00'));
+});
+
+test('a otro barbero: el evento pasa a su calendario', async () => {
+  const mine = await create({ date: '2030-01-08', time: '10:00' });
+
+  const moved = await reschedule({ eventId: mine.id, newBarber: 'Juan', date: '2030-01-08', time: '11:00' });
+  assert.equal(moved.calendarId, 'nova@test');
+
+  const backend = getCalendarBackend();
+  assert.equal((await backend.getEvent('nova@test', mine.id)).start.dateTime, '2030-01-08T11:00:00-05:00');
+  await assert.rejects(backend.getEvent('atlas@test', mine.id), (err) => err.code === 'EVENT_NOT_FOUND');
+});
+
+test('nuevo horario ocupado → SLOT_OCCUPIED y la cita original no se toca', async () => {
+  const mine = await create({ date: '2030-01-09', time: '10:00' });
+  await create({ date: '2030-01-09', time: '12:00', who: 'Otro' });
+
+  await assert.rejects(
+    reschedule({ eventId: mine.id, date: '2030-01-09', time: '12:15' }),
+    (err) => err.code === 'SLOT_OCCUPIED'
+  );
+  assert.equal((await getCalendarBackend().getEvent('atlas@test', mine.id)).start.dateTime, mine.start);
+
+  // Correrla dentro de su propio horario no choca consigo misma
+  const nudged = await reschedule({ eventId: mine.id, date: '2030-01-09', time: '10:15' });
+  assert.equal(nudged.start, '2030-01-09T10:15:00-05:00');
+});
+
+test('si el patch falla tras mover de calendario, la cita vuelve al original', async (t) => {
+  const backend = getCalendarBackend();
+  const { patchEvent } = backend;
+  t.after(() => { backend.patchEvent = patchEvent; });
+
+  const mine = await create({ date: '2030-01-10', time: '10:00' });
+  backend.patchEvent = async () => { throw new Error('backend caído'); };
+
+  await assert.rejects(reschedule({ eventId: mine.id, newBarber: 'Juan', date: '2030-01-10', time: '11:00' }));
+  assert.equal((await backend.getEvent('atlas@test', mine.id)).start.dateTime, mine.start);
+  await assert.rejects(backend.getEvent('nova@test', mine.id), (err) => err.code === 'EVENT_NOT_FOUND');
+});
@@ -0,0 +1,86 @@
+// test/waitlist.test.js
+// Lista de espera: calendar.cancel ofrece el hueco al primero que encaje, el hueco queda
+// reservado para él (check/create), vence y pasa al siguiente, y calendar.create lo cierra.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { DateTime } from 'luxon';
+import { useSandbox } from './helpers/sandbox.js';
+
+// 0.03 min = 1.8 s de reserva: el vencimiento se prueba sin relojes falsos
+const sandbox = useSandbox({ WAITLIST_HOLD_MIN: '0.03', SLOT_STEP_MINUTES: '15' });
+const { executeAction } = await import('../src/mcp/execute.js');
+const { getCalendarBackend } = await import('../src/backends/calendar/index.js');
+
+test.after(() => sandbox.cleanup());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const call = (tool, action, params) => executeAction({ tool, action, params }).then((r) => r.payload);
+const create = (params) => call('calendar', 'create', { who: 'Ana', barber: 'Carlos', duration: 30, ...params });
+const startsOf = ({ slots }) => slots.map((s) => s.start.slice(11, 16));
+const entries = () => JSON.parse(fs.readFileSync(sandbox.file('waitlist.json'), 'utf8')).entries;
+const entry = (id) => entries().find((e) => e.id === id);
+
+test('el hueco liberado se reserva para el primero de la fila y create lo cierra', async () => {
+  const booked = await create({ date: '2030-01-07', time: '10:00' });
+  const first = (await call('waitlist', 'join', { phone: '3001111111', name: 'Luis', barber: 'Carlos', date: '2030-01-07' })).entry;
+  const second = (await call('waitlist', 'join', { phone: '3002222222', name: 'Pedro', date: '2030-01-07' })).entry;
+
+  const { waitlistOffer } = await call('calendar', 'cancel', { barber: 'Carlos', eventId: booked.id });
+  assert.equal(waitlistOffer.waitlistId, first.id);
+  assert.equal(waitlistOffer.start, '2030-01-07T10:00:00-05:00');
+
+  // Reservado: check no lo muestra y otro teléfono no puede agendarlo
+  assert.ok(!startsOf(await call('calendar', 'check', { barber: 'Carlos', date: '2030-01-07', duration: 30 })).includes('10:00'));
+  await assert.rejects(create({ date: '2030-01-07', time: '10:00', phone: '3009999999' }), (err) => err.code === 'SLOT_OCCUPIED');
+
+  await create({ date: '2030-01-07', time: '10:00', phone: '3001111111' });
+  assert.equal(entry(first.id).status, 'booked');
+  assert.equal(entry(second.id).status, 'waiting');
+});
+
+test('la oferta vence y el hueco pasa al siguiente; check no reescribe waitlist.json', async () => {
+  const booked = await create({ date: '2030-01-08', time: '11:00' });
+  const first = (await call('waitlist', 'join', { phone: '3003333333', date: '2030-01-08' })).entry;
+  const second = (await call('waitlist', 'join', { phone: '3004444444', date: '2030-01-08' })).entry;
+  await call('calendar', 'cancel', { barber: 'Carlos', eventId: booked.id });
+
+  const file = sandbox.file('waitlist.json');
+  const before = fs.statSync(file).mtimeMs;
+  for (let i = 0; i < 3; i++) await call('calendar', 'check', { barber: 'Carlos', date: '2030-01-08', duration: 30 });
+  assert.equal(fs.statSync(file).mtimeMs, before);
+
+  await sleep(2000);
+  const mine = entry(first.id);
+  assert.equal(mine.status, 'waiting');
+  assert.equal(mine.missedOffers, 1);
+  const next = entry(second.id);
+  assert.equal(next.status, 'offered');
+  assert.equal(next.offer.start, '2030-01-08T11:00:00-05:00');
+
+  // Vencida también la segunda: el hueco vuelve a estar libre para todos
+  await sleep(2000);
+  assert.ok(startsOf(await call('calendar', 'check', { barber: 'Carlos', date: '2030-01-08', duration: 30 })).includes('11:00'));
+});
+
+test('un hueco que ya empezó se ofrece desde el siguiente paso de la agenda', async () => {
+  const now = DateTime.now().setZone('America/Bogota');
+  const ev = await getCalendarBackend().insertEvent('nova@test', {
+    summary: 'En curso',
+    start: { dateTime: now.minus({ minutes: 10 }).toISO() },
+    end: { dateTime: now.plus({ minutes: 80 }).toISO() },
+  });
+  await call('waitlist', 'join', {
+    phone: '3005555555',
+    barber: 'Juan',
+    duration: 30,
+    from: now.minus({ hours: 1 }).toISO(),
+    to: now.plus({ hours: 3 }).toISO(),
+  });
+
+  const { waitlistOffer } = await call('calendar', 'cancel', { barber: 'Juan', eventId: ev.id });
+  const start = DateTime.fromISO(waitlistOffer.start);
+  assert.ok(start >= now && start < now.plus({ minutes: 15 }));
+  assert.equal(start.minute % 15, 0);
+  assert.equal(start.second, 0);
+});
@@ -0,0 +1,103 @@
+// test/webhooks.test.js
+// Outbox de webhooks: booking.* se entrega firmado (HMAC), se reintenta con el mismo id
+// de entrega, tras WEBHOOK_MAX_ATTEMPTS queda en dead-letter y webhooks.replay (solo
+// admin) lo vuelve a encolar.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { useSandbox } from './helpers/sandbox.js';
+
+const SECRET = 'secreto-de-prueba';
+const deliveries = [];
+let statuses = []; // respuestas del receptor en orden; vacío = 200
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    deliveries.push({ headers: req.headers, body });
+    res.statusCode = statuses.length ? statuses.shift() : 200;
+    res.end();
+  });
+});
+await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+
+const sandbox = useSandbox({ WEBHOOK_SECRET: SECRET, WEBHOOK_RETRY_BASE_MS: '20', WEBHOOK_MAX_ATTEMPTS: '3' });
+process.env.WEBHOOK_OUTBOX_URL = `http://127.0.0.1:${receiver.address().port}/hooks`;
+const { executeAction } = await import('../src/mcp/execute.js');
+const { listActions } = await import('../src/mcp/registry.js');
+
+test.after(() => {
+  receiver.close();
+  sandbox.cleanup();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const create = (params) =>
+  executeAction({ tool: 'calendar', action: 'create', params: { who: 'Ana', barber: 'Carlos', duration: 30, ...params } })
+    .then((r) => r.payload);
+const outboxEvent = async (id) =>
+  (await executeAction({ tool: 'webhooks', action: 'list', params: { limit: 500 } })).payload.events.find((e) => e.id === id);
+const deliveriesOf = (id) => deliveries.filter((d) => d.headers['x-valeria-delivery'] === id);
+
+async function waitForStatus(id, status) {
+  for (let i = 0; i < 100; i++) {
+    const ev = await outboxEvent(id);
+    if (ev?.status === status) return ev;
+    await sleep(20);
+  }
+  assert.fail(`${id} no llegó a ${status}`);
+}
+
+// El evento booking.created de la cita bookingId
+async function createdEventFor(bookingId) {
+  const { events } = (await executeAction({ tool: 'webhooks', action: 'list', params: { type: 'booking.created', limit: 500 } })).payload;
+  return events.find((e) => e.payload.id === bookingId);
+}
+
+test('booking.created se entrega firmado con HMAC-SHA256', async () => {
+  const booked = await create({ date: '2030-01-07', time: '10:00', phone: '3001111111' });
+  const { id } = await createdEventFor(booked.id);
+  await waitForStatus(id, 'delivered');
+
+  const [{ headers, body }] = deliveriesOf(id);
+  assert.equal(headers['x-valeria-event'], 'booking.created');
+  const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-valeria-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-valeria-signature'], `sha256=${expected}`);
+
+  const parsed = JSON.parse(body);
+  assert.equal(parsed.id, id);
+  assert.equal(parsed.data.id, booked.id);
+  assert.equal(parsed.data.phone, '+573001111111');
+});
+
+test('un 500 se reintenta con el mismo id de entrega', async () => {
+  statuses = [500];
+  const booked = await create({ date: '2030-01-08', time: '10:00' });
+  const { id } = await createdEventFor(booked.id);
+
+  const ev = await waitForStatus(id, 'delivered');
+  assert.equal(ev.attempts, 2);
+  assert.equal(deliveriesOf(id).length, 2);
+});
+
+test('tras WEBHOOK_MAX_ATTEMPTS queda en dead-letter; replay solo con la clave admin', async () => {
+  statuses = [500, 500, 500];
+  const booked = await create({ date: '2030-01-09', time: '10:00' });
+  const { id } = await createdEventFor(booked.id);
+
+  const dead = await waitForStatus(id, 'dead');
+  assert.equal(dead.attempts, 3);
+  assert.equal(dead.lastError, 'HTTP 500');
+
+  assert.ok(!listActions().some((a) => a.name === 'webhooks_replay'));
+  await assert.rejects(
+    executeAction({ tool: 'webhooks', action: 'replay', params: { id } }),
+    (err) => err.code === 'ADMIN_ONLY'
+  );
+
+  const { payload } = await executeAction({ tool: 'webhooks', action: 'replay', params: { allDead: true }, admin: true });
+  assert.deepEqual(payload.replayed, [id]);
+  await waitForStatus(id, 'delivered');
+  assert.equal(deliveriesOf(id).length, 4);
+});